@@ -0,0 +1,246 @@
+const pool = require('../services/db');
+const { parseDateRange } = require('../utils/dateUtils');
+const { createQueryBuilder, andClause, buildPagination } = require('../utils/queryBuilder');
+const {
+    ALERT_TYPES,
+    formatAlertEvent,
+    validateAlertRule,
+    listAlertRules,
+    getAlertRule,
+    createAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    sendTestAlert
+} = require('../services/alertService');
+
+const ALERT_STATES = ['firing', 'resolved'];
+
+const actorOf = (req) => (req.user ? req.user.preferred_username || req.user.sub || null : null);
+
+/**
+ * Reads the :id of a rule route, answering 400 itself when it is not a positive integer.
+ * @returns {number|null}
+ */
+function parseRuleId(req, res) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+        res.status(400).json({ success: false, error: "Invalid alert rule ID" });
+        return null;
+    }
+    return id;
+}
+
+/**
+ * GET /alerts?ruleId=&type=&state=&startDate=&endDate=&page=&limit=
+ * Lists alert state changes (firing and resolved), newest first.
+ */
+const getAlerts = async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
+        const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        const ruleId = req.query.ruleId ? Number(req.query.ruleId) : null;
+        const type = req.query.type ? String(req.query.type).trim() : null;
+        const state = req.query.state ? String(req.query.state).trim() : null;
+
+        if (ruleId !== null && (!Number.isInteger(ruleId) || ruleId < 1)) {
+            return res.status(400).json({ success: false, error: "Invalid ruleId" });
+        }
+        if (type !== null && !ALERT_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `Invalid type. Must be one of: ${ALERT_TYPES.join(', ')}` });
+        }
+        if (state !== null && !ALERT_STATES.includes(state)) {
+            return res.status(400).json({ success: false, error: `Invalid state. Must be one of: ${ALERT_STATES.join(', ')}` });
+        }
+
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+        if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp"
+            });
+        }
+
+        const buildWhere = (qb) => {
+            const conditions = [];
+            if (ruleId !== null) {
+                conditions.push(`rule_id = ${qb.param(ruleId)}`);
+            }
+            if (type !== null) {
+                conditions.push(`rule_type = ${qb.param(type)}`);
+            }
+            if (state !== null) {
+                conditions.push(`state = ${qb.param(state)}`);
+            }
+            if (startTimestamp !== null) {
+                conditions.push(`created_at >= to_timestamp(${qb.param(startTimestamp)} / 1000.0)`);
+            }
+            if (endTimestamp !== null) {
+                conditions.push(`created_at <= to_timestamp(${qb.param(endTimestamp)} / 1000.0)`);
+            }
+            return `WHERE TRUE${andClause(conditions)}`;
+        };
+
+        const qb = createQueryBuilder();
+        const where = buildWhere(qb);
+        const countQb = createQueryBuilder();
+        const countWhere = buildWhere(countQb);
+        const pagination = buildPagination(qb, limit, (page - 1) * limit);
+
+        const [eventsResult, countResult] = await Promise.all([
+            pool.query(`SELECT * FROM alert_events ${where} ORDER BY created_at DESC, id DESC${pagination}`, qb.params),
+            pool.query(`SELECT COUNT(*) AS total FROM alert_events ${countWhere}`, countQb.params)
+        ]);
+
+        const totalCount = parseInt(countResult.rows[0].total);
+        const totalPages = Math.ceil(totalCount / limit);
+
+        res.status(200).json({
+            success: true,
+            data: eventsResult.rows.map(formatAlertEvent),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limit,
+                hasNextPage: page < totalPages,
+                hasPreviousPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching alerts:", error);
+        res.status(500).json({ success: false, error: "Error fetching alerts" });
+    }
+};
+
+/**
+ * GET /alerts/rules
+ */
+const getAlertRules = async (req, res) => {
+    try {
+        res.status(200).json({ success: true, data: await listAlertRules() });
+    } catch (error) {
+        console.error("Error fetching alert rules:", error);
+        res.status(500).json({ success: false, error: "Error fetching alert rules" });
+    }
+};
+
+/**
+ * GET /alerts/rules/:id
+ */
+const getAlertRuleById = async (req, res) => {
+    try {
+        const id = parseRuleId(req, res);
+        if (id === null) return;
+
+        const rule = await getAlertRule(id);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: "Alert rule not found" });
+        }
+        res.status(200).json({ success: true, data: rule });
+    } catch (error) {
+        console.error("Error fetching alert rule:", error);
+        res.status(500).json({ success: false, error: "Error fetching alert rule" });
+    }
+};
+
+/**
+ * POST /alerts/rules
+ * Body: { name, type, metric, windowMinutes, baselineHours, cooldownMinutes, webhooks, emails, enabled }
+ *   plus { thresholdFactor, minErrors } for error_spike rules
+ *   or { operator, threshold, thresholdMode, minSamples, region } for threshold rules
+ */
+const createRule = async (req, res) => {
+    try {
+        const validated = validateAlertRule(req.body);
+        if (validated.error) {
+            return res.status(400).json({ success: false, error: validated.error });
+        }
+
+        const rule = await createAlertRule(validated.values, actorOf(req));
+        res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+        console.error("Error creating alert rule:", error);
+        res.status(500).json({ success: false, error: "Error creating alert rule" });
+    }
+};
+
+/**
+ * PATCH /alerts/rules/:id
+ * Body: any subset of the POST fields except type; the result is validated as a whole
+ */
+const updateRule = async (req, res) => {
+    try {
+        const id = parseRuleId(req, res);
+        if (id === null) return;
+
+        const current = await getAlertRule(id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: "Alert rule not found" });
+        }
+
+        const validated = validateAlertRule(req.body, current);
+        if (validated.error) {
+            return res.status(400).json({ success: false, error: validated.error });
+        }
+
+        const rule = await updateAlertRule(id, validated.values, actorOf(req));
+        if (!rule) {
+            return res.status(404).json({ success: false, error: "Alert rule not found" });
+        }
+        res.status(200).json({ success: true, data: rule });
+    } catch (error) {
+        console.error("Error updating alert rule:", error);
+        res.status(500).json({ success: false, error: "Error updating alert rule" });
+    }
+};
+
+/**
+ * DELETE /alerts/rules/:id
+ * The alerts the rule fired are kept.
+ */
+const deleteRule = async (req, res) => {
+    try {
+        const id = parseRuleId(req, res);
+        if (id === null) return;
+
+        if (!(await deleteAlertRule(id))) {
+            return res.status(404).json({ success: false, error: "Alert rule not found" });
+        }
+        res.status(200).json({ success: true, data: { id } });
+    } catch (error) {
+        console.error("Error deleting alert rule:", error);
+        res.status(500).json({ success: false, error: "Error deleting alert rule" });
+    }
+};
+
+/**
+ * POST /alerts/rules/:id/test
+ * Sends a test alert with the rule's current measurement to its webhooks and emails.
+ */
+const testRule = async (req, res) => {
+    try {
+        const id = parseRuleId(req, res);
+        if (id === null) return;
+
+        const rule = await getAlertRule(id);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: "Alert rule not found" });
+        }
+        res.status(200).json({ success: true, data: await sendTestAlert(rule) });
+    } catch (error) {
+        console.error("Error sending test alert:", error);
+        res.status(500).json({ success: false, error: "Error sending test alert" });
+    }
+};
+
+module.exports = {
+    getAlerts,
+    getAlertRules,
+    getAlertRuleById,
+    createRule,
+    updateRule,
+    deleteRule,
+    testRule
+};
@@ -0,0 +1,141 @@
+const pool = require('../services/db');
+const { parseDateRange } = require('../utils/dateUtils');
+const {
+    FILTER_SPECS,
+    createQueryBuilder,
+    normalizeFilters,
+    buildConditions,
+    andClause,
+    buildPagination
+} = require('../utils/queryBuilder');
+
+function formatAuditRecord(row) {
+    return {
+        id: Number(row.id),
+        actor: {
+            sub: row.actor_sub,
+            username: row.actor_username
+        },
+        method: row.method,
+        route: row.route,
+        path: row.path,
+        queryParams: row.query_params,
+        targetUid: row.target_uid,
+        targetSid: row.target_sid,
+        statusCode: row.status_code,
+        responseBytes: row.response_bytes === null ? null : Number(row.response_bytes),
+        ip: row.ip,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Builds the WHERE clause shared by the audit list and count queries.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} options - { user, route, targetUid, targetSid, search, startDate, endDate, timezone }
+ * @returns {string}
+ */
+function buildAuditWhere(qb, { user, route, targetUid, targetSid, search, startDate, endDate, timezone }) {
+    const conditions = buildConditions(qb, normalizeFilters({ search, startDate, endDate, timezone }), FILTER_SPECS.audit);
+
+    if (user) {
+        const placeholder = qb.param(user);
+        conditions.push(`(actor_sub = ${placeholder} OR actor_username = ${placeholder})`);
+    }
+    if (route) {
+        conditions.push(`route = ${qb.param(route)}`);
+    }
+    if (targetUid) {
+        conditions.push(`target_uid = ${qb.param(targetUid)}`);
+    }
+    if (targetSid) {
+        conditions.push(`target_sid = ${qb.param(targetSid)}`);
+    }
+
+    return `WHERE TRUE${andClause(conditions)}`;
+}
+
+/**
+ * GET /audit?user=&route=&targetUid=&targetSid=&search=&startDate=&endDate=&page=&limit=
+ * Searches the audit trail of farmer-level data access, newest first.
+ */
+const getAuditLogs = async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const offset = (page - 1) * limit;
+        const trimmed = (value) => (value ? String(value).trim() : null);
+        const filters = {
+            user: trimmed(req.query.user),
+            route: trimmed(req.query.route),
+            targetUid: trimmed(req.query.targetUid),
+            targetSid: trimmed(req.query.targetSid),
+            search: trimmed(req.query.search) || '',
+            startDate: trimmed(req.query.startDate),
+            endDate: trimmed(req.query.endDate),
+            timezone: req.timezone
+        };
+
+        // Validate date range
+        const { startTimestamp, endTimestamp } = parseDateRange(filters.startDate, filters.endDate, filters.timezone);
+        if ((filters.startDate && startTimestamp === null) || (filters.endDate && endTimestamp === null)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp"
+            });
+        }
+
+        if (startTimestamp && endTimestamp && startTimestamp > endTimestamp) {
+            return res.status(400).json({
+                success: false,
+                error: "Start date cannot be after end date"
+            });
+        }
+
+        const qb = createQueryBuilder();
+        const where = buildAuditWhere(qb, filters);
+        const countQb = createQueryBuilder();
+        const countWhere = buildAuditWhere(countQb, filters);
+        const pagination = buildPagination(qb, limit, offset);
+
+        const [recordsResult, countResult] = await Promise.all([
+            pool.query(`SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC${pagination}`, qb.params),
+            pool.query(`SELECT COUNT(*) AS total FROM audit_log ${countWhere}`, countQb.params)
+        ]);
+
+        const totalCount = parseInt(countResult.rows[0].total);
+        const totalPages = Math.ceil(totalCount / limit);
+        const hasNextPage = page < totalPages;
+        const hasPreviousPage = page > 1;
+
+        res.status(200).json({
+            success: true,
+            data: recordsResult.rows.map(formatAuditRecord),
+            pagination: {
+                currentPage: page,
+                totalPages: totalPages,
+                totalItems: totalCount,
+                itemsPerPage: limit,
+                hasNextPage: hasNextPage,
+                hasPreviousPage: hasPreviousPage,
+                nextPage: hasNextPage ? page + 1 : null,
+                previousPage: hasPreviousPage ? page - 1 : null
+            },
+            filters: {
+                ...filters,
+                appliedStartTimestamp: startTimestamp,
+                appliedEndTimestamp: endTimestamp
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching audit log:", error);
+        res.status(500).json({
+            success: false,
+            error: "Error fetching audit log"
+        });
+    }
+};
+
+module.exports = {
+    getAuditLogs
+};
@@ -1,5 +1,12 @@
 const { createAuthMiddleware } = require("../lib/jwksAuth");
+const { attachPermissions } = require("../lib/rbac");
+const { attachDataScope } = require("../lib/dataScope");
 
-const authController = createAuthMiddleware();
+function postVerify(payload, req) {
+  attachPermissions(payload, req);
+  attachDataScope(payload, req);
+}
+
+const authController = createAuthMiddleware({ postVerify });
 
 module.exports = authController;
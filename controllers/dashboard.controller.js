@@ -3,7 +3,20 @@ const { getTotalFeedbackCount, getTotalLikesDislikesCount } = require('./feedbac
 const { getTotalQuestionsCount } = require('./questions.controller');
 const { getTotalSessionsCount } = require('./sessions.controller');
 const { getTotalUsersCount } = require('./user.controller');
-const { parseDateRange } = require('../utils/dateUtils');
+const { DEFAULT_TIMEZONE, parseDateRange, getZonedParts, formatZonedDay, createZonedTimestamp } = require('../utils/dateUtils');
+const { getRegionGroupsUtil } = require('../middleware/villageMiddleware');
+const {
+    FILTER_SPECS,
+    createQueryBuilder,
+    normalizeFilters,
+    buildConditions,
+    buildRangeConditions,
+    buildRegionCondition,
+    buildChannelCondition,
+    andClause
+} = require('../utils/queryBuilder');
+const { planRollupRange, buildRollupConditions, rawRangesFor } = require('../services/rollupService');
+const { resolveComparisonRange, buildComparison } = require('../utils/compareUtils');
 
 /**
  * GET /dashboard/user-logins?granularity=daily|hourly
@@ -12,12 +25,19 @@ const { parseDateRange } = require('../utils/dateUtils');
 const getUserLoginAnalytics = async (req, res) => {
     try {
         const granularity = req.query.granularity === 'hourly' ? 'hourly' : 'daily';
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const qb = createQueryBuilder();
+        const regionFilter = villageCodes
+            ? ` AND ${buildRegionCondition(qb, villageCodes, FILTER_SPECS.errors)}`
+            : '';
+        // Days and hours are calendar slots in the requested timezone
+        const tz = qb.param(req.timezone);
 
         if (granularity === 'daily') {
-            // Last 40 days including today
+            // Today and the previous 7 days
             const result = await pool.query(`
                 SELECT 
-                    to_char(to_timestamp(ets / 1000)::date, 'YYYY-MM-DD') as date,
+                    to_char((to_timestamp(ets / 1000) AT TIME ZONE ${tz})::date, 'YYYY-MM-DD') as date,
                     COUNT(DISTINCT uid) as unique_logins,
                     array_agg(DISTINCT uid) as uids
                 FROM (
@@ -25,18 +45,16 @@ const getUserLoginAnalytics = async (req, res) => {
                     UNION ALL
                     SELECT uid, ets FROM errordetails WHERE uid IS NOT NULL
                 ) AS combined
-                WHERE to_timestamp(ets / 1000)::date >= CURRENT_DATE - INTERVAL '7 days'
+                WHERE (to_timestamp(ets / 1000) AT TIME ZONE ${tz})::date >= (now() AT TIME ZONE ${tz})::date - 7${regionFilter}
                 GROUP BY date
                 ORDER BY date DESC
-            `);
+            `, qb.params);
 
             // Fill missing days with 0 and empty array for uids
-            const today = new Date();
+            const today = getZonedParts(Date.now(), req.timezone);
             const days = [];
             for (let i = 7; i >= 0; i--) {
-                const d = new Date(today);
-                d.setDate(today.getDate() - i);
-                days.push(d.toISOString().slice(0, 10));
+                days.push(formatZonedDay(Date.UTC(today.year, today.month - 1, today.day - i), 'UTC'));
             }
             const dataMap = {};
             result.rows.forEach(row => {
@@ -62,10 +80,10 @@ const getUserLoginAnalytics = async (req, res) => {
                 ),
                 logins AS (
                     SELECT 
-                        date_trunc('hour', to_timestamp(ets / 1000)) AS hour,
+                        to_char(date_trunc('hour', to_timestamp(ets / 1000) AT TIME ZONE ${tz}), 'YYYY-MM-DD"T"HH24:00') AS hour,
                         uid
                     FROM combined
-                    WHERE to_timestamp(ets / 1000) >= date_trunc('hour', now()) - INTERVAL '11 hours'
+                    WHERE to_timestamp(ets / 1000) >= (date_trunc('hour', now() AT TIME ZONE ${tz}) AT TIME ZONE ${tz}) - INTERVAL '11 hours'${regionFilter}
                 )
                 SELECT 
                     hour,
@@ -73,22 +91,21 @@ const getUserLoginAnalytics = async (req, res) => {
                 FROM logins
                 GROUP BY hour
                 ORDER BY hour DESC
-            `);
+            `, qb.params);
 
             // Get current time and generate past 12 hourly time slots
-            const now = new Date();
+            const now = Date.now();
             const hours = [];
             for (let i = 11; i >= 0; i--) {
-                const h = new Date(now);
-                h.setHours(now.getHours() - i, 0, 0, 0);
-                hours.push(h.toISOString().slice(0, 13) + ':00'); // Format: YYYY-MM-DD HH:00
+                const h = getZonedParts(now - i * 3600000, req.timezone);
+                const day = formatZonedDay(Date.UTC(h.year, h.month - 1, h.day), 'UTC');
+                hours.push(`${day}T${String(h.hour).padStart(2, '0')}:00`); // Format: YYYY-MM-DDTHH:00
             }
 
             // Build a map of hour => unique login count
             const dataMap = {};
             result.rows.forEach(row => {
-                const hour = new Date(row.hour).toISOString().slice(0, 13) + ':00';
-                dataMap[hour] = parseInt(row.unique_logins, 10);
+                dataMap[row.hour] = parseInt(row.unique_logins, 10);
             });
 
             // Map all 12 hours, filling missing hours with 0
@@ -106,129 +123,307 @@ const getUserLoginAnalytics = async (req, res) => {
     }
 };
 
+/**
+ * Computes the dashboard KPIs of a date range.
+ * Closed days come from the daily rollups, the rest (today, partial days) from raw tables.
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @param {string[]|null} villageCodes
+ * @param {string} timezone - IANA timezone the dates are given in
+ * @returns {Promise<Object>} totalUsers, totalNewUsers, totalSessions, totalQuestions, totalFeedback, totalLikes, totalDislikes
+ */
+async function fetchDashboardStats(startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, timezone);
+  const plan = await planRollupRange(startTimestamp, endTimestamp, timezone);
+  const rawRanges = rawRangesFor(plan, startTimestamp, endTimestamp);
+
+  const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone });
+  const qb = createQueryBuilder();
+  const questionDateFilter = andClause(buildRangeConditions(qb, filters, FILTER_SPECS.questions, rawRanges));
+  const feedbackDateFilter = andClause(buildRangeConditions(qb, filters, FILTER_SPECS.feedback, rawRanges));
+  const errordetailsDateFilter = andClause(
+    buildRangeConditions(qb, filters, { ...FILTER_SPECS.sessions, table: 'errordetails' }, rawRanges)
+  );
+  const rollupFilter = buildRollupConditions(qb, plan, villageCodes).join(' AND ');
+
+  const query = {
+    text: `
+      WITH user_stats AS (
+        SELECT
+          COUNT(DISTINCT uid) AS total_users,
+          COUNT(DISTINCT CASE WHEN is_new THEN uid END) AS new_users
+        FROM (
+          SELECT uid, COALESCE(is_new, 0) = 1 AS is_new
+          FROM questions
+          WHERE uid IS NOT NULL ${questionDateFilter}
+          UNION ALL
+          SELECT uid, is_new
+          FROM daily_user_activity
+          WHERE ${rollupFilter}
+        ) active_users
+      ),
+      rollup_stats AS (
+        SELECT
+          COALESCE(SUM(questions), 0) AS questions,
+          COALESCE(SUM(feedback), 0) AS feedback,
+          COALESCE(SUM(likes), 0) AS likes,
+          COALESCE(SUM(dislikes), 0) AS dislikes
+        FROM daily_village_rollup
+        WHERE ${rollupFilter}
+      ),
+      session_stats AS (
+        -- sid+uid pairs from questions, feedback and errordetails, plus the
+        -- session keys of rollup days, each counted once
+        SELECT COUNT(DISTINCT CONCAT(sid, '_', uid)) AS total_sessions
+        FROM (
+          SELECT sid, uid
+          FROM questions
+          WHERE sid IS NOT NULL AND answertext IS NOT NULL ${questionDateFilter}
+          UNION ALL
+          SELECT sid, uid
+          FROM feedback
+          WHERE sid IS NOT NULL ${feedbackDateFilter}
+          UNION ALL
+          SELECT sid, uid
+          FROM errordetails
+          WHERE sid IS NOT NULL ${errordetailsDateFilter}
+          UNION ALL
+          SELECT sid, uid
+          FROM daily_session_activity
+          WHERE ${rollupFilter}
+        ) combined_sessions
+      ),
+      question_stats AS (
+        SELECT COUNT(*) AS total_questions
+        FROM questions
+        WHERE uid IS NOT NULL AND answertext IS NOT NULL ${questionDateFilter}
+      ),
+      feedback_stats AS (
+        SELECT 
+          COUNT(*) AS total_feedback,
+          COUNT(CASE WHEN feedbacktype = 'like' THEN 1 END) AS total_likes,
+          COUNT(CASE WHEN feedbacktype = 'dislike' THEN 1 END) AS total_dislikes
+        FROM feedback
+        WHERE feedbacktext IS NOT NULL AND questiontext IS NOT NULL ${feedbackDateFilter}
+      )
+      SELECT 
+        us.total_users,
+        us.new_users,
+        ss.total_sessions,
+        qs.total_questions + rs.questions AS total_questions,
+        fs.total_feedback + rs.feedback AS total_feedback,
+        fs.total_likes + rs.likes AS total_likes,
+        fs.total_dislikes + rs.dislikes AS total_dislikes
+      FROM user_stats us
+      CROSS JOIN session_stats ss
+      CROSS JOIN question_stats qs
+      CROSS JOIN feedback_stats fs
+      CROSS JOIN rollup_stats rs
+    `,
+    values: qb.params
+  };
+
+  //     const total_questions = await getTotalQuestionsCount(null, startDate, endDate);
+  //   const users = await getTotalUsersCount(null, startDate, endDate);
+  //   const total_sessions = await getTotalSessionsCount(null, startDate, endDate);
+  //   const total_feedback = await getTotalFeedbackCount(null, startDate, endDate);
+  //   const feedbacks = await getTotalLikesDislikesCount(null, startDate, endDate);
+
+  const result = await pool.query(query);
+  const stats = result.rows[0];
+
+  return {
+    totalUsers: parseInt(stats.total_users) || 0,
+    totalNewUsers: parseInt(stats.new_users) || 0,
+    totalSessions: parseInt(stats.total_sessions) || 0,
+    totalQuestions: parseInt(stats.total_questions) || 0,
+    totalFeedback: parseInt(stats.total_feedback) || 0,
+    totalLikes: parseInt(stats.total_likes) || 0,
+    totalDislikes: parseInt(stats.total_dislikes) || 0
+  };
+}
+
 // Get overall dashboard statistics - OPTIMIZED to return only essential metrics
 const getDashboardStats = async (req, res) => {
   try {
     const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
     const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+
+    if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+      return res.status(400).json({ success: false, error: "Invalid date format" });
+    }
+
+    const comparison = resolveComparisonRange(req.query.compare, startTimestamp, endTimestamp, req.timezone);
+    if (comparison && comparison.error) {
+      return res.status(400).json({ success: false, error: comparison.error });
+    }
+
+    const [data, previous] = await Promise.all([
+      fetchDashboardStats(startDate, endDate, villageCodes, req.timezone),
+      comparison
+        ? fetchDashboardStats(comparison.startDate, comparison.endDate, villageCodes, req.timezone)
+        : null
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data,
+      filters: {
+        startDate,
+        endDate,
+        appliedStartTimestamp: startTimestamp,
+        appliedEndTimestamp: endTimestamp
+      },
+      ...(comparison && { comparison: buildComparison(comparison, data, previous) })
+    });
+
+  } catch (error) {
+    console.error("Error fetching dashboard stats:", error);
+    res.status(500).json({ success: false, error: "Error fetching dashboard statistics" });
+  }
+};
+
+const REGION_SORT_FIELDS = [
+  'totalUsers',
+  'totalNewUsers',
+  'totalSessions',
+  'totalQuestions',
+  'totalFeedback',
+  'totalLikes',
+  'totalDislikes'
+];
+
+/**
+ * GET /dashboard/stats/by-region
+ * Returns the dashboard KPIs per district, or per taluka when district_code is given.
+ * Every region of the hierarchy is returned (zero-filled) so the frontend can
+ * render a complete choropleth.
+ */
+const getDashboardStatsByRegion = async (req, res) => {
+  try {
+    const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
+    const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+    const sortBy = REGION_SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : 'totalQuestions';
+    const sortOrder = req.query.sortOrder === 'asc' ? 'asc' : 'desc';
+    const region = req.regionFilter;
 
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
 
     if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
       return res.status(400).json({ success: false, error: "Invalid date format" });
     }
 
-    const queryParams = [];
-    let paramIndex = 0;
-    let questionDateFilter = '';
-    let feedbackDateFilter = '';
-    let errordetailsDateFilter = '';
-    let futureFilter = '';
-
-    if (startTimestamp !== null) {
-      paramIndex++;
-      questionDateFilter += ` AND ets >= $${paramIndex}`;
-      feedbackDateFilter += ` AND ets >= $${paramIndex}`;
-      errordetailsDateFilter += ` AND ets >= $${paramIndex}`
-      queryParams.push(startTimestamp);
+    const level = region && region.district_code ? 'taluka' : 'district';
+    const groups = getRegionGroupsUtil(level, region ? region.village_codes : null);
+
+    if (groups.length === 0) {
+      return res.status(404).json({ success: false, error: "No regions found" });
     }
 
-    if (endTimestamp !== null) {
-      paramIndex++;
-      questionDateFilter += ` AND ets <= $${paramIndex}`;
-      feedbackDateFilter += ` AND ets <= $${paramIndex}`;
-      errordetailsDateFilter += ` AND ets <= $${paramIndex}`;
-      queryParams.push(endTimestamp);
+    // lgd_code -> region code lookup passed to Postgres as two parallel arrays
+    const lgdCodes = [];
+    const regionCodes = [];
+    for (const group of groups) {
+      for (const villageCode of group.village_codes) {
+        lgdCodes.push(villageCode);
+        regionCodes.push(group.code);
+      }
     }
 
-    paramIndex++;
-    queryParams.push(Date.now());
-    futureFilter = ` AND ets <= $${paramIndex}`;
+    const filters = normalizeFilters({ startDate, endDate, timezone: req.timezone });
+    const qb = createQueryBuilder([lgdCodes, regionCodes]);
+    const questionDateFilter = andClause(buildConditions(qb, filters, FILTER_SPECS.questions, { alias: 'q' }));
+    const feedbackDateFilter = andClause(buildConditions(qb, filters, FILTER_SPECS.feedback, { alias: 'f' }));
+    const errordetailsDateFilter = andClause(
+      buildConditions(qb, filters, { ...FILTER_SPECS.sessions, table: 'errordetails' }, { alias: 'e' })
+    );
 
     const query = {
       text: `
-        WITH user_stats AS (
+        WITH region_map AS (
+          SELECT * FROM unnest($1::text[], $2::text[]) AS r(lgd_code, region_code)
+        ),
+        user_regions AS (
+          -- a user belongs to the region of their latest registered location
+          SELECT DISTINCT ON (q.uid) q.uid, rm.region_code
+          FROM questions q
+          JOIN region_map rm ON rm.lgd_code = q.registered_location->>'lgd_code'
+          WHERE q.uid IS NOT NULL
+          ORDER BY q.uid, q.ets DESC
+        ),
+        region_questions AS (
+          SELECT rm.region_code, q.uid, q.sid, q.is_new
+          FROM questions q
+          JOIN region_map rm ON rm.lgd_code = q.registered_location->>'lgd_code'
+          WHERE q.uid IS NOT NULL AND q.answertext IS NOT NULL ${questionDateFilter}
+        ),
+        question_stats AS (
           SELECT
+            region_code,
             COUNT(DISTINCT uid) AS total_users,
-            COUNT(DISTINCT CASE WHEN COALESCE(is_new, 0) = 1 THEN uid END) AS new_users
-          FROM questions
-          WHERE uid IS NOT NULL ${questionDateFilter}
+            COUNT(DISTINCT CASE WHEN COALESCE(is_new, 0) = 1 THEN uid END) AS new_users,
+            COUNT(*) AS total_questions
+          FROM region_questions
+          GROUP BY region_code
         ),
         session_stats AS (
-          -- combine all session-related rows from questions, feedback and errordetails
-          WITH combined_sessions AS (
-            SELECT
-              sid,
-              uid,
-              questiontext,
-              ets
-            FROM questions
-            WHERE sid IS NOT NULL AND answertext IS NOT NULL ${questionDateFilter} ${futureFilter}
-            UNION ALL
-            SELECT
-              sid,
-              uid,
-              NULL AS questiontext,
-              ets
-            FROM feedback
-            WHERE sid IS NOT NULL ${feedbackDateFilter} ${futureFilter}
-            UNION ALL
-            SELECT
-              sid,
-              uid,
-              NULL AS questiontext,
-              ets
-            FROM errordetails
-            WHERE sid IS NOT NULL ${errordetailsDateFilter} ${futureFilter}
-          )
-          SELECT COUNT(*) AS total_sessions
+          SELECT region_code, COUNT(*) AS total_sessions
           FROM (
-            SELECT sid, uid, COUNT(questiontext) AS question_count, MAX(ets) AS session_time
-            FROM combined_sessions
-            GROUP BY sid, uid
-          ) session_groups
-        ),
-        question_stats AS (
-          SELECT COUNT(*) AS total_questions
-          FROM questions
-          WHERE uid IS NOT NULL AND answertext IS NOT NULL ${questionDateFilter}
+            SELECT region_code, sid, uid FROM region_questions WHERE sid IS NOT NULL
+            UNION
+            SELECT ur.region_code, f.sid, f.uid
+            FROM feedback f
+            JOIN user_regions ur ON ur.uid = f.uid
+            WHERE f.sid IS NOT NULL ${feedbackDateFilter}
+            UNION
+            SELECT ur.region_code, e.sid, e.uid
+            FROM errordetails e
+            JOIN user_regions ur ON ur.uid = e.uid
+            WHERE e.sid IS NOT NULL ${errordetailsDateFilter}
+          ) region_sessions
+          GROUP BY region_code
         ),
         feedback_stats AS (
-          SELECT 
+          SELECT
+            ur.region_code,
             COUNT(*) AS total_feedback,
-            COUNT(CASE WHEN feedbacktype = 'like' THEN 1 END) AS total_likes,
-            COUNT(CASE WHEN feedbacktype = 'dislike' THEN 1 END) AS total_dislikes
-          FROM feedback
-          WHERE feedbacktext IS NOT NULL AND questiontext IS NOT NULL ${feedbackDateFilter}
+            COUNT(CASE WHEN f.feedbacktype = 'like' THEN 1 END) AS total_likes,
+            COUNT(CASE WHEN f.feedbacktype = 'dislike' THEN 1 END) AS total_dislikes
+          FROM feedback f
+          JOIN user_regions ur ON ur.uid = f.uid
+          WHERE f.feedbacktext IS NOT NULL AND f.questiontext IS NOT NULL ${feedbackDateFilter}
+          GROUP BY ur.region_code
         )
-        SELECT 
-          us.total_users,
-          us.new_users,
-          ss.total_sessions,
-          qs.total_questions,
-          fs.total_feedback,
-          fs.total_likes,
-          fs.total_dislikes
-        FROM user_stats us
-        CROSS JOIN session_stats ss
-        CROSS JOIN question_stats qs
-        CROSS JOIN feedback_stats fs
+        SELECT
+          r.region_code,
+          COALESCE(qs.total_users, 0) AS total_users,
+          COALESCE(qs.new_users, 0) AS new_users,
+          COALESCE(ss.total_sessions, 0) AS total_sessions,
+          COALESCE(qs.total_questions, 0) AS total_questions,
+          COALESCE(fs.total_feedback, 0) AS total_feedback,
+          COALESCE(fs.total_likes, 0) AS total_likes,
+          COALESCE(fs.total_dislikes, 0) AS total_dislikes
+        FROM (SELECT DISTINCT region_code FROM region_map) r
+        LEFT JOIN question_stats qs ON qs.region_code = r.region_code
+        LEFT JOIN session_stats ss ON ss.region_code = r.region_code
+        LEFT JOIN feedback_stats fs ON fs.region_code = r.region_code
       `,
-      values: queryParams
+      values: qb.params
     };
 
-    //     const total_questions = await getTotalQuestionsCount(null, startDate, endDate);
-    //   const users = await getTotalUsersCount(null, startDate, endDate);
-    //   const total_sessions = await getTotalSessionsCount(null, startDate, endDate);
-    //   const total_feedback = await getTotalFeedbackCount(null, startDate, endDate);
-    //   const feedbacks = await getTotalLikesDislikesCount(null, startDate, endDate);
-
     const result = await pool.query(query);
-    const stats = result.rows[0];
+    const statsByRegion = new Map(result.rows.map((row) => [row.region_code, row]));
 
-    res.status(200).json({
-      success: true,
-      data: {
+    const data = groups.map((group) => {
+      const stats = statsByRegion.get(group.code) || {};
+      const entry = {
+        regionCode: group.code,
+        regionName: group.name,
+        regionNameMarathi: group.name_marathi,
+        totalVillages: group.village_codes.length,
         totalUsers: parseInt(stats.total_users) || 0,
         totalNewUsers: parseInt(stats.new_users) || 0,
         totalSessions: parseInt(stats.total_sessions) || 0,
@@ -236,21 +431,178 @@ const getDashboardStats = async (req, res) => {
         totalFeedback: parseInt(stats.total_feedback) || 0,
         totalLikes: parseInt(stats.total_likes) || 0,
         totalDislikes: parseInt(stats.total_dislikes) || 0
-      },
+      };
+      if (level === 'taluka') {
+        entry.districtCode = group.district_code;
+        entry.districtName = group.district_name;
+        entry.districtNameMarathi = group.district_name_marathi;
+      }
+      return entry;
+    });
+
+    data.sort((a, b) => (sortOrder === 'asc' ? a[sortBy] - b[sortBy] : b[sortBy] - a[sortBy]));
+    data.forEach((entry, index) => {
+      entry.rank = index + 1;
+    });
+
+    res.status(200).json({
+      success: true,
+      level,
+      data,
       filters: {
         startDate,
         endDate,
+        district_code: region && region.district_code ? region.district_code : null,
+        sortBy,
+        sortOrder,
         appliedStartTimestamp: startTimestamp,
         appliedEndTimestamp: endTimestamp
       }
     });
 
   } catch (error) {
-    console.error("Error fetching dashboard stats:", error);
-    res.status(500).json({ success: false, error: "Error fetching dashboard statistics" });
+    console.error("Error fetching dashboard stats by region:", error);
+    res.status(500).json({ success: false, error: "Error fetching dashboard statistics by region" });
   }
 };
 
+/**
+ * Tables a user counts as active from, with the timestamptz expression of each row.
+ */
+const ACTIVITY_SOURCES = [
+    { spec: FILTER_SPECS.questions, time: 'TO_TIMESTAMP(ets / 1000)' },
+    { spec: FILTER_SPECS.feedback, time: 'TO_TIMESTAMP(ets / 1000)' },
+    { spec: FILTER_SPECS.errors, time: 'created_at::timestamptz' }
+];
+const ACTIVE_USERS_DEFAULT_DAYS = 30;
+const ACTIVE_USERS_MAX_DAYS = parseInt(process.env.ACTIVE_USERS_MAX_DAYS, 10) || 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GET /dashboard/active-users?startDate=&endDate=&channel=
+ * For every day of the range (in the request timezone) returns DAU, WAU (7 days
+ * ending that day), MAU (30 days ending that day) and the DAU/MAU ratio. A user is
+ * active on a day when they asked a question, gave feedback or hit an error.
+ */
+const getActiveUserMetrics = async (req, res) => {
+    try {
+        const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
+        const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        let { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+        if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+            return res.status(400).json({ success: false, error: "Invalid date format" });
+        }
+
+        // Open ends default to today and the ACTIVE_USERS_DEFAULT_DAYS days up to it
+        if (endTimestamp === null) {
+            endTimestamp = Date.now();
+        }
+        if (startTimestamp === null) {
+            startTimestamp = endTimestamp - (ACTIVE_USERS_DEFAULT_DAYS - 1) * DAY_MS;
+        }
+        if (startTimestamp > endTimestamp) {
+            return res.status(400).json({ success: false, error: "Start date cannot be after end date" });
+        }
+        if ((endTimestamp - startTimestamp) / DAY_MS >= ACTIVE_USERS_MAX_DAYS) {
+            return res.status(400).json({
+                success: false,
+                error: `Date range too large (at most ${ACTIVE_USERS_MAX_DAYS} days)`
+            });
+        }
+
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const channels = req.query.channel
+            ? String(req.query.channel).split(',').map((channel) => channel.trim()).filter(Boolean)
+            : [];
+
+        // MAU of the first day needs the 29 days before it
+        const firstDay = getZonedParts(startTimestamp, req.timezone);
+        const lookbackStart = createZonedTimestamp(
+            firstDay.year, firstDay.month - 1, firstDay.day - 29, 0, 0, 0, 0, req.timezone
+        );
+
+        const qb = createQueryBuilder();
+        const tz = qb.param(req.timezone);
+        const filters = {
+            ...normalizeFilters({ villageCodes, timezone: req.timezone }),
+            startTimestamp: lookbackStart,
+            endTimestamp
+        };
+        const selects = ACTIVITY_SOURCES.map(({ spec, time }) => {
+            const conditions = buildConditions(qb, filters, spec, { search: false });
+            if (channels.length > 0) {
+                conditions.push(buildChannelCondition(qb, channels));
+            }
+            return `SELECT uid, ${time} AS activity_time FROM ${spec.table} WHERE uid IS NOT NULL${andClause(conditions)}`;
+        });
+        const firstDayParam = qb.param(formatZonedDay(startTimestamp, req.timezone));
+        const lastDayParam = qb.param(formatZonedDay(endTimestamp, req.timezone));
+
+        const result = await pool.query(`
+            WITH activity AS (
+                SELECT DISTINCT uid, (activity_time AT TIME ZONE ${tz})::date AS day
+                FROM (
+                    ${selects.join('\n                    UNION ALL\n                    ')}
+                ) AS combined
+            ),
+            days AS (
+                SELECT generate_series(${firstDayParam}::date, ${lastDayParam}::date, INTERVAL '1 day')::date AS day
+            )
+            SELECT
+                TO_CHAR(d.day, 'YYYY-MM-DD') AS date,
+                COUNT(DISTINCT a.uid) FILTER (WHERE a.day = d.day) AS dau,
+                COUNT(DISTINCT a.uid) FILTER (WHERE a.day > d.day - 7) AS wau,
+                COUNT(DISTINCT a.uid) AS mau,
+                (SELECT COUNT(DISTINCT uid) FROM activity WHERE day >= ${firstDayParam}::date) AS unique_users
+            FROM days d
+            LEFT JOIN activity a ON a.day > d.day - 30 AND a.day <= d.day
+            GROUP BY d.day
+            ORDER BY d.day
+        `, qb.params);
+
+        const ratio = (dau, mau) => (mau > 0 ? Math.round((dau / mau) * 10000) / 10000 : 0);
+        const data = result.rows.map((row) => {
+            const dau = parseInt(row.dau) || 0;
+            const mau = parseInt(row.mau) || 0;
+            return {
+                date: row.date,
+                dau,
+                wau: parseInt(row.wau) || 0,
+                mau,
+                dauMauRatio: ratio(dau, mau)
+            };
+        });
+
+        const average = (key) => (data.length > 0
+            ? Math.round((data.reduce((sum, day) => sum + day[key], 0) / data.length) * 100) / 100
+            : 0);
+        const summary = {
+            uniqueUsers: result.rows.length > 0 ? parseInt(result.rows[0].unique_users) || 0 : 0,
+            averageDau: average('dau'),
+            averageWau: average('wau'),
+            averageMau: average('mau'),
+            dauMauRatio: ratio(average('dau'), average('mau'))
+        };
+
+        res.status(200).json({
+            success: true,
+            data,
+            summary,
+            metadata: {
+                timezone: req.timezone,
+                channels: channels.length > 0 ? channels : null,
+                dateRange: {
+                    start: startTimestamp,
+                    end: endTimestamp
+                }
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching active user metrics:", error);
+        res.status(500).json({ success: false, error: "Error fetching active user metrics" });
+    }
+};
+
 const getUserGraph = async (req, res) => {
     try {
         res.status(200).json({
@@ -269,5 +621,7 @@ const getUserGraph = async (req, res) => {
 module.exports = {
     getUserLoginAnalytics,
     getDashboardStats,
+    getDashboardStatsByRegion,
+    getActiveUserMetrics,
     getUserGraph
 };
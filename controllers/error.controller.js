@@ -1,18 +1,167 @@
 const pool = require("../services/db");
-const { formatUTCToISTDateTime, parseDateRange } = require("../utils/dateUtils");
+const { DEFAULT_TIMEZONE, formatZonedDateTime, parseDateRange } = require("../utils/dateUtils");
+const {
+  FILTER_SPECS,
+  createQueryBuilder,
+  normalizeFilters,
+  buildConditions,
+  buildRegionCondition,
+  andClause,
+  buildOrderBy,
+  buildPagination,
+} = require("../utils/queryBuilder");
+const { resolveComparisonRange, buildComparison } = require("../utils/compareUtils");
+const { ERROR_TYPES, DEFAULT_ERROR_TYPE, buildErrorFingerprintSql } = require("../lib/errorFingerprint");
+const { parseErrorContext, normalizeEndpoint, buildErrorContextSql } = require("../lib/errorContext");
+const { ERROR_STATUSES, getGroupHistory, updateGroupStatus } = require("../services/errorStatusService");
+
+const FINGERPRINT_PATTERN = /^[0-9a-f]{16}$/;
+const MAX_ASSIGNEE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+
+// Dimensions accepted by GET /errors/stats?groupBy=, mapped to buildErrorContextSql expressions
+const ERROR_BREAKDOWN_DIMENSIONS = {
+  endpoint: "endpoint",
+  statusCode: "statusCode",
+};
+const ERROR_BREAKDOWN_LIMIT = 50;
+
+// Sortable fields accepted by GET /errors
+const ERROR_SORT_COLUMNS = {
+  created_at: "created_at",
+  user_id: "user_id",
+  session_id: "session_id",
+  error_message: "error_message",
+  error_type: "error_type",
+};
 
-async function fetchAllErrorsFromDB(
-  page = 1,
-  limit = 10,
+// Sortable fields accepted by GET /errors/groups
+const ERROR_GROUP_SORT_COLUMNS = {
+  occurrences: "occurrences",
+  affected_users: "affected_users",
+  affected_sessions: "affected_sessions",
+  first_seen: "first_seen",
+  last_seen: "last_seen",
+};
+
+/**
+ * Parses a comma-separated status filter.
+ * @param {string|undefined} value - req.query.status
+ * @returns {{ error: string }|{ statuses: string[] }} Empty list when no filter was given
+ */
+function parseStatusFilter(value) {
+  const statuses = value
+    ? [...new Set(String(value).split(",").map((status) => status.trim()).filter(Boolean))]
+    : [];
+  const unknown = statuses.filter((status) => !ERROR_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    return { error: `Invalid status: ${unknown.join(", ")}. Must be one of: ${ERROR_STATUSES.join(", ")}` };
+  }
+  return { statuses };
+}
+
+/**
+ * Parses the endpoint and comma-separated statusCode filters.
+ * @param {Object} query - req.query
+ * @returns {{ error: string }|{ endpoint: string, statusCodes: string[] }}
+ */
+function parseContextFilters(query) {
+  const endpoint = query.endpoint ? String(query.endpoint).trim() : "";
+  if (endpoint && !endpoint.startsWith("/")) {
+    return { error: "Invalid endpoint. Must be a path starting with /" };
+  }
+
+  const statusCodes = query.statusCode
+    ? [...new Set(String(query.statusCode).split(",").map((code) => code.trim()).filter(Boolean))]
+    : [];
+  const invalid = statusCodes.filter((code) => !/^[1-5][0-9][0-9]$/.test(code));
+  if (invalid.length > 0) {
+    return { error: `Invalid statusCode: ${invalid.join(", ")}. Must be HTTP status codes, e.g. 500,502` };
+  }
+
+  return { endpoint: normalizeEndpoint(endpoint) || "", statusCodes };
+}
+
+/**
+ * Join exposing the resolution status of each errordetails row's group as
+ * group_status, group_assignee, group_resolved_at and group_resolved_by.
+ * @param {Object} sql - Expressions from buildErrorFingerprintSql
+ * @returns {string}
+ */
+function groupStatusJoin(sql) {
+  return `
+        LEFT JOIN LATERAL (
+            SELECT
+                status as group_status,
+                assignee as group_assignee,
+                resolved_at as group_resolved_at,
+                resolved_by as group_resolved_by
+            FROM error_group_status
+            WHERE fingerprint = ${sql.fingerprint}
+        ) gs ON TRUE`;
+}
+
+/**
+ * Builds the filter conditions of an errordetails query, including the
+ * optional error type, fingerprint, group status, endpoint and status code
+ * filters. The status filter expects the query to include groupStatusJoin.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} filters - Object from normalizeFilters
+ * @param {Object} sql - Expressions from buildErrorFingerprintSql
+ * @param {Object} [options] - errorType, fingerprint, statuses, endpoint, statusCodes and the buildConditions options
+ * @returns {string[]}
+ */
+function buildErrorConditions(qb, filters, sql, {
+  errorType = "",
+  fingerprint = "",
+  statuses = [],
+  endpoint = "",
+  statusCodes = [],
+  ...options
+} = {}) {
+  const conditions = buildConditions(qb, filters, FILTER_SPECS.errors, options);
+  const context = buildErrorContextSql(qb);
+  if (errorType) {
+    conditions.push(`${sql.errorType} = ${qb.param(errorType)}`);
+  }
+  if (fingerprint) {
+    conditions.push(`${sql.fingerprint} = ${qb.param(fingerprint)}`);
+  }
+  if (statuses.length > 0) {
+    conditions.push(`COALESCE(gs.group_status, 'open') = ANY(${qb.param(statuses)}::text[])`);
+  }
+  if (endpoint) {
+    conditions.push(`${context.endpoint} = ${qb.param(endpoint)}`);
+  }
+  if (statusCodes.length > 0) {
+    conditions.push(`${context.statusCode} = ANY(${qb.param(statusCodes)}::text[])`);
+  }
+  return conditions;
+}
+
+/**
+ * Builds the filtered and sorted errors list query without pagination.
+ * Shared by the paginated list and the CSV/XLSX export.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} [options] - search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone, errorType, fingerprint, statuses, endpoint, statusCodes
+ * @returns {string}
+ */
+function buildErrorsListQuery(qb, {
   search = "",
   startDate = null,
   endDate = null,
-  errorType = "",
   sortBy = null,
-  sortOrder = "DESC"
-) {
-  const offset = (page - 1) * limit;
-  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+  sortOrder = "DESC",
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE,
+  errorType = "",
+  fingerprint = "",
+  statuses = [],
+  endpoint = "",
+  statusCodes = []
+} = {}) {
+  const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+  const sql = buildErrorFingerprintSql(qb);
 
   // Base query using actual errordetails table structure
   let query = `
@@ -25,57 +174,51 @@ async function fetchAllErrorsFromDB(
             groupdetails,
             channel,
             ets,
-            created_at
-        FROM errordetails
+            created_at,
+            ${sql.errorType} as error_type,
+            ${sql.fingerprint} as fingerprint,
+            gs.*
+        FROM errordetails${groupStatusJoin(sql)}
         WHERE errortext IS NOT NULL
     `;
 
-  const queryParams = [];
-  let paramIndex = 0;
-
-  // Add date range filtering using created_at
-  if (startTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at >= $${paramIndex}`;
-    queryParams.push(new Date(startTimestamp));
-  }
-
-  if (endTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at <= $${paramIndex}`;
-    queryParams.push(new Date(endTimestamp));
-  }
-
-  // Add search functionality if search term is provided
-  if (search && search.trim() !== "") {
-    paramIndex++;
-    query += ` AND (
-            errortext ILIKE $${paramIndex} OR 
-            channel ILIKE $${paramIndex} OR 
-            uid ILIKE $${paramIndex} OR
-            sid ILIKE $${paramIndex} OR
-            qid ILIKE $${paramIndex}
-        )`;
-    queryParams.push(`%${search.trim()}%`);
-  }
-
-     const sortArray = ["created_at", "user_id", "session_id", "error_message"];
-  if (sortArray.includes(sortBy)) {
-    query += ` ORDER BY ${sortBy} ${sortOrder}`;
-  } else {
-    query += ` ORDER BY created_at DESC`;
-  }
-
-  // Add pagination
-  paramIndex++;
-  query += ` LIMIT $${paramIndex}`;
-  queryParams.push(limit);
-
-  paramIndex++;
-  query += ` OFFSET $${paramIndex}`;
-  queryParams.push(offset);
+  query += andClause(buildErrorConditions(qb, filters, sql, { errorType, fingerprint, statuses, endpoint, statusCodes }));
+  query += buildOrderBy(sortBy, sortOrder, ERROR_SORT_COLUMNS, "created_at DESC");
+  return query;
+}
 
-  const result = await pool.query(query, queryParams);
+async function fetchAllErrorsFromDB(
+  page = 1,
+  limit = 10,
+  search = "",
+  startDate = null,
+  endDate = null,
+  errorType = "",
+  sortBy = null,
+  sortOrder = "DESC",
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE,
+  { statuses = [], endpoint = "", statusCodes = [] } = {}
+) {
+  const offset = (page - 1) * limit;
+  const qb = createQueryBuilder();
+
+  let query = buildErrorsListQuery(qb, {
+    search,
+    startDate,
+    endDate,
+    sortBy,
+    sortOrder,
+    villageCodes,
+    timezone,
+    errorType,
+    statuses,
+    endpoint,
+    statusCodes,
+  });
+  query += buildPagination(qb, limit, offset);
+
+  const result = await pool.query(query, qb.params);
   return result.rows;
 }
 
@@ -83,94 +226,63 @@ async function getTotalErrorCount(
   search = "",
   startDate = null,
   endDate = null,
-  errorType = ""
+  errorType = "",
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE,
+  { statuses = [], endpoint = "", statusCodes = [] } = {}
 ) {
-  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+  const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+  const qb = createQueryBuilder();
+  const sql = buildErrorFingerprintSql(qb);
 
   let query = `
         SELECT COUNT(*) as total
-        FROM errordetails
+        FROM errordetails${statuses.length > 0 ? groupStatusJoin(sql) : ""}
         WHERE errortext IS NOT NULL
     `;
 
-  const queryParams = [];
-  let paramIndex = 0;
-
-  // Add date range filtering
-  if (startTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at >= $${paramIndex}`;
-    queryParams.push(new Date(startTimestamp));
-  }
-
-  if (endTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at <= $${paramIndex}`;
-    queryParams.push(new Date(endTimestamp));
-  }
-
-  // Add search filter to count query if search term is provided
-  if (search && search.trim() !== "") {
-    paramIndex++;
-    query += ` AND (
-            errortext ILIKE $${paramIndex} OR 
-            channel ILIKE $${paramIndex} OR 
-            uid ILIKE $${paramIndex} OR
-            sid ILIKE $${paramIndex} OR
-            qid ILIKE $${paramIndex}
-        )`;
-    queryParams.push(`%${search.trim()}%`);
-  }
+  query += andClause(buildErrorConditions(qb, filters, sql, { errorType, statuses, endpoint, statusCodes }));
 
-  const result = await pool.query(query, queryParams);
+  const result = await pool.query(query, qb.params);
   return parseInt(result.rows[0].total);
 }
 
-async function getErrorStats(search = "", startDate = null, endDate = null) {
-  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+async function getErrorStats(
+  search = "",
+  startDate = null,
+  endDate = null,
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE,
+  { endpoint = "", statusCodes = [] } = {}
+) {
+  const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+  const qb = createQueryBuilder();
+  const sql = buildErrorFingerprintSql(qb);
 
   let query = `
         SELECT 
             COUNT(*) as total_errors,
+            COUNT(*) FILTER (WHERE gs.group_status = 'resolved') as resolved_errors,
+            COUNT(*) FILTER (WHERE gs.group_status = 'ignored') as ignored_errors,
             COUNT(DISTINCT uid) as unique_users,
             COUNT(DISTINCT sid) as unique_sessions,
             COUNT(DISTINCT channel) as unique_channels
-        FROM errordetails
+        FROM errordetails${groupStatusJoin(sql)}
         WHERE errortext IS NOT NULL
     `;
 
-  const queryParams = [];
-  let paramIndex = 0;
-
-  // Add date range filtering
-  if (startTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at >= $${paramIndex}`;
-    queryParams.push(new Date(startTimestamp));
-  }
+  query += andClause(buildErrorConditions(qb, filters, sql, { endpoint, statusCodes }));
 
-  if (endTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at <= $${paramIndex}`;
-    queryParams.push(new Date(endTimestamp));
-  }
-
-  // Add search filter if search term is provided
-  if (search && search.trim() !== "") {
-    paramIndex++;
-    query += ` AND (
-            errortext ILIKE $${paramIndex} OR 
-            channel ILIKE $${paramIndex} OR 
-            uid ILIKE $${paramIndex}
-        )`;
-    queryParams.push(`%${search.trim()}%`);
-  }
-
-  const result = await pool.query(query, queryParams);
+  const result = await pool.query(query, qb.params);
+  const totalErrors = parseInt(result.rows[0].total_errors) || 0;
+  const resolvedErrors = parseInt(result.rows[0].resolved_errors) || 0;
+  const ignoredErrors = parseInt(result.rows[0].ignored_errors) || 0;
   return {
-    totalErrors: parseInt(result.rows[0].total_errors) || 0,
-    unresolvedErrors: parseInt(result.rows[0].total_errors) || 0, // All errors are considered unresolved
-    resolvedErrors: 0, // No resolved errors in this table structure
+    totalErrors,
+    // Open and acknowledged groups
+    unresolvedErrors: totalErrors - resolvedErrors - ignoredErrors,
+    resolvedErrors,
+    ignoredErrors,
     criticalErrors: parseInt(result.rows[0].total_errors) || 0, // Consider all as critical for now
     avgErrorCount: 1, // Each row is one error occurrence
     uniqueUsers: parseInt(result.rows[0].unique_users) || 0,
@@ -179,34 +291,80 @@ async function getErrorStats(search = "", startDate = null, endDate = null) {
   };
 }
 
-function formatErrorData(errorItem) {
+/**
+ * Counts errors per endpoint or status code, most frequent first.
+ * Errors whose groupdetails do not carry the dimension are counted under null.
+ * @param {string} groupBy - Key of ERROR_BREAKDOWN_DIMENSIONS
+ * @returns {Promise<Object[]>}
+ */
+async function getErrorBreakdown(
+  groupBy,
+  search = "",
+  startDate = null,
+  endDate = null,
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE,
+  { endpoint = "", statusCodes = [] } = {}
+) {
+  const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+  const qb = createQueryBuilder();
+  const sql = buildErrorFingerprintSql(qb);
+  const context = buildErrorContextSql(qb);
+
+  let query = `
+        SELECT
+            ${context[ERROR_BREAKDOWN_DIMENSIONS[groupBy]]} as dimension,
+            COUNT(*) as errors,
+            COUNT(DISTINCT uid) as unique_users,
+            COUNT(DISTINCT sid) as unique_sessions
+        FROM errordetails
+        WHERE errortext IS NOT NULL
+    `;
+
+  query += andClause(buildErrorConditions(qb, filters, sql, { endpoint, statusCodes }));
+  query += ` GROUP BY 1 ORDER BY errors DESC, dimension LIMIT ${qb.param(ERROR_BREAKDOWN_LIMIT)}`;
+
+  const result = await pool.query(query, qb.params);
+  return result.rows.map((row) => ({
+    [groupBy]: groupBy === "statusCode" && row.dimension ? parseInt(row.dimension) : row.dimension,
+    errors: parseInt(row.errors) || 0,
+    uniqueUsers: parseInt(row.unique_users) || 0,
+    uniqueSessions: parseInt(row.unique_sessions) || 0,
+  }));
+}
+
+function formatErrorData(errorItem, timezone = DEFAULT_TIMEZONE) {
   const dateObj = new Date(errorItem.created_at);
 
-  // Use utility function to format UTC to IST
-  const istDateTime = formatUTCToISTDateTime(dateObj);
+  // Use utility function to format UTC in the requested timezone
+  const zonedDateTime = formatZonedDateTime(dateObj, timezone);
+  const context = parseErrorContext(errorItem.groupdetails);
 
   return {
     id: errorItem.id,
-    errorType: "Application Error", // Generic type since not specified in table
+    errorType: errorItem.error_type || DEFAULT_ERROR_TYPE,
+    fingerprint: errorItem.fingerprint || null,
     errorMessage: errorItem.error_message || "No error message available",
-    errorStack: null, // Not available in current table
+    errorStack: context.stack,
     userId: errorItem.user_id,
     sessionId: errorItem.session_id,
     questionId: errorItem.question_id,
-    endpoint: null, // Not available in current table
-    method: null, // Not available in current table
-    statusCode: null, // Not available in current table
+    endpoint: context.endpoint,
+    method: context.method,
+    statusCode: context.statusCode,
     requestData: errorItem.groupdetails, // Use groupdetails as request context
-    userAgent: null, // Not available in current table
+    userAgent: context.userAgent,
     ipAddress: null, // Not available in current table
-    date: istDateTime.date,
-    time: istDateTime.time,
-    fullDate: istDateTime.fullDate, // Original UTC timestamp
-    resolved: false, // No resolution tracking in current table
-    resolvedAt: null,
-    resolvedBy: null,
+    date: zonedDateTime.date,
+    time: zonedDateTime.time,
+    fullDate: zonedDateTime.fullDate, // Original UTC timestamp
+    status: errorItem.group_status || "open",
+    assignee: errorItem.group_assignee || null,
+    resolved: errorItem.group_status === "resolved",
+    resolvedAt: errorItem.group_resolved_at ? new Date(errorItem.group_resolved_at).toISOString() : null,
+    resolvedBy: errorItem.group_resolved_by || null,
     errorCount: 1, // Each row represents one occurrence
-    lastOccurrence: istDateTime.fullDate, // Original UTC timestamp
+    lastOccurrence: zonedDateTime.fullDate, // Original UTC timestamp
     environment: "production", // Default environment
     channel: errorItem.channel,
     ets: errorItem.ets,
@@ -223,9 +381,11 @@ async function getAllErrors(req, res) {
       startDate,
       endDate,
       errorType = "",
+      status,
       sortBy,
       sortOrder = req.query.sortOrder === "asc" ? "ASC" : "DESC"
     } = req.query;
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
@@ -238,6 +398,27 @@ async function getAllErrors(req, res) {
       });
     }
 
+    if (errorType && !ERROR_TYPES.includes(errorType)) {
+      return res.status(400).json({
+        error: `Invalid errorType. Must be one of: ${ERROR_TYPES.join(", ")}`,
+      });
+    }
+
+    const statusFilter = parseStatusFilter(status);
+    if (statusFilter.error) {
+      return res.status(400).json({ error: statusFilter.error });
+    }
+
+    const contextFilter = parseContextFilters(req.query);
+    if (contextFilter.error) {
+      return res.status(400).json({ error: contextFilter.error });
+    }
+    const extraFilters = {
+      statuses: statusFilter.statuses,
+      endpoint: contextFilter.endpoint,
+      statusCodes: contextFilter.statusCodes,
+    };
+
     // Fetch errors from database
     const errors = await fetchAllErrorsFromDB(
       pageNum,
@@ -247,7 +428,10 @@ async function getAllErrors(req, res) {
       endDate,
       errorType,
       sortBy,
-      sortOrder
+      sortOrder,
+      villageCodes,
+      req.timezone,
+      extraFilters
     );
 
     // Get total count for pagination
@@ -255,11 +439,14 @@ async function getAllErrors(req, res) {
       search,
       startDate,
       endDate,
-      errorType
+      errorType,
+      villageCodes,
+      req.timezone,
+      extraFilters
     );
 
     // Format error data
-    const formattedErrors = errors.map(formatErrorData);
+    const formattedErrors = errors.map((row) => formatErrorData(row, req.timezone));
 
     const totalPages = Math.ceil(totalCount / limitNum);
 
@@ -284,7 +471,12 @@ async function getAllErrors(req, res) {
 }
 
 // Controller function to get error by ID
-async function fetchErrorByIdFromDB(id) {
+async function fetchErrorByIdFromDB(id, villageCodes = null) {
+  const qb = createQueryBuilder([id]);
+  const regionFilter = villageCodes
+    ? ` AND ${buildRegionCondition(qb, villageCodes, FILTER_SPECS.errors)}`
+    : "";
+  const sql = buildErrorFingerprintSql(qb);
   const query = `
         SELECT 
             id,
@@ -295,12 +487,15 @@ async function fetchErrorByIdFromDB(id) {
             groupdetails,
             channel,
             ets,
-            created_at
-        FROM errordetails 
-        WHERE id = $1
+            created_at,
+            ${sql.errorType} as error_type,
+            ${sql.fingerprint} as fingerprint,
+            gs.*
+        FROM errordetails${groupStatusJoin(sql)}
+        WHERE id = $1${regionFilter}
     `;
 
-  const result = await pool.query(query, [id]);
+  const result = await pool.query(query, qb.params);
   return result.rows[0];
 }
 
@@ -309,10 +504,14 @@ async function fetchErrorsBySessionIdFromDB(
   page = 1,
   limit = 10,
   startDate = null,
-  endDate = null
+  endDate = null,
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE
 ) {
   const offset = (page - 1) * limit;
-  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+  const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone });
+  const qb = createQueryBuilder([sessionId]);
+  const sql = buildErrorFingerprintSql(qb);
 
   let query = `
         SELECT 
@@ -324,48 +523,31 @@ async function fetchErrorsBySessionIdFromDB(
             groupdetails,
             channel,
             ets,
-            created_at
-        FROM errordetails
+            created_at,
+            ${sql.errorType} as error_type,
+            ${sql.fingerprint} as fingerprint,
+            gs.*
+        FROM errordetails${groupStatusJoin(sql)}
         WHERE sid = $1 AND errortext IS NOT NULL
     `;
 
-  const queryParams = [sessionId];
-  let paramIndex = 1;
-
-  // Add date range filtering
-  if (startTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at >= $${paramIndex}`;
-    queryParams.push(new Date(startTimestamp));
-  }
-
-  if (endTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at <= $${paramIndex}`;
-    queryParams.push(new Date(endTimestamp));
-  }
-
+  query += andClause(buildConditions(qb, filters, FILTER_SPECS.errors, { search: false }));
   query += ` ORDER BY created_at DESC`;
+  query += buildPagination(qb, limit, offset);
 
-  // Add pagination
-  paramIndex++;
-  query += ` LIMIT $${paramIndex}`;
-  queryParams.push(limit);
-
-  paramIndex++;
-  query += ` OFFSET $${paramIndex}`;
-  queryParams.push(offset);
-
-  const result = await pool.query(query, queryParams);
+  const result = await pool.query(query, qb.params);
   return result.rows;
 }
 
 async function getTotalErrorsCountBySession(
   sessionId,
   startDate = null,
-  endDate = null
+  endDate = null,
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE
 ) {
-  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+  const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone });
+  const qb = createQueryBuilder([sessionId]);
 
   let query = `
         SELECT COUNT(*) as total
@@ -373,23 +555,9 @@ async function getTotalErrorsCountBySession(
         WHERE sid = $1 AND errortext IS NOT NULL
     `;
 
-  const queryParams = [sessionId];
-  let paramIndex = 1;
+  query += andClause(buildConditions(qb, filters, FILTER_SPECS.errors, { search: false }));
 
-  // Add date range filtering
-  if (startTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at >= $${paramIndex}`;
-    queryParams.push(new Date(startTimestamp));
-  }
-
-  if (endTimestamp !== null) {
-    paramIndex++;
-    query += ` AND created_at <= $${paramIndex}`;
-    queryParams.push(new Date(endTimestamp));
-  }
-
-  const result = await pool.query(query, queryParams);
+  const result = await pool.query(query, qb.params);
   return parseInt(result.rows[0].total);
 }
 
@@ -401,13 +569,14 @@ async function getErrorById(req, res) {
       return res.status(400).json({ error: "Error ID is required" });
     }
 
-    const error = await fetchErrorByIdFromDB(id);
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+    const error = await fetchErrorByIdFromDB(id, villageCodes);
 
     if (!error) {
       return res.status(404).json({ error: "Error not found" });
     }
 
-    const formattedError = formatErrorData(error);
+    const formattedError = formatErrorData(error, req.timezone);
 
     res.json({
       data: formattedError,
@@ -424,11 +593,37 @@ async function getErrorById(req, res) {
 // Controller function to get error statistics
 const getErrorStatistics = async (req, res) => {
   try {
-    const { search = "", startDate, endDate } = req.query;
+    const { search = "", startDate, endDate, groupBy } = req.query;
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
-    const stats = await getErrorStats(search, startDate, endDate);
+    const contextFilter = parseContextFilters(req.query);
+    if (contextFilter.error) {
+      return res.status(400).json({ error: contextFilter.error });
+    }
+    if (groupBy && !ERROR_BREAKDOWN_DIMENSIONS[groupBy]) {
+      return res.status(400).json({
+        error: `Invalid groupBy. Must be one of: ${Object.keys(ERROR_BREAKDOWN_DIMENSIONS).join(", ")}`,
+      });
+    }
 
-    res.json(stats);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+    const comparison = resolveComparisonRange(req.query.compare, startTimestamp, endTimestamp, req.timezone);
+    if (comparison && comparison.error) {
+      return res.status(400).json({ error: comparison.error });
+    }
+
+    const [stats, previous, breakdown] = await Promise.all([
+      getErrorStats(search, startDate, endDate, villageCodes, req.timezone, contextFilter),
+      comparison
+        ? getErrorStats(search, comparison.startDate, comparison.endDate, villageCodes, req.timezone, contextFilter)
+        : null,
+      groupBy
+        ? getErrorBreakdown(groupBy, search, startDate, endDate, villageCodes, req.timezone, contextFilter)
+        : null,
+    ]);
+
+    const response = comparison ? { ...stats, comparison: buildComparison(comparison, stats, previous) } : stats;
+    res.json(breakdown ? { ...response, groupBy, breakdown } : response);
   } catch (error) {
     console.error("Error fetching error statistics:", error);
     res.status(500).json({
@@ -442,52 +637,80 @@ const getErrorStatistics = async (req, res) => {
 const getErrorGraph = async (req, res) => {
   try {
     const { startDate, endDate, granularity = "day" } = req.query;
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
-    let dateFormat, dateInterval;
+    // Only whitelisted units are interpolated into date_trunc()
+    let truncUnit, dateFormat, dateInterval;
     switch (granularity) {
       case "hour":
+        truncUnit = "hour";
         dateFormat = "YYYY-MM-DD HH24:00:00";
         dateInterval = "1 hour";
         break;
       case "day":
+        truncUnit = "day";
         dateFormat = "YYYY-MM-DD";
         dateInterval = "1 day";
         break;
       case "week":
+        truncUnit = "week";
         dateFormat = 'YYYY-"W"WW';
         dateInterval = "1 week";
         break;
       case "month":
+        truncUnit = "month";
         dateFormat = "YYYY-MM";
         dateInterval = "1 month";
         break;
       default:
+        truncUnit = "day";
         dateFormat = "YYYY-MM-DD";
         dateInterval = "1 day";
     }
 
+    const qb = createQueryBuilder();
+    let rangeStart;
+    let rangeEnd;
+    if (startTimestamp !== null && endTimestamp !== null) {
+      rangeStart = new Date(startTimestamp);
+      rangeEnd = new Date(endTimestamp);
+    } else {
+      // Default to last 30 days if no date range provided
+      rangeEnd = new Date();
+      rangeStart = new Date();
+      rangeStart.setDate(rangeStart.getDate() - 30);
+    }
+    const startParam = qb.param(rangeStart);
+    const endParam = qb.param(rangeEnd);
+    // Periods are calendar buckets in the requested timezone
+    const tz = qb.param(req.timezone);
+    const regionFilter = andClause(
+      buildConditions(qb, normalizeFilters({ villageCodes, timezone: req.timezone }), FILTER_SPECS.errors)
+    );
+
     let query = `
             WITH date_series AS (
                 SELECT generate_series(
-                    date_trunc('${granularity}', $1::timestamp),
-                    date_trunc('${granularity}', $2::timestamp),
+                    date_trunc('${truncUnit}', ${startParam}::timestamptz AT TIME ZONE ${tz}),
+                    date_trunc('${truncUnit}', ${endParam}::timestamptz AT TIME ZONE ${tz}),
                     interval '${dateInterval}'
                 ) AS date_period
             ),
             error_counts AS (
                 SELECT 
-                    date_trunc('${granularity}', created_at) as error_period,
+                    date_trunc('${truncUnit}', created_at::timestamptz AT TIME ZONE ${tz}) as error_period,
                     COUNT(*) as error_count,
                     COUNT(DISTINCT uid) as unique_users,
                     COUNT(DISTINCT sid) as unique_sessions,
                     COUNT(DISTINCT channel) as unique_channels
                 FROM errordetails
-                WHERE created_at >= $1 AND created_at <= $2 AND errortext IS NOT NULL
-                GROUP BY date_trunc('${granularity}', created_at)
+                WHERE created_at >= ${startParam} AND created_at <= ${endParam} AND errortext IS NOT NULL ${regionFilter}
+                GROUP BY date_trunc('${truncUnit}', created_at::timestamptz AT TIME ZONE ${tz})
             )
             SELECT 
-                ds.date_period,
+                ds.date_period AT TIME ZONE ${tz} as date_period,
+                TO_CHAR(ds.date_period, '${dateFormat}') as label,
                 COALESCE(ec.error_count, 0) as error_count,
                 COALESCE(ec.error_count, 0) as critical_count,
                 COALESCE(ec.error_count, 0) as unresolved_count,
@@ -499,21 +722,11 @@ const getErrorGraph = async (req, res) => {
             ORDER BY ds.date_period
         `;
 
-    const queryParams = [];
-    if (startTimestamp !== null && endTimestamp !== null) {
-      queryParams.push(new Date(startTimestamp), new Date(endTimestamp));
-    } else {
-      // Default to last 30 days if no date range provided
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - 30);
-      queryParams.push(startDate, endDate);
-    }
-
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(query, qb.params);
 
     const graphData = result.rows.map((row) => ({
       date: row.date_period,
+      label: row.label,
       errorCount: parseInt(row.error_count),
       criticalCount: parseInt(row.critical_count),
       unresolvedCount: parseInt(row.unresolved_count),
@@ -552,7 +765,7 @@ const getErrorsBySessionId = async (req, res) => {
     const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
 
     // Validate date range
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
     if (
       (startDate && startTimestamp === null) ||
       (endDate && endTimestamp === null)
@@ -570,19 +783,22 @@ const getErrorsBySessionId = async (req, res) => {
     }
 
     // Fetch errors for the session and total count
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
     const [errorsData, totalCount] = await Promise.all([
       fetchErrorsBySessionIdFromDB(
         sessionId.trim(),
         page,
         limit,
         startDate,
-        endDate
+        endDate,
+        villageCodes,
+        req.timezone
       ),
-      getTotalErrorsCountBySession(sessionId.trim(), startDate, endDate),
+      getTotalErrorsCountBySession(sessionId.trim(), startDate, endDate, villageCodes, req.timezone),
     ]);
 
     // Format error data
-    const formattedData = errorsData.map(formatErrorData);
+    const formattedData = errorsData.map((row) => formatErrorData(row, req.timezone));
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(totalCount / limit);
@@ -615,7 +831,341 @@ const getErrorsBySessionId = async (req, res) => {
   }
 };
 
+/**
+ * Builds the error groups query: one row per fingerprint with occurrence
+ * counts, affected users and sessions, first/last seen, the latest message
+ * and the resolution status of the group.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} [options] - search, startDate, endDate, villageCodes, timezone, errorType, fingerprint, statuses, sortBy, sortOrder
+ * @returns {string}
+ */
+function buildErrorGroupsQuery(qb, {
+  search = "",
+  startDate = null,
+  endDate = null,
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE,
+  errorType = "",
+  fingerprint = "",
+  statuses = [],
+  sortBy = null,
+  sortOrder = "DESC"
+} = {}) {
+  const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+  const sql = buildErrorFingerprintSql(qb);
+
+  let query = `
+        SELECT
+            c.fingerprint,
+            c.error_type,
+            c.pattern,
+            COUNT(*) as occurrences,
+            COUNT(DISTINCT c.uid) as affected_users,
+            COUNT(DISTINCT c.sid) as affected_sessions,
+            MIN(c.created_at) as first_seen,
+            MAX(c.created_at) as last_seen,
+            (ARRAY_AGG(c.errortext ORDER BY c.created_at DESC))[1] as latest_message,
+            ARRAY_AGG(DISTINCT c.channel) FILTER (WHERE c.channel IS NOT NULL) as channels,
+            COALESCE(s.status, 'open') as status,
+            s.assignee,
+            s.notes,
+            s.resolved_at,
+            s.resolved_by,
+            s.reopened_at,
+            COALESCE(s.reopen_count, 0) as reopen_count,
+            COUNT(*) OVER () as total_groups
+        FROM (
+            SELECT
+                uid,
+                sid,
+                channel,
+                errortext,
+                created_at,
+                ${sql.fingerprint} as fingerprint,
+                ${sql.errorType} as error_type,
+                ${sql.pattern} as pattern
+            FROM errordetails
+            WHERE errortext IS NOT NULL${andClause(buildConditions(qb, filters, FILTER_SPECS.errors))}
+        ) c
+        LEFT JOIN error_group_status s ON s.fingerprint = c.fingerprint
+        WHERE TRUE
+    `;
+
+  if (errorType) {
+    query += ` AND c.error_type = ${qb.param(errorType)}`;
+  }
+  if (fingerprint) {
+    query += ` AND c.fingerprint = ${qb.param(fingerprint)}`;
+  }
+  if (statuses.length > 0) {
+    query += ` AND COALESCE(s.status, 'open') = ANY(${qb.param(statuses)}::text[])`;
+  }
+  query += ` GROUP BY c.fingerprint, c.error_type, c.pattern, s.fingerprint`;
+  query += buildOrderBy(sortBy, sortOrder, ERROR_GROUP_SORT_COLUMNS, "occurrences DESC");
+  return query;
+}
+
+function formatErrorGroup(row) {
+  return {
+    fingerprint: row.fingerprint,
+    errorType: row.error_type,
+    pattern: row.pattern,
+    errorMessage: row.latest_message,
+    occurrences: parseInt(row.occurrences) || 0,
+    affectedUsers: parseInt(row.affected_users) || 0,
+    affectedSessions: parseInt(row.affected_sessions) || 0,
+    firstSeen: row.first_seen ? new Date(row.first_seen).toISOString() : null,
+    lastSeen: row.last_seen ? new Date(row.last_seen).toISOString() : null,
+    channels: row.channels || [],
+    status: row.status || "open",
+    assignee: row.assignee || null,
+    notes: row.notes || null,
+    resolvedAt: row.resolved_at ? new Date(row.resolved_at).toISOString() : null,
+    resolvedBy: row.resolved_by || null,
+    reopenedAt: row.reopened_at ? new Date(row.reopened_at).toISOString() : null,
+    reopenCount: parseInt(row.reopen_count) || 0,
+  };
+}
+
+// Controller function to list errors grouped by fingerprint
+const getErrorGroups = async (req, res) => {
+  try {
+    const { search = "", startDate, endDate, errorType = "", status, sortBy } = req.query;
+    const sortOrder = req.query.sortOrder === "asc" ? "ASC" : "DESC";
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 10;
+
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        error: "Invalid pagination parameters. Page must be >= 1 and limit must be between 1 and 100.",
+      });
+    }
+
+    if (errorType && !ERROR_TYPES.includes(errorType)) {
+      return res.status(400).json({
+        error: `Invalid errorType. Must be one of: ${ERROR_TYPES.join(", ")}`,
+      });
+    }
+
+    const statusFilter = parseStatusFilter(status);
+    if (statusFilter.error) {
+      return res.status(400).json({ error: statusFilter.error });
+    }
+
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+    if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+      return res.status(400).json({
+        error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp",
+      });
+    }
+
+    const qb = createQueryBuilder();
+    let query = buildErrorGroupsQuery(qb, {
+      search,
+      startDate,
+      endDate,
+      villageCodes,
+      timezone: req.timezone,
+      errorType,
+      statuses: statusFilter.statuses,
+      sortBy,
+      sortOrder,
+    });
+    query += buildPagination(qb, limitNum, (pageNum - 1) * limitNum);
+
+    const result = await pool.query(query, qb.params);
+    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_groups) || 0 : 0;
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      data: result.rows.map(formatErrorGroup),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPreviousPage: pageNum > 1,
+      },
+      total: totalCount,
+    });
+  } catch (error) {
+    console.error("Error fetching error groups:", error);
+    res.status(500).json({
+      error: "Internal server error while fetching error groups",
+      details: error.message,
+    });
+  }
+};
+
+// Controller function to get one error group with its individual occurrences
+const getErrorGroupByFingerprint = async (req, res) => {
+  try {
+    const { fingerprint } = req.params;
+    const { startDate, endDate } = req.query;
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 10;
+
+    if (!FINGERPRINT_PATTERN.test(fingerprint || "")) {
+      return res.status(400).json({ error: "Invalid fingerprint" });
+    }
+
+    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        error: "Invalid pagination parameters. Page must be >= 1 and limit must be between 1 and 100.",
+      });
+    }
+
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+    if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+      return res.status(400).json({
+        error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp",
+      });
+    }
+
+    const options = { startDate, endDate, villageCodes, timezone: req.timezone, fingerprint };
+    const groupQb = createQueryBuilder();
+    const groupQuery = buildErrorGroupsQuery(groupQb, options);
+    const rowsQb = createQueryBuilder();
+    let rowsQuery = buildErrorsListQuery(rowsQb, { ...options, sortBy: req.query.sortBy, sortOrder: req.query.sortOrder === "asc" ? "ASC" : "DESC" });
+    rowsQuery += buildPagination(rowsQb, limitNum, (pageNum - 1) * limitNum);
+
+    const [groupResult, rowsResult, history] = await Promise.all([
+      pool.query(groupQuery, groupQb.params),
+      pool.query(rowsQuery, rowsQb.params),
+      getGroupHistory(fingerprint),
+    ]);
+
+    if (groupResult.rows.length === 0) {
+      return res.status(404).json({ error: "Error group not found" });
+    }
+
+    const group = formatErrorGroup(groupResult.rows[0]);
+    const totalPages = Math.ceil(group.occurrences / limitNum);
+
+    res.json({
+      data: {
+        ...group,
+        history,
+        errors: rowsResult.rows.map((row) => formatErrorData(row, req.timezone)),
+      },
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount: group.occurrences,
+        hasNextPage: pageNum < totalPages,
+        hasPreviousPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching error group:", error);
+    res.status(500).json({
+      error: "Internal server error while fetching error group",
+      details: error.message,
+    });
+  }
+};
+
+/**
+ * Validates the body of a status change.
+ * @param {Object} body - req.body
+ * @param {boolean} requireStatus - Whether status must be present (POST)
+ * @returns {{ error: string }|{ changes: Object }}
+ */
+function parseStatusChanges(body = {}, requireStatus) {
+  const changes = {};
+
+  if (body.status !== undefined) {
+    if (!ERROR_STATUSES.includes(body.status)) {
+      return { error: `Invalid status. Must be one of: ${ERROR_STATUSES.join(", ")}` };
+    }
+    changes.status = body.status;
+  } else if (requireStatus) {
+    return { error: "status is required" };
+  }
+
+  for (const [field, maxLength] of [["assignee", MAX_ASSIGNEE_LENGTH], ["notes", MAX_NOTES_LENGTH]]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] !== null && typeof body[field] !== "string") {
+      return { error: `${field} must be a string or null` };
+    }
+    const value = body[field] === null ? "" : body[field].trim();
+    if (value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    changes[field] = value || null;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: "Provide at least one of: status, assignee, notes" };
+  }
+  return { changes };
+}
+
+/**
+ * Checks that a fingerprint matches at least one error visible to the caller.
+ * @param {string} fingerprint
+ * @param {string[]|null} villageCodes - Region filter of the caller
+ * @returns {Promise<boolean>}
+ */
+async function errorGroupExists(fingerprint, villageCodes = null) {
+  const qb = createQueryBuilder();
+  const sql = buildErrorFingerprintSql(qb);
+  const conditions = buildErrorConditions(qb, normalizeFilters({ villageCodes }), sql, { fingerprint, search: false });
+  const result = await pool.query(
+    `SELECT 1 FROM errordetails WHERE errortext IS NOT NULL${andClause(conditions)} LIMIT 1`,
+    qb.params
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Handler factory for POST (status required) and PATCH (partial) on
+ * /errors/groups/:fingerprint/status.
+ * @param {boolean} requireStatus
+ * @returns {Function}
+ */
+function changeErrorGroupStatus(requireStatus) {
+  return async (req, res) => {
+    try {
+      const { fingerprint } = req.params;
+      if (!FINGERPRINT_PATTERN.test(fingerprint || "")) {
+        return res.status(400).json({ error: "Invalid fingerprint" });
+      }
+
+      const parsed = parseStatusChanges(req.body, requireStatus);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+      if (!(await errorGroupExists(fingerprint, villageCodes))) {
+        return res.status(404).json({ error: "Error group not found" });
+      }
+
+      const user = req.user || {};
+      const status = await updateGroupStatus(fingerprint, parsed.changes, user.preferred_username || user.sub || null);
+
+      res.json({ data: { fingerprint, ...status } });
+    } catch (error) {
+      console.error("Error updating error group status:", error);
+      res.status(500).json({
+        error: "Internal server error while updating error group status",
+        details: error.message,
+      });
+    }
+  };
+}
+
+// Controller functions to set (POST) or partially update (PATCH) the status of an error group
+const setErrorGroupStatus = changeErrorGroupStatus(true);
+const updateErrorGroupStatus = changeErrorGroupStatus(false);
+
 module.exports = {
+  buildErrorsListQuery,
   getAllErrors,
   getErrorById,
   getErrorStatistics,
@@ -623,4 +1173,8 @@ module.exports = {
   fetchAllErrorsFromDB,
   formatErrorData,
   getErrorsBySessionId,
+  getErrorGroups,
+  getErrorGroupByFingerprint,
+  setErrorGroupStatus,
+  updateErrorGroupStatus,
 };
@@ -0,0 +1,248 @@
+const { buildQuestionsListQuery } = require('./questions.controller');
+const { buildFeedbackListQuery } = require('./feedback.controller');
+const { buildErrorsListQuery } = require('./error.controller');
+const { parseErrorContext } = require('../lib/errorContext');
+const { buildSessionsListQuery } = require('./sessions.controller');
+const { buildUsersListQuery } = require('./user.controller');
+const { DEFAULT_TIMEZONE, isValidTimezone, getTimezoneLabel, parseDateRange } = require('../utils/dateUtils');
+const { createQueryBuilder } = require('../utils/queryBuilder');
+const { PERMISSIONS, hasPermission } = require('../lib/rbac');
+const { maskField } = require('../lib/piiMask');
+const {
+    EXPORT_FORMATS,
+    openQuery,
+    toZonedString,
+    writeExport
+} = require('../services/exportService');
+
+// Endpoint, method and status code columns share one parse of groupdetails per row
+const errorContexts = new WeakMap();
+const errorContextOf = (row) => {
+    if (!errorContexts.has(row)) {
+        errorContexts.set(row, parseErrorContext(row.groupdetails));
+    }
+    return errorContexts.get(row);
+};
+
+/**
+ * Export definitions per entity: the list query builder shared with the
+ * paginated endpoint and the columns written to the file. Columns marked
+ * `pii` are masked ('id') or redacted ('text') for callers without pii:read;
+ * columns marked `time` are formatted in the export timezone.
+ */
+const EXPORT_ENTITIES = {
+    questions: {
+        buildQuery: buildQuestionsListQuery,
+        columns: [
+            { header: 'ID', key: 'id', value: (row) => row.id },
+            { header: 'User ID', key: 'user_id', pii: 'id', value: (row) => row.user_id },
+            { header: 'Session ID', key: 'session_id', value: (row) => row.session_id },
+            { header: 'Channel', key: 'channel', value: (row) => row.channel },
+            { header: 'Question', key: 'question', pii: 'text', value: (row) => row.question, width: 60 },
+            { header: 'Answer', key: 'answer', pii: 'text', value: (row) => row.answer, width: 80 },
+            { header: 'Date Asked', key: 'date_asked', time: true, value: (row) => row.ets },
+            { header: 'Timestamp', key: 'ets', value: (row) => row.ets }
+        ]
+    },
+    feedback: {
+        buildQuery: buildFeedbackListQuery,
+        columns: [
+            { header: 'ID', key: 'id', value: (row) => row.id },
+            { header: 'Question ID', key: 'qid', pii: 'id', value: (row) => row.qid },
+            { header: 'User ID', key: 'user_id', pii: 'id', value: (row) => row.user_id },
+            { header: 'Session ID', key: 'session_id', value: (row) => row.session_id },
+            { header: 'Channel', key: 'channel', value: (row) => row.channel },
+            { header: 'Rating', key: 'feedbacktype', value: (row) => row.feedbacktype },
+            { header: 'Feedback', key: 'feedbacktext', pii: 'text', value: (row) => row.feedbacktext, width: 60 },
+            { header: 'Question', key: 'questiontext', pii: 'text', value: (row) => row.questiontext, width: 60 },
+            { header: 'Answer', key: 'answertext', pii: 'text', value: (row) => row.answertext, width: 80 },
+            { header: 'Date', key: 'date', time: true, value: (row) => row.created_at },
+            { header: 'Timestamp', key: 'ets', value: (row) => row.ets }
+        ]
+    },
+    errors: {
+        buildQuery: buildErrorsListQuery,
+        columns: [
+            { header: 'ID', key: 'id', value: (row) => row.id },
+            { header: 'User ID', key: 'user_id', pii: 'id', value: (row) => row.user_id },
+            { header: 'Session ID', key: 'session_id', value: (row) => row.session_id },
+            { header: 'Question ID', key: 'question_id', value: (row) => row.question_id },
+            { header: 'Channel', key: 'channel', value: (row) => row.channel },
+            { header: 'Type', key: 'error_type', value: (row) => row.error_type },
+            { header: 'Fingerprint', key: 'fingerprint', value: (row) => row.fingerprint },
+            { header: 'Status', key: 'group_status', value: (row) => row.group_status || 'open' },
+            { header: 'Endpoint', key: 'endpoint', value: (row) => errorContextOf(row).endpoint },
+            { header: 'Method', key: 'method', value: (row) => errorContextOf(row).method },
+            { header: 'Status Code', key: 'status_code', value: (row) => errorContextOf(row).statusCode },
+            { header: 'Error Message', key: 'error_message', pii: 'text', value: (row) => row.error_message, width: 60 },
+            { header: 'Details', key: 'groupdetails', pii: 'text', value: (row) => row.groupdetails, width: 60 },
+            { header: 'Date', key: 'date', time: true, value: (row) => row.created_at },
+            { header: 'Timestamp', key: 'ets', value: (row) => row.ets }
+        ]
+    },
+    sessions: {
+        buildQuery: buildSessionsListQuery,
+        columns: [
+            { header: 'Session ID', key: 'session_id', value: (row) => row.session_id },
+            { header: 'User ID', key: 'username', pii: 'id', value: (row) => row.username },
+            { header: 'Questions', key: 'question_count', value: (row) => parseInt(row.question_count) || 0 },
+            { header: 'Duration (s)', key: 'duration_seconds', value: (row) => parseInt(row.duration_seconds) || 0 },
+            { header: 'Session Start', key: 'session_start', time: true, value: (row) => row.session_start },
+            { header: 'Session Time', key: 'session_time', time: true, value: (row) => row.session_time },
+            { header: 'Timestamp', key: 'timestamp', value: (row) => row.session_time }
+        ]
+    },
+    users: {
+        buildQuery: buildUsersListQuery,
+        columns: [
+            { header: 'User ID', key: 'user_id', pii: 'id', value: (row) => row.user_id },
+            { header: 'Sessions', key: 'session_count', value: (row) => parseInt(row.session_count) || 0 },
+            { header: 'Questions', key: 'total_questions', value: (row) => parseInt(row.total_questions) || 0 },
+            { header: 'Feedback', key: 'feedback_count', value: (row) => parseInt(row.feedback_count) || 0 },
+            { header: 'Likes', key: 'likes', value: (row) => parseInt(row.likes) || 0 },
+            { header: 'Dislikes', key: 'dislikes', value: (row) => parseInt(row.dislikes) || 0 },
+            { header: 'Latest Session ID', key: 'session_id', value: (row) => row.session_id },
+            { header: 'First Session', key: 'first_session', time: true, value: (row) => row.first_session },
+            { header: 'Latest Session', key: 'latest_session', time: true, value: (row) => row.latest_session }
+        ]
+    }
+};
+
+/**
+ * Reads and validates the export filters from a query string.
+ * @param {Object} query - req.query (or a stored filter set)
+ * @returns {{ error: string }|{ format: string, filters: Object }}
+ */
+function parseExportFilters(query = {}) {
+    const format = query.format ? String(query.format).trim().toLowerCase() : 'csv';
+    const search = query.search ? String(query.search).trim() : '';
+    const startDate = query.startDate ? String(query.startDate).trim() : null;
+    const endDate = query.endDate ? String(query.endDate).trim() : null;
+    const timezone = query.tz ? String(query.tz).trim() : DEFAULT_TIMEZONE;
+
+    if (!EXPORT_FORMATS[format]) {
+        return { error: "Invalid format. Must be 'csv' or 'xlsx'" };
+    }
+
+    if (search.length > 1000) {
+        return { error: "Search term too long" };
+    }
+
+    if (!isValidTimezone(timezone)) {
+        return { error: "Invalid timezone. Use an IANA timezone name such as Asia/Kolkata" };
+    }
+
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, timezone);
+    if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+        return { error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp" };
+    }
+
+    if (startTimestamp && endTimestamp && startTimestamp > endTimestamp) {
+        return { error: "Start date cannot be after end date" };
+    }
+
+    return {
+        format,
+        filters: {
+            search,
+            startDate,
+            endDate,
+            sortBy: query.sortBy || null,
+            sortOrder: query.sortOrder === 'asc' ? 'ASC' : 'DESC',
+            timezone
+        }
+    };
+}
+
+/**
+ * Builds the SQL for an entity export.
+ * @param {string} entity - Key of EXPORT_ENTITIES
+ * @param {Object} filters - Output of parseExportFilters plus villageCodes
+ * @returns {{ text: string, values: Array }}
+ */
+function buildExportQuery(entity, filters) {
+    const qb = createQueryBuilder();
+    const text = EXPORT_ENTITIES[entity].buildQuery(qb, filters);
+    return { text, values: qb.params };
+}
+
+/**
+ * Returns the columns of an entity, masking the PII columns unless unmasked output is allowed.
+ * Time columns are formatted in the given timezone, whose label is appended to the header.
+ * @param {string} entity - Key of EXPORT_ENTITIES
+ * @param {boolean} unmasked - Caller holds pii:read
+ * @param {string} [timezone] - IANA timezone name
+ * @returns {Object[]}
+ */
+function exportColumns(entity, unmasked, timezone = DEFAULT_TIMEZONE) {
+    const label = getTimezoneLabel(timezone);
+    return EXPORT_ENTITIES[entity].columns.map((column) => {
+        if (column.time) {
+            return {
+                ...column,
+                header: `${column.header} (${label})`,
+                value: (row) => toZonedString(column.value(row), timezone)
+            };
+        }
+        if (column.pii && !unmasked) {
+            return { ...column, value: (row) => maskField(column.pii, column.value(row)) };
+        }
+        return column;
+    });
+}
+
+function buildExportFilename(entity, format) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    return `${entity}_${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Returns a handler that streams the full filtered result set of an entity as CSV or XLSX.
+ * GET /<entity>/export?format=csv|xlsx&search=&startDate=&endDate=&sortBy=&sortOrder=&tz=
+ * @param {string} entity - Key of EXPORT_ENTITIES
+ */
+const exportEntity = (entity) => async (req, res) => {
+    const parsed = parseExportFilters(req.query);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const { format } = parsed;
+    const filters = {
+        ...parsed.filters,
+        villageCodes: req.regionFilter ? req.regionFilter.village_codes : null
+    };
+
+    try {
+        const { text, values } = buildExportQuery(entity, filters);
+        const rows = await openQuery(text, values);
+
+        res.status(200);
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${buildExportFilename(entity, format)}"`);
+
+        await writeExport({
+            format,
+            rows,
+            columns: exportColumns(entity, hasPermission(req, PERMISSIONS.PII_READ), filters.timezone),
+            output: res,
+            sheetName: entity
+        });
+    } catch (error) {
+        console.error(`Error exporting ${entity}:`, error);
+        if (!res.headersSent) {
+            return res.status(500).json({ success: false, error: `Error exporting ${entity}` });
+        }
+        // Headers are gone; abort so the client does not keep a truncated file as complete
+        res.destroy(error);
+    }
+};
+
+module.exports = {
+    EXPORT_ENTITIES,
+    parseExportFilters,
+    buildExportQuery,
+    exportColumns,
+    buildExportFilename,
+    exportEntity
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const {
+    formatExportJob,
+    validateExportRequest,
+    createExportJob,
+    getExportJob
+} = require('../services/exportJobService');
+const { PERMISSIONS, hasPermission } = require('../lib/rbac');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Loads a job for the current request, answering 400/404 itself when it cannot.
+ * Jobs are only visible to the user that created them; jobs without a
+ * creator only to callers with scope:state.
+ * @returns {Promise<Object|null>}
+ */
+async function loadJobForRequest(req, res) {
+    const { id } = req.params;
+    if (!id || !UUID_REGEX.test(id)) {
+        res.status(400).json({ success: false, error: "Invalid export job ID format" });
+        return null;
+    }
+
+    const job = await getExportJob(id);
+    const requester = req.user ? req.user.sub : null;
+    // Jobs queued without a user (no sub claim) have no owner to match
+    const visible = job && (job.created_by
+        ? job.created_by === requester
+        : hasPermission(req, PERMISSIONS.STATE_SCOPE));
+    if (!visible) {
+        res.status(404).json({ success: false, error: "Export job not found" });
+        return null;
+    }
+    return job;
+}
+
+/**
+ * POST /exports
+ * Body: { entity, format, filters: { search, startDate, endDate, sortBy, sortOrder, district_code, taluka_code, village_code } }
+ * Queues an export job; the background worker writes the file.
+ */
+const createExport = async (req, res) => {
+    try {
+        const validated = validateExportRequest(
+            req.body,
+            req.dataScope,
+            hasPermission(req, PERMISSIONS.PII_READ)
+        );
+        if (validated.status === 403) {
+            return res.status(403).json({ success: false, error: "Forbidden", reason: validated.error });
+        }
+        if (validated.error) {
+            return res.status(400).json({ success: false, error: validated.error });
+        }
+
+        const job = await createExportJob({
+            ...validated,
+            createdBy: req.user ? req.user.sub : null
+        });
+
+        res.status(202).json({
+            success: true,
+            data: formatExportJob(job)
+        });
+    } catch (error) {
+        console.error("Error creating export job:", error);
+        res.status(500).json({ success: false, error: "Error creating export job" });
+    }
+};
+
+/**
+ * GET /exports/:id
+ * Reports status and progress of an export job.
+ */
+const getExport = async (req, res) => {
+    try {
+        const job = await loadJobForRequest(req, res);
+        if (!job) return;
+
+        res.status(200).json({
+            success: true,
+            data: formatExportJob(job)
+        });
+    } catch (error) {
+        console.error("Error fetching export job:", error);
+        res.status(500).json({ success: false, error: "Error fetching export job" });
+    }
+};
+
+/**
+ * GET /exports/:id/download
+ * Serves the file of a completed export job.
+ */
+const downloadExport = async (req, res) => {
+    try {
+        const job = await loadJobForRequest(req, res);
+        if (!job) return;
+
+        if (job.status !== 'completed' || !job.file_path || !fs.existsSync(job.file_path)) {
+            return res.status(409).json({
+                success: false,
+                error: `Export is not available for download (status: ${job.status})`
+            });
+        }
+
+        res.download(job.file_path, job.file_name, (err) => {
+            if (err && !res.headersSent) {
+                console.error("Error sending export file:", err);
+                res.status(500).json({ success: false, error: "Error downloading export" });
+            }
+        });
+    } catch (error) {
+        console.error("Error downloading export job:", error);
+        res.status(500).json({ success: false, error: "Error downloading export" });
+    }
+};
+
+module.exports = {
+    createExport,
+    getExport,
+    downloadExport
+};
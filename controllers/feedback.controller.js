@@ -1,9 +1,36 @@
 const pool = require('../services/db');
-const { formatUTCToISTDate, formatDateToIST, parseDateRange } = require('../utils/dateUtils');
+const { DEFAULT_TIMEZONE, formatDateInTimezone, parseDateRange } = require('../utils/dateUtils');
+const {
+    FILTER_SPECS,
+    createQueryBuilder,
+    normalizeFilters,
+    buildConditions,
+    buildRegionCondition,
+    andClause,
+    buildOrderBy,
+    buildPagination,
+    buildTimeBucket
+} = require('../utils/queryBuilder');
+const { resolveComparisonRange, buildComparison } = require('../utils/compareUtils');
+const { TOPICS, normalizedTextSql, getTopicKeywordPairs } = require('../lib/topics');
+
+// Sortable fields accepted by GET /feedback
+const FEEDBACK_SORT_COLUMNS = {
+    created_at: 'created_at',
+    user_id: 'user_id',
+    feedbacktype: 'feedbacktype',
+    feedbacktext: 'feedbacktext'
+};
 
-async function fetchAllFeedbackFromDB(page = 1, limit = 10, search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC') {
-    const offset = (page - 1) * limit;
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+/**
+ * Builds the filtered and sorted feedback list query without pagination.
+ * Shared by the paginated list and the CSV/XLSX export.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} [options] - search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone
+ * @returns {string}
+ */
+function buildFeedbackListQuery(qb, { search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC', villageCodes = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
 
     // Base query with optional search and date filtering - using parameterized queries
     let query = `
@@ -23,58 +50,25 @@ async function fetchAllFeedbackFromDB(page = 1, limit = 10, search = '', startDa
         WHERE feedbacktext IS NOT NULL AND questiontext IS NOT NULL
     `;
 
-    const queryParams = [];
-    let paramIndex = 0;
-
-    // Add date range filtering
-    if (startTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets >= $${paramIndex}`;
-        queryParams.push(startTimestamp);
-    }
-
-    if (endTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets <= $${paramIndex}`;
-        queryParams.push(endTimestamp);
-    }
-
-    // Add search functionality if search term is provided
-    if (search && search.trim() !== '') {
-        paramIndex++;
-        query += ` AND (
-            feedbacktext ILIKE $${paramIndex} OR 
-            questiontext ILIKE $${paramIndex} OR 
-            answertext ILIKE $${paramIndex} OR
-            uid ILIKE $${paramIndex}
-        )`;
-        queryParams.push(`%${search.trim()}%`);
-    }
-
-     const sortArray = ['created_at', 'user_id', 'feedbacktype', 'feedbacktext'];
-
-         if(sortArray.includes(sortBy)) {
-        query += ` ORDER BY ${sortBy} ${sortOrder}`;
-        } else {    
-        query += ` ORDER BY created_at DESC`;
-        }
-
+    query += andClause(buildConditions(qb, filters, FILTER_SPECS.feedback));
+    query += buildOrderBy(sortBy, sortOrder, FEEDBACK_SORT_COLUMNS, 'created_at DESC');
+    return query;
+}
 
-    // Add pagination
-    paramIndex++;
-    query += ` LIMIT $${paramIndex}`;
-    queryParams.push(limit);
+async function fetchAllFeedbackFromDB(page = 1, limit = 10, search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC', villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const offset = (page - 1) * limit;
+    const qb = createQueryBuilder();
 
-    paramIndex++;
-    query += ` OFFSET $${paramIndex}`;
-    queryParams.push(offset);
+    let query = buildFeedbackListQuery(qb, { search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone });
+    query += buildPagination(qb, limit, offset);
 
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(query, qb.params);
     return result.rows;
 }
 
-async function getTotalFeedbackCount(search = '', startDate = null, endDate = null) {
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+async function getTotalFeedbackCount(search = '', startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+    const qb = createQueryBuilder();
 
     let query = `
         SELECT COUNT(*) as total
@@ -82,40 +76,15 @@ async function getTotalFeedbackCount(search = '', startDate = null, endDate = nu
         WHERE feedbacktext IS NOT NULL AND questiontext IS NOT NULL
     `;
 
-    const queryParams = [];
-    let paramIndex = 0;
-
-    // Add date range filtering
-    if (startTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets >= $${paramIndex}`;
-        queryParams.push(startTimestamp);
-    }
+    query += andClause(buildConditions(qb, filters, FILTER_SPECS.feedback));
 
-    if (endTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets <= $${paramIndex}`;
-        queryParams.push(endTimestamp);
-    }
-
-    // Add search filter to count query if search term is provided
-    if (search && search.trim() !== '') {
-        paramIndex++;
-        query += ` AND (
-            feedbacktext ILIKE $${paramIndex} OR 
-            questiontext ILIKE $${paramIndex} OR 
-            answertext ILIKE $${paramIndex} OR
-            uid ILIKE $${paramIndex}
-        )`;
-        queryParams.push(`%${search.trim()}%`);
-    }
-
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(query, qb.params);
     return parseInt(result.rows[0].total);
 }
 
-async function getTotalLikesDislikesCount(search = '', startDate = null, endDate = null, sessionId = null) {
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+async function getTotalLikesDislikesCount(search = '', startDate = null, endDate = null, sessionId = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+    const qb = createQueryBuilder();
 
     let query = `
         SELECT 
@@ -125,48 +94,21 @@ async function getTotalLikesDislikesCount(search = '', startDate = null, endDate
         WHERE feedbacktext IS NOT NULL AND questiontext IS NOT NULL
     `;
 
-    const queryParams = [];
-    let paramIndex = 0;
-
     // Add session ID filtering if provided
     if (sessionId) {
-        paramIndex++;
-        query += ` AND sid = $${paramIndex}`;
-        queryParams.push(sessionId);
-    }
-
-    // Add date range filtering
-    if (startTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets >= $${paramIndex}`;
-        queryParams.push(startTimestamp);
+        query += ` AND sid = ${qb.param(sessionId)}`;
     }
 
-    if (endTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets <= $${paramIndex}`;
-        queryParams.push(endTimestamp);
-    }
+    query += andClause(buildConditions(qb, filters, FILTER_SPECS.feedback));
 
-    // Add search filter if search term is provided
-    if (search && search.trim() !== '') {
-        paramIndex++;
-        query += ` AND (
-            feedbacktext ILIKE $${paramIndex} OR 
-            questiontext ILIKE $${paramIndex} OR 
-            answertext ILIKE $${paramIndex}
-        )`;
-        queryParams.push(`%${search.trim()}%`);
-    }
-
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(query, qb.params);
     return {
         totalLikes: parseInt(result.rows[0].total_likes) || 0,
         totalDislikes: parseInt(result.rows[0].total_dislikes) || 0
     };
 }
 
-function formatFeedbackData(feedbackItem) {
+function formatFeedbackData(feedbackItem, timezone = DEFAULT_TIMEZONE) {
     // const dateObj = new Date(feedbackItem.created_at);
     
     // // Use utility function to format UTC to IST date
@@ -176,12 +118,12 @@ function formatFeedbackData(feedbackItem) {
             // First try to parse the timestamp if it's in milliseconds
             const timestamp = parseInt(feedbackItem.created_at);
             if (!isNaN(timestamp)) {
-                // Convert to IST timezone
-                feedbackTime = formatDateToIST(timestamp);
+                // Convert to the requested timezone
+                feedbackTime = formatDateInTimezone(timestamp, timezone);
             } else {
                 // If not a timestamp, try parsing as a date string
                 const parsedDate = new Date(feedbackItem.created_at);
-                feedbackTime = formatDateToIST(parsedDate.getTime());
+                feedbackTime = formatDateInTimezone(parsedDate.getTime(), timezone);
             }
         }
 
@@ -211,6 +153,7 @@ async function getAllFeedback(req, res) {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
         const sortBy = req.query.sortBy;
         const sortOrder = req.query.sortOrder === "asc" ? "ASC" : "DESC";
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Additional validation for search term length to prevent abuse
         if (search.length > 1000) {
@@ -218,7 +161,7 @@ async function getAllFeedback(req, res) {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 message: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp"
@@ -233,14 +176,14 @@ async function getAllFeedback(req, res) {
 
         // Fetch paginated feedback data and total count
         const [rawFeedbackData, totalCount] = await Promise.all([
-            fetchAllFeedbackFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder),
-            getTotalFeedbackCount(search, startDate, endDate)
+            fetchAllFeedbackFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder, villageCodes, req.timezone),
+            getTotalFeedbackCount(search, startDate, endDate, villageCodes, req.timezone)
         ]);
 
-        const formattedFeedback = rawFeedbackData.map(formatFeedbackData);
+        const formattedFeedback = rawFeedbackData.map((row) => formatFeedbackData(row, req.timezone));
 
         // Get accurate total likes and dislikes counts for the entire filtered dataset
-        const { totalLikes, totalDislikes } = await getTotalLikesDislikesCount(search, startDate, endDate);
+        const { totalLikes, totalDislikes } = await getTotalLikesDislikesCount(search, startDate, endDate, null, villageCodes, req.timezone);
 
         // Calculate pagination metadata
         const totalPages = Math.ceil(totalCount / limit);
@@ -277,7 +220,11 @@ async function getAllFeedback(req, res) {
 }
 
 // New function to fetch feedback by QID from the database
-async function fetchFeedbackByidFromDB(id) {
+async function fetchFeedbackByidFromDB(id, villageCodes = null) {
+    const qb = createQueryBuilder([id]);
+    const regionFilter = villageCodes
+        ? ` AND ${buildRegionCondition(qb, villageCodes, FILTER_SPECS.feedback)}`
+        : '';
     const query = {
         text: `
             SELECT 
@@ -294,9 +241,9 @@ async function fetchFeedbackByidFromDB(id) {
                 created_at,
                 qid AS question_id
             FROM feedback
-            WHERE id = $1
+            WHERE id = $1${regionFilter}
         `,
-        values: [id],
+        values: qb.params,
     };
     const result = await pool.query(query);
     return result.rows;
@@ -314,7 +261,8 @@ async function getFeedbackByid(req, res) {
             return res.status(400).json({ message: "Valid UUID ID is required" });
         }
 
-        const feedbackDetails = await fetchFeedbackByidFromDB(id);
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const feedbackDetails = await fetchFeedbackByidFromDB(id, villageCodes);
 
         if (feedbackDetails.length === 0) {
             return res.status(404).json({ message: "No feedback found for the given ID" });
@@ -344,7 +292,7 @@ const getFeedbackBySessionId = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 message: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp"
@@ -357,31 +305,14 @@ const getFeedbackBySessionId = async (req, res) => {
             });
         }
 
-        // Build date filtering for feedback query
-        let dateFilter = '';
-        let countDateFilter = '';
-        const queryParams = [sessionId.trim()];
-        const countParams = [sessionId.trim()];
-        let paramIndex = 1;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            countDateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-            countParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            countDateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-            countParams.push(endTimestamp);
-        }
-
-        // Add pagination params
-        queryParams.push(limit, offset);
+        // Build date filtering for feedback query (search is not applied here)
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone });
+        const qb = createQueryBuilder([sessionId.trim()]);
+        const countQb = createQueryBuilder([sessionId.trim()]);
+        const dateFilter = andClause(buildConditions(qb, filters, FILTER_SPECS.feedback, { search: false }));
+        const countDateFilter = andClause(buildConditions(countQb, filters, FILTER_SPECS.feedback, { search: false }));
+        const pagination = buildPagination(qb, limit, offset);
 
         // Get feedback by session ID with pagination and date filtering
         const feedbackQuery = {
@@ -404,9 +335,9 @@ const getFeedbackBySessionId = async (req, res) => {
                     AND questiontext IS NOT NULL
                     ${dateFilter}
                 ORDER BY created_at DESC
-                LIMIT $${paramIndex + 1} OFFSET $${paramIndex + 2}
+                ${pagination}
             `,
-            values: queryParams,
+            values: qb.params,
         };
 
         // Get total count for session with date filtering
@@ -419,7 +350,7 @@ const getFeedbackBySessionId = async (req, res) => {
                     AND questiontext IS NOT NULL
                     ${countDateFilter}
             `,
-            values: countParams,
+            values: countQb.params,
         };
 
         const [feedbackResult, countResult] = await Promise.all([
@@ -428,10 +359,10 @@ const getFeedbackBySessionId = async (req, res) => {
         ]);
 
         const totalCount = parseInt(countResult.rows[0].total);
-        const formattedData = feedbackResult.rows.map(formatFeedbackData);
+        const formattedData = feedbackResult.rows.map((row) => formatFeedbackData(row, req.timezone));
 
         // Get accurate total likes and dislikes counts for the entire filtered session dataset
-        const { totalLikes, totalDislikes } = await getTotalLikesDislikesCount('', startDate, endDate, sessionId.trim());
+        const { totalLikes, totalDislikes } = await getTotalLikesDislikesCount('', startDate, endDate, sessionId.trim(), villageCodes, req.timezone);
 
         // Calculate pagination metadata
         const totalPages = Math.ceil(totalCount / limit);
@@ -469,13 +400,48 @@ const getFeedbackBySessionId = async (req, res) => {
 };
 
 // Get comprehensive feedback statistics with date filtering
+/**
+ * Computes the feedback stats of a date range.
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @param {string[]|null} villageCodes
+ * @param {string} timezone - IANA timezone the dates are given in
+ * @returns {Promise<{ totalFeedback: number, totalLikes: number, totalDislikes: number }>}
+ */
+async function fetchFeedbackStats(startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const qb = createQueryBuilder();
+    const dateFilter = andClause(buildConditions(qb, normalizeFilters({ startDate, endDate, villageCodes, timezone }), FILTER_SPECS.feedback));
+
+    // SIMPLIFIED - Only return essential feedback counts
+    const query = {
+        text: `
+                SELECT 
+                    COUNT(*) as total_feedback,
+                    COUNT(CASE WHEN feedbacktype = 'like' THEN 1 END) as total_likes,
+                    COUNT(CASE WHEN feedbacktype = 'dislike' THEN 1 END) as total_dislikes
+                FROM feedback
+                WHERE uid IS NOT NULL AND answertext IS NOT NULL ${dateFilter}
+            `,
+        values: qb.params
+    };
+
+    const result = await pool.query(query);
+    const stats = result.rows[0];
+    return {
+        totalFeedback: parseInt(stats.total_feedback) || 0,
+        totalLikes: parseInt(stats.total_likes) || 0,
+        totalDislikes: parseInt(stats.total_dislikes) || 0
+    };
+}
+
 const getFeedbackStats = async (req, res) => {
     try {
         const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -483,52 +449,28 @@ const getFeedbackStats = async (req, res) => {
             });
         }
 
-        // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
+        const comparison = resolveComparisonRange(req.query.compare, startTimestamp, endTimestamp, req.timezone);
+        if (comparison && comparison.error) {
+            return res.status(400).json({ success: false, error: comparison.error });
         }
 
-        // SIMPLIFIED - Only return essential feedback counts
-        const query = {
-            text: `
-                SELECT 
-                    COUNT(*) as total_feedback,
-                    COUNT(CASE WHEN feedbacktype = 'like' THEN 1 END) as total_likes,
-                    COUNT(CASE WHEN feedbacktype = 'dislike' THEN 1 END) as total_dislikes
-                FROM feedback
-                WHERE uid IS NOT NULL AND answertext IS NOT NULL ${dateFilter}
-            `,
-            values: queryParams
-        };
-
-        const result = await pool.query(query);
-        const stats = result.rows[0];
+        const [data, previous] = await Promise.all([
+            fetchFeedbackStats(startDate, endDate, villageCodes, req.timezone),
+            comparison
+                ? fetchFeedbackStats(comparison.startDate, comparison.endDate, villageCodes, req.timezone)
+                : null
+        ]);
 
         res.status(200).json({
             success: true,
-            data: {
-                totalFeedback: parseInt(stats.total_feedback) || 0,
-                totalLikes: parseInt(stats.total_likes) || 0,
-                totalDislikes: parseInt(stats.total_dislikes) || 0
-            },
+            data,
             filters: {
                 startDate: startDate,
                 endDate: endDate,
                 appliedStartTimestamp: startTimestamp,
                 appliedEndTimestamp: endTimestamp
-            }
+            },
+            ...(comparison && { comparison: buildComparison(comparison, data, previous) })
         });
     } catch (error) {
         console.error("Error fetching feedback stats:", error);
@@ -546,6 +488,7 @@ const getFeedbackGraph = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
         const granularity = req.query.granularity ? String(req.query.granularity).trim() : 'daily';
         const search = req.query.search ? String(req.query.search).trim() : '';
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Validate granularity parameter
         if (!['daily', 'hourly', 'weekly', 'monthly'].includes(granularity)) {
@@ -556,7 +499,7 @@ const getFeedbackGraph = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -571,69 +514,19 @@ const getFeedbackGraph = async (req, res) => {
             });
         }
 
-        // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
+        // Build date and search filtering
+        const qb = createQueryBuilder();
+        const dateFilter = andClause(buildConditions(qb, normalizeFilters({ search, startDate, endDate, villageCodes, timezone: req.timezone }), FILTER_SPECS.feedback));
 
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
-
-        // Add search filter if provided
-        if (search && search.trim() !== '') {
-            paramIndex++;
-            dateFilter += ` AND (
-                feedbacktext ILIKE $${paramIndex} OR 
-                questiontext ILIKE $${paramIndex} OR 
-                answertext ILIKE $${paramIndex} OR
-                uid ILIKE $${paramIndex} OR
-                channel ILIKE $${paramIndex}
-            )`;
-            queryParams.push(`%${search.trim()}%`);
-        }
-
-        // Define the date truncation and formatting based on granularity
-        let dateGrouping;
-        let dateFormat;
-        let orderBy;
-
-        switch (granularity) {
-            case 'hourly':
-                dateGrouping = "DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD HH24:00')";
-                orderBy = "hour_bucket";
-                break;
-            case 'weekly':
-                dateGrouping = "DATE_TRUNC('week', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('week', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
-                orderBy = "week_bucket";
-                break;
-            case 'monthly':
-                dateGrouping = "DATE_TRUNC('month', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('month', TO_TIMESTAMP(ets/1000)), 'YYYY-MM')";
-                orderBy = "month_bucket";
-                break;
-            case 'daily':
-            default:
-                dateGrouping = "DATE_TRUNC('day', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('day', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
-                orderBy = "day_bucket";
-                break;
-        }
+        // Date truncation and formatting based on granularity, in the requested timezone
+        const bucket = buildTimeBucket(qb, granularity, req.timezone);
+        const dateGrouping = bucket.grouping;
+        const orderBy = 'time_bucket';
 
         const query = {
             text: `
                 SELECT 
-                    ${dateFormat} as date,
+                    ${bucket.label} as date,
                     ${dateGrouping} as ${orderBy},
                     COUNT(*) as feedbackCount,
                     COUNT(CASE WHEN feedbacktype = 'like' THEN 1 END) as likesCount,
@@ -642,7 +535,7 @@ const getFeedbackGraph = async (req, res) => {
                         COUNT(CASE WHEN feedbacktype = 'like' THEN 1 END) * 100.0 / 
                         NULLIF(COUNT(*), 0), 2
                     ) as satisfactionRate,
-                    EXTRACT(EPOCH FROM ${dateGrouping}) * 1000 as timestamp,
+                    ${bucket.timestamp} as timestamp,
                     ${granularity === 'hourly' ? `EXTRACT(HOUR FROM ${dateGrouping}) as hour_of_day` : 'NULL as hour_of_day'}
                 FROM feedback
                 WHERE feedbacktext IS NOT NULL 
@@ -652,7 +545,7 @@ const getFeedbackGraph = async (req, res) => {
                 GROUP BY ${dateGrouping}
                 ORDER BY ${orderBy} ASC
             `,
-            values: queryParams
+            values: qb.params
         };
 
         const result = await pool.query(query);
@@ -708,6 +601,7 @@ const getFeedbackGraph = async (req, res) => {
                 startDate: startDate,
                 endDate: endDate,
                 granularity: granularity,
+                timezone: req.timezone,
                 appliedStartTimestamp: startTimestamp,
                 appliedEndTimestamp: endTimestamp
             }
@@ -721,12 +615,152 @@ const getFeedbackGraph = async (req, res) => {
     }
 };
 
+const QUALITY_GROUP_BY = ['question', 'topic'];
+const DEFAULT_QUALITY_MIN_SAMPLES = 10;
+const DEFAULT_QUALITY_LIMIT = 50;
+const MAX_QUALITY_LIMIT = 500;
+
+/**
+ * GET /feedback/quality?groupBy=question|topic&minSamples=&limit=&startDate=&endDate=
+ * Groups feedback by normalised question text or by dictionary topic and ranks the
+ * groups by dislike rate, so the answers disliked most often can be fixed first.
+ * Groups with fewer than minSamples feedback rows are left out.
+ */
+const getFeedbackQuality = async (req, res) => {
+    try {
+        const groupBy = req.query.groupBy ? String(req.query.groupBy).trim() : 'question';
+        if (!QUALITY_GROUP_BY.includes(groupBy)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid groupBy. Must be one of: ${QUALITY_GROUP_BY.join(', ')}`
+            });
+        }
+
+        const minSamples = req.query.minSamples !== undefined
+            ? parseInt(req.query.minSamples)
+            : DEFAULT_QUALITY_MIN_SAMPLES;
+        if (!Number.isInteger(minSamples) || minSamples < 1) {
+            return res.status(400).json({
+                success: false,
+                error: "minSamples must be a positive integer"
+            });
+        }
+        const limit = Math.min(MAX_QUALITY_LIMIT, Math.max(1, parseInt(req.query.limit) || DEFAULT_QUALITY_LIMIT));
+
+        const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
+        const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+        if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp"
+            });
+        }
+
+        const qb = createQueryBuilder();
+        const dateFilter = andClause(buildConditions(
+            qb,
+            normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone }),
+            FILTER_SPECS.feedback,
+            { search: false }
+        ));
+
+        // Topics match whole words of the normalised question, so a question can fall in several topics
+        let groupSource;
+        if (groupBy === 'topic') {
+            const { topics, keywords } = getTopicKeywordPairs();
+            groupSource = `
+                    SELECT DISTINCT ON (r.id, k.topic) k.topic AS group_key, r.feedbacktype, r.answertext, r.ets
+                    FROM rated r
+                    JOIN unnest(${qb.param(topics)}::text[], ${qb.param(keywords)}::text[]) AS k(topic, keyword)
+                        ON ' ' || r.normalized || ' ' LIKE '% ' || k.keyword || ' %'`;
+        } else {
+            groupSource = `
+                    SELECT r.normalized AS group_key, r.feedbacktype, r.answertext, r.ets
+                    FROM rated r
+                    WHERE r.normalized <> ''`;
+        }
+
+        const query = {
+            text: `
+                WITH rated AS (
+                    SELECT id, ${normalizedTextSql('questiontext')} AS normalized, feedbacktype, answertext, ets
+                    FROM feedback
+                    WHERE questiontext IS NOT NULL AND feedbacktype IN ('like', 'dislike')${dateFilter}
+                ),
+                grouped AS (${groupSource}
+                )
+                SELECT
+                    group_key,
+                    COUNT(*) AS total_feedback,
+                    COUNT(*) FILTER (WHERE feedbacktype = 'like') AS likes,
+                    COUNT(*) FILTER (WHERE feedbacktype = 'dislike') AS dislikes,
+                    (ARRAY_AGG(answertext ORDER BY ets DESC) FILTER (WHERE feedbacktype = 'dislike'))[1] AS latest_disliked_answer,
+                    COUNT(*) OVER () AS total_groups
+                FROM grouped
+                GROUP BY group_key
+                HAVING COUNT(*) >= ${qb.param(minSamples)}
+                ORDER BY COUNT(*) FILTER (WHERE feedbacktype = 'dislike')::numeric / COUNT(*) DESC,
+                    COUNT(*) FILTER (WHERE feedbacktype = 'dislike') DESC,
+                    group_key
+                LIMIT ${qb.param(limit)}
+            `,
+            values: qb.params
+        };
+
+        const result = await pool.query(query);
+
+        const data = result.rows.map((row, index) => {
+            const totalFeedback = parseInt(row.total_feedback) || 0;
+            const dislikes = parseInt(row.dislikes) || 0;
+            return {
+                rank: index + 1,
+                ...(groupBy === 'topic'
+                    ? { topic: row.group_key, keywords: TOPICS[row.group_key] || [] }
+                    : { question: row.group_key }),
+                totalFeedback,
+                likes: parseInt(row.likes) || 0,
+                dislikes,
+                dislikeRate: totalFeedback > 0 ? Math.round((dislikes / totalFeedback) * 10000) / 100 : 0,
+                answer: row.latest_disliked_answer || null
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data,
+            metadata: {
+                groupBy,
+                minSamples,
+                limit,
+                totalGroups: result.rows.length > 0 ? parseInt(result.rows[0].total_groups) || 0 : 0
+            },
+            filters: {
+                startDate: startDate,
+                endDate: endDate,
+                appliedStartTimestamp: startTimestamp,
+                appliedEndTimestamp: endTimestamp
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching feedback quality:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error fetching feedback quality'
+        });
+    }
+};
+
 module.exports = {
+    buildFeedbackListQuery,
     getAllFeedback,
     getFeedbackByid,
     getFeedbackBySessionId,
     getFeedbackStats,
     getFeedbackGraph,
+    getFeedbackQuality,
+    fetchFeedbackStats,
     getTotalFeedbackCount,
     fetchAllFeedbackFromDB,
     formatFeedbackData,
@@ -1,17 +1,12 @@
 const { createAuthMiddleware } = require("../lib/jwksAuth");
+const { attachPermissions } = require("../lib/rbac");
+const { extractRegisteredLgdCode } = require("../lib/dataScope");
 
 function postVerify(payload, req) {
-  let registeredLgd = null;
-  if (Array.isArray(payload.locations)) {
-    const regLoc = payload.locations.find(
-      (l) => l && l.location_type === "registered_location"
-    );
-    if (regLoc && regLoc.lgd_code !== undefined && regLoc.lgd_code !== "") {
-      registeredLgd = regLoc.lgd_code;
-    }
-  }
+  const registeredLgd = extractRegisteredLgdCode(payload);
   req.user.registered_lgd_code = registeredLgd;
   req.registeredLgdCode = registeredLgd;
+  attachPermissions(payload, req);
 }
 
 const leaderboardAuthController = createAuthMiddleware({ postVerify });
@@ -0,0 +1,235 @@
+const pool = require('../services/db');
+const { parseDateRange } = require('../utils/dateUtils');
+const { getRegionGroupsUtil } = require('../middleware/villageMiddleware');
+const { METRIC_SOURCES, METRIC_NAMES, buildSourceFrom } = require('../utils/metricSources');
+const {
+    TIME_BUCKETS,
+    createQueryBuilder,
+    normalizeFilters,
+    andClause,
+    buildTimeBucket,
+    buildBucketSeries
+} = require('../utils/queryBuilder');
+
+const GROUP_BY_DIMENSIONS = ['channel', 'district'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = parseInt(process.env.TIMESERIES_MAX_BUCKETS, 10) || 1000;
+
+// Approximate bucket lengths, only used to reject oversized ranges up front
+const BUCKET_MS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+    monthly: 28 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Reads and validates the query string of /metrics/timeseries.
+ * @param {Object} query - req.query
+ * @param {string} timezone - req.timezone
+ * @returns {{ error: string }|{ metrics: string[], granularity: string, groupBy: string|null, startDate: string|null, endDate: string|null, startTimestamp: number, endTimestamp: number }}
+ */
+function parseTimeseriesQuery(query, timezone) {
+    const metrics = query.metrics
+        ? [...new Set(String(query.metrics).split(',').map((name) => name.trim()).filter(Boolean))]
+        : ['questions'];
+    const unknown = metrics.filter((name) => !METRIC_NAMES.includes(name));
+    if (metrics.length === 0 || unknown.length > 0) {
+        return { error: `Invalid metrics: ${unknown.join(', ') || '(none)'}. Must be one of: ${METRIC_NAMES.join(', ')}` };
+    }
+
+    const granularity = query.granularity ? String(query.granularity).trim() : 'daily';
+    if (!TIME_BUCKETS[granularity]) {
+        return { error: `Invalid granularity. Must be one of: ${Object.keys(TIME_BUCKETS).join(', ')}` };
+    }
+
+    const groupBy = query.groupBy ? String(query.groupBy).trim() : null;
+    if (groupBy && !GROUP_BY_DIMENSIONS.includes(groupBy)) {
+        return { error: `Invalid groupBy. Must be one of: ${GROUP_BY_DIMENSIONS.join(', ')}` };
+    }
+
+    const startDate = query.startDate ? String(query.startDate).trim() : null;
+    const endDate = query.endDate ? String(query.endDate).trim() : null;
+    let { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, timezone);
+    if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+        return { error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp" };
+    }
+
+    // Open ends default to now and DEFAULT_RANGE_DAYS before the end
+    if (endTimestamp === null) {
+        endTimestamp = Date.now();
+    }
+    if (startTimestamp === null) {
+        startTimestamp = endTimestamp - DEFAULT_RANGE_DAYS * BUCKET_MS.daily;
+    }
+    if (startTimestamp > endTimestamp) {
+        return { error: "Start date cannot be after end date" };
+    }
+    if ((endTimestamp - startTimestamp) / BUCKET_MS[granularity] > MAX_BUCKETS) {
+        return { error: `Date range too large for ${granularity} granularity (at most ${MAX_BUCKETS} buckets)` };
+    }
+
+    return { metrics, granularity, groupBy, startDate, endDate, startTimestamp, endTimestamp };
+}
+
+/**
+ * Builds the aggregate query of one source: one row per bucket and dimension value.
+ * District grouping maps questions through their own registered village and
+ * feedback/errors through the user's latest registered village, like /dashboard/stats/by-region.
+ * @param {string} sourceName - Key of METRIC_SOURCES
+ * @param {string[]} metrics - Requested metrics served by this source
+ * @param {Object} params - Parsed query plus timezone and villageCodes
+ * @param {Object|null} regionMap - { lgdCodes, districtCodes } when grouping by district
+ * @returns {{ text: string, values: Array }}
+ */
+function buildSourceQuery(sourceName, metrics, params, regionMap) {
+    const source = METRIC_SOURCES[sourceName];
+    const { alias } = source;
+    const qb = createQueryBuilder();
+    const bucket = buildTimeBucket(qb, params.granularity, params.timezone, source.time);
+    const filters = normalizeFilters({ villageCodes: params.villageCodes });
+    const { from, conditions } = buildSourceFrom(
+        qb,
+        source,
+        { ...filters, startTimestamp: params.startTimestamp, endTimestamp: params.endTimestamp }
+    );
+
+    let ctes = '';
+    let join = '';
+    let dimension = "'total'";
+    if (params.groupBy === 'channel') {
+        dimension = `COALESCE(${alias}.channel, 'unknown')`;
+    } else if (params.groupBy === 'district') {
+        ctes = `
+            WITH region_map AS (
+                SELECT * FROM unnest(${qb.param(regionMap.lgdCodes)}::text[], ${qb.param(regionMap.districtCodes)}::text[]) AS r(lgd_code, region_code)
+            )`;
+        if (sourceName === 'questions') {
+            join = ` LEFT JOIN region_map rm ON rm.lgd_code = ${alias}.registered_location->>'lgd_code'`;
+            dimension = "COALESCE(rm.region_code, 'unknown')";
+        } else {
+            ctes += `,
+            user_regions AS (
+                -- a user belongs to the district of their latest registered location
+                SELECT DISTINCT ON (q.uid) q.uid, rm.region_code
+                FROM questions q
+                JOIN region_map rm ON rm.lgd_code = q.registered_location->>'lgd_code'
+                WHERE q.uid IS NOT NULL
+                ORDER BY q.uid, q.ets DESC
+            )`;
+            join = ` LEFT JOIN user_regions ur ON ur.uid = ${alias}.uid`;
+            dimension = "COALESCE(ur.region_code, 'unknown')";
+        }
+    }
+
+    const columns = metrics.map((name) => `${source.metrics[name]} AS "${name}"`).join(', ');
+    const text = `${ctes}
+        SELECT ${bucket.timestamp} AS bucket_ts, ${dimension} AS dimension, ${columns}
+        FROM ${from}${join}
+        WHERE ${source.where}${andClause(conditions)}
+        GROUP BY 1, 2
+    `;
+    return { text, values: qb.params };
+}
+
+/**
+ * GET /metrics/timeseries?metrics=questions,likes&granularity=daily&groupBy=channel|district&startDate=&endDate=
+ * Returns one zero-filled series per requested metric, aligned on the same buckets,
+ * optionally split by channel or district.
+ */
+const getTimeseries = async (req, res) => {
+    try {
+        const parsed = parseTimeseriesQuery(req.query, req.timezone);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, error: parsed.error });
+        }
+
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const params = { ...parsed, timezone: req.timezone, villageCodes };
+
+        let regionMap = null;
+        let districtNames = new Map();
+        if (parsed.groupBy === 'district') {
+            const districts = getRegionGroupsUtil('district', villageCodes);
+            regionMap = { lgdCodes: [], districtCodes: [] };
+            for (const district of districts) {
+                for (const villageCode of district.village_codes) {
+                    regionMap.lgdCodes.push(villageCode);
+                    regionMap.districtCodes.push(district.code);
+                }
+            }
+            districtNames = new Map(districts.map((district) => [district.code, district.name]));
+        }
+
+        const bucketQb = createQueryBuilder();
+        const bucketQuery = buildBucketSeries(
+            bucketQb, parsed.granularity, req.timezone, parsed.startTimestamp, parsed.endTimestamp
+        );
+
+        const sourceQueries = Object.entries(METRIC_SOURCES)
+            .map(([sourceName, source]) => [sourceName, parsed.metrics.filter((name) => source.metrics[name])])
+            .filter(([, metrics]) => metrics.length > 0)
+            .map(([sourceName, metrics]) => ({ metrics, query: buildSourceQuery(sourceName, metrics, params, regionMap) }));
+
+        const [bucketResult, ...sourceResults] = await Promise.all([
+            pool.query(bucketQuery, bucketQb.params),
+            ...sourceQueries.map(({ query }) => pool.query(query))
+        ]);
+
+        const buckets = bucketResult.rows.map((row) => ({ date: row.date, timestamp: Number(row.timestamp) }));
+
+        // dimension -> metric -> bucket timestamp -> value
+        const values = new Map();
+        sourceResults.forEach((result, index) => {
+            for (const row of result.rows) {
+                if (!values.has(row.dimension)) {
+                    values.set(row.dimension, new Map());
+                }
+                const byMetric = values.get(row.dimension);
+                for (const name of sourceQueries[index].metrics) {
+                    if (!byMetric.has(name)) {
+                        byMetric.set(name, new Map());
+                    }
+                    byMetric.get(name).set(Number(row.bucket_ts), parseInt(row[name]) || 0);
+                }
+            }
+        });
+
+        const keys = parsed.groupBy
+            ? [...values.keys()].sort()
+            : ['total'];
+        const series = keys.map((key) => {
+            const byMetric = values.get(key) || new Map();
+            const metrics = {};
+            for (const name of parsed.metrics) {
+                const points = byMetric.get(name) || new Map();
+                metrics[name] = buckets.map((bucket) => points.get(bucket.timestamp) || 0);
+            }
+            const name = parsed.groupBy === 'district' ? districtNames.get(key) || null : key;
+            return { key, name, metrics };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: { buckets, series },
+            metadata: {
+                metrics: parsed.metrics,
+                granularity: parsed.granularity,
+                groupBy: parsed.groupBy,
+                timezone: req.timezone,
+                dateRange: {
+                    start: parsed.startTimestamp,
+                    end: parsed.endTimestamp
+                }
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching metrics timeseries:", error);
+        res.status(500).json({ success: false, error: "Error fetching metrics timeseries" });
+    }
+};
+
+module.exports = {
+    parseTimeseriesQuery,
+    getTimeseries
+};
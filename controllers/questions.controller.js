@@ -1,17 +1,53 @@
 const pool = require("../services/db"); // Ensure this path is correct
-const { parseDateRange, formatDateToIST, getCurrentTimestamp } = require("../utils/dateUtils");
+const {
+  DEFAULT_TIMEZONE,
+  parseDateRange,
+  formatDateInTimezone,
+} = require("../utils/dateUtils");
+const {
+  FILTER_SPECS,
+  createQueryBuilder,
+  normalizeFilters,
+  buildConditions,
+  buildRangeConditions,
+  buildRegionCondition,
+  andClause,
+  buildOrderBy,
+  buildPagination,
+  buildTimeBucket,
+} = require("../utils/queryBuilder");
+const {
+  planRollupRange,
+  buildRollupConditions,
+  rawRangesFor,
+} = require("../services/rollupService");
+const { resolveComparisonRange, buildComparison } = require("../utils/compareUtils");
+
+// Sortable fields accepted by GET /questions
+const QUESTION_SORT_COLUMNS = {
+  id: "id",
+  user_id: "user_id",
+  session_id: "session_id",
+  dateAsked: "ets",
+};
 
-async function fetchQuestionsFromDB(
-  page = 1,
-  limit = 10,
+/**
+ * Builds the filtered and sorted questions list query without pagination.
+ * Shared by the paginated list and the CSV/XLSX export.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} [options] - search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone
+ * @returns {string}
+ */
+function buildQuestionsListQuery(qb, {
   search = "",
   startDate = null,
   endDate = null,
-  sortBy = null, 
-  sortOrder = "DESC"
-) {
-  const offset = (page - 1) * limit;
-  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+  sortBy = null,
+  sortOrder = "DESC",
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE
+} = {}) {
+  const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
 
   // Base query with optional search and date filtering - using parameterized queries
   let query = `
@@ -29,67 +65,41 @@ async function fetchQuestionsFromDB(
         WHERE uid IS NOT NULL AND answertext IS NOT NULL
     `;
 
-  const queryParams = [];
-  let paramIndex = 0;
-
-  // Add date range filtering
-  if (startTimestamp !== null) {
-    paramIndex++;
-    query += ` AND ets >= $${paramIndex}`;
-    queryParams.push(startTimestamp);
-  }
-
-  if (endTimestamp !== null) {
-    paramIndex++;
-    query += ` AND ets <= $${paramIndex}`;
-    queryParams.push(endTimestamp);
-  }
-
-  // Filter out future ETS records (bad telemetry data)
-  paramIndex++;
-  query += ` AND ets <= $${paramIndex}`;
-  queryParams.push(Date.now());
-
-  // Add search functionality if search term is provided
-  if (search && search.trim() !== "") {
-    paramIndex++;
-    query += ` AND (
-            questiontext ILIKE $${paramIndex} OR 
-            answertext ILIKE $${paramIndex} OR
-            uid ILIKE $${paramIndex} OR
-            channel ILIKE $${paramIndex} OR
-            farmer_id ILIKE $${paramIndex} OR
-            unique_id ILIKE $${paramIndex}
-        )`;
-    queryParams.push(`%${search.trim()}%`);
-  }
-
-  const sortArray = ["id", "user_id", "session_id", "dateAsked"];
-  if (sortArray.includes(sortBy)) {
-    query += ` ORDER BY ${sortBy === "dateAsked" ? "ets" : sortBy} ${sortOrder}`;
-  } else {
-    query += ` ORDER BY ets DESC`;
-  }
+  query += andClause(buildConditions(qb, filters, FILTER_SPECS.questions));
+  query += buildOrderBy(sortBy, sortOrder, QUESTION_SORT_COLUMNS, "ets DESC");
+  return query;
+}
 
-  // Add pagination
-  paramIndex++;
-  query += ` LIMIT $${paramIndex}`;
-  queryParams.push(limit);
+async function fetchQuestionsFromDB(
+  page = 1,
+  limit = 10,
+  search = "",
+  startDate = null,
+  endDate = null,
+  sortBy = null, 
+  sortOrder = "DESC",
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE
+) {
+  const offset = (page - 1) * limit;
+  const qb = createQueryBuilder();
 
-  paramIndex++;
-  query += ` OFFSET $${paramIndex}`;
-  queryParams.push(offset);
+  let query = buildQuestionsListQuery(qb, { search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone });
+  query += buildPagination(qb, limit, offset);
 
-  const result = await pool.query(query, queryParams);
+  const result = await pool.query(query, qb.params);
   return result.rows;
 }
 
 async function getTotalQuestionsCount(
   search = "",
   startDate = null,
-  endDate = null
+  endDate = null,
+  villageCodes = null,
+  timezone = DEFAULT_TIMEZONE
 ) {
-  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+  const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+  const qb = createQueryBuilder();
 
   let query = `
         SELECT COUNT(*) as total
@@ -97,41 +107,13 @@ async function getTotalQuestionsCount(
         WHERE uid IS NOT NULL AND answertext IS NOT NULL
     `;
 
-  const queryParams = [];
-  let paramIndex = 0;
-
-  // Add date range filtering
-  if (startTimestamp !== null) {
-    paramIndex++;
-    query += ` AND ets >= $${paramIndex}`;
-    queryParams.push(startTimestamp);
-  }
-
-  if (endTimestamp !== null) {
-    paramIndex++;
-    query += ` AND ets <= $${paramIndex}`;
-    queryParams.push(endTimestamp);
-  }
-
-  // Add search filter to count query if search term is provided
-  if (search && search.trim() !== "") {
-    paramIndex++;
-    query += ` AND (
-            questiontext ILIKE $${paramIndex} OR 
-            answertext ILIKE $${paramIndex} OR
-            uid ILIKE $${paramIndex} OR
-            channel ILIKE $${paramIndex} OR
-            farmer_id ILIKE $${paramIndex} OR
-            unique_id ILIKE $${paramIndex}
-        )`;
-    queryParams.push(`%${search.trim()}%`);
-  }
+  query += andClause(buildConditions(qb, filters, FILTER_SPECS.questions));
 
-  const result = await pool.query(query, queryParams);
+  const result = await pool.query(query, qb.params);
   return parseInt(result.rows[0].total);
 }
 
-function formatQuestionData(row) {
+function formatQuestionData(row, timezone = DEFAULT_TIMEZONE) {
   let dateAsked = null;
 
   try {
@@ -139,12 +121,12 @@ function formatQuestionData(row) {
       // First try to parse the timestamp if it's in milliseconds
       const timestamp = parseInt(row.ets);
       if (!isNaN(timestamp)) {
-        // Convert to IST timezone
-        dateAsked = formatDateToIST(timestamp);
+        // Convert to the requested timezone
+        dateAsked = formatDateInTimezone(timestamp, timezone);
       } else {
         // If not a timestamp, try parsing as a date string
         const parsedDate = new Date(row.ets);
-        dateAsked = formatDateToIST(parsedDate.getTime());
+        dateAsked = formatDateInTimezone(parsedDate.getTime(), timezone);
       }
     }
   } catch (err) {
@@ -174,6 +156,7 @@ const getQuestions = async (req, res) => {
 
     const sortBy = req.query.sortBy;
     const sortOrder = req.query.sortOrder === "asc" ? "ASC" : "DESC";
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
     // Additional validation for search term length to prevent abuse
     if (search.length > 1000) {
@@ -184,7 +167,7 @@ const getQuestions = async (req, res) => {
     }
 
     // Validate date range
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
     if (
       (startDate && startTimestamp === null) ||
       (endDate && endTimestamp === null)
@@ -205,11 +188,11 @@ const getQuestions = async (req, res) => {
 
     // Fetch paginated questions data and total count
     const [questionsData, totalCount] = await Promise.all([
-      fetchQuestionsFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder),
-      getTotalQuestionsCount(search, startDate, endDate),
+      fetchQuestionsFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder, villageCodes, req.timezone),
+      getTotalQuestionsCount(search, startDate, endDate, villageCodes, req.timezone),
     ]);
 
-    const formattedData = questionsData.map(formatQuestionData);
+    const formattedData = questionsData.map((row) => formatQuestionData(row, req.timezone));
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(totalCount / limit);
@@ -263,6 +246,12 @@ const getQuestionById = async (req, res) => {
       });
     }
 
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+    const qb = createQueryBuilder([id]);
+    const regionFilter = villageCodes
+      ? ` AND ${buildRegionCondition(qb, villageCodes, FILTER_SPECS.questions)}`
+      : "";
+
     const query = {
       text: `
                 SELECT 
@@ -278,9 +267,9 @@ const getQuestionById = async (req, res) => {
                     groupdetails,
                     questionsource
                 FROM questions
-                WHERE id = $1
+                WHERE id = $1${regionFilter}
             `,
-      values: [id],
+      values: qb.params,
     };
 
     const result = await pool.query(query);
@@ -292,7 +281,7 @@ const getQuestionById = async (req, res) => {
       });
     }
 
-    const formattedQuestion = formatQuestionData(result.rows[0]);
+    const formattedQuestion = formatQuestionData(result.rows[0], req.timezone);
 
     res.status(200).json({
       success: true,
@@ -327,7 +316,7 @@ const getQuestionsByUserId = async (req, res) => {
     }
 
     // Validate date range
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
     if (
       (startDate && startTimestamp === null) ||
       (endDate && endTimestamp === null)
@@ -340,30 +329,17 @@ const getQuestionsByUserId = async (req, res) => {
     }
 
     // Build date filtering for questions query
-    let dateFilter = "";
-    let countDateFilter = "";
-    const queryParams = [userId.trim()];
-    const countParams = [userId.trim()];
-    let paramIndex = 1;
-
-    if (startTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets >= $${paramIndex}`;
-      countDateFilter += ` AND ets >= $${paramIndex}`;
-      queryParams.push(startTimestamp);
-      countParams.push(startTimestamp);
-    }
-
-    if (endTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets <= $${paramIndex}`;
-      countDateFilter += ` AND ets <= $${paramIndex}`;
-      queryParams.push(endTimestamp);
-      countParams.push(endTimestamp);
-    }
-
-    // Add pagination params
-    queryParams.push(limit, offset);
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+    const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone });
+    const qb = createQueryBuilder([userId.trim()]);
+    const countQb = createQueryBuilder([userId.trim()]);
+    const dateFilter = andClause(
+      buildConditions(qb, filters, FILTER_SPECS.questions, { search: false })
+    );
+    const countDateFilter = andClause(
+      buildConditions(countQb, filters, FILTER_SPECS.questions, { search: false })
+    );
+    const pagination = buildPagination(qb, limit, offset);
 
     // Get questions by user ID with pagination and date filtering
     const questionsQuery = {
@@ -383,11 +359,10 @@ const getQuestionsByUserId = async (req, res) => {
                     AND questiontext IS NOT NULL 
                     AND answertext IS NOT NULL
                     ${dateFilter}
-                    AND ets <= ${Date.now()}
                 ORDER BY ets DESC
-                LIMIT $${paramIndex + 1} OFFSET $${paramIndex + 2}
+                ${pagination}
             `,
-      values: queryParams,
+      values: qb.params,
     };
 
     // Get total count for user with date filtering
@@ -400,7 +375,7 @@ const getQuestionsByUserId = async (req, res) => {
                     AND answertext IS NOT NULL
                     ${countDateFilter}
             `,
-      values: countParams,
+      values: countQb.params,
     };
 
     const [questionsResult, countResult] = await Promise.all([
@@ -409,7 +384,7 @@ const getQuestionsByUserId = async (req, res) => {
     ]);
 
     const totalCount = parseInt(countResult.rows[0].total);
-    const formattedData = questionsResult.rows.map(formatQuestionData);
+    const formattedData = questionsResult.rows.map((row) => formatQuestionData(row, req.timezone));
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(totalCount / limit);
@@ -470,7 +445,7 @@ const getQuestionsBySessionId = async (req, res) => {
     }
 
     // Validate date range
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
     if (
       (startDate && startTimestamp === null) ||
       (endDate && endTimestamp === null)
@@ -483,30 +458,17 @@ const getQuestionsBySessionId = async (req, res) => {
     }
 
     // Build date filtering for questions query
-    let dateFilter = "";
-    let countDateFilter = "";
-    const queryParams = [sessionId.trim()];
-    const countParams = [sessionId.trim()];
-    let paramIndex = 1;
-
-    if (startTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets >= $${paramIndex}`;
-      countDateFilter += ` AND ets >= $${paramIndex}`;
-      queryParams.push(startTimestamp);
-      countParams.push(startTimestamp);
-    }
-
-    if (endTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets <= $${paramIndex}`;
-      countDateFilter += ` AND ets <= $${paramIndex}`;
-      queryParams.push(endTimestamp);
-      countParams.push(endTimestamp);
-    }
-
-    // Add pagination params
-    queryParams.push(limit, offset);
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+    const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone });
+    const qb = createQueryBuilder([sessionId.trim()]);
+    const countQb = createQueryBuilder([sessionId.trim()]);
+    const dateFilter = andClause(
+      buildConditions(qb, filters, FILTER_SPECS.questions, { search: false })
+    );
+    const countDateFilter = andClause(
+      buildConditions(countQb, filters, FILTER_SPECS.questions, { search: false })
+    );
+    const pagination = buildPagination(qb, limit, offset);
 
     // Get questions by session ID with pagination and date filtering
     const questionsQuery = {
@@ -526,11 +488,10 @@ const getQuestionsBySessionId = async (req, res) => {
                     AND questiontext IS NOT NULL 
                     AND answertext IS NOT NULL
                     ${dateFilter}
-                    AND ets <= ${Date.now()}
                 ORDER BY ets DESC
-                LIMIT $${paramIndex + 1} OFFSET $${paramIndex + 2}
+                ${pagination}
             `,
-      values: queryParams,
+      values: qb.params,
     };
 
     // Get total count for session with date filtering
@@ -543,7 +504,7 @@ const getQuestionsBySessionId = async (req, res) => {
                     AND answertext IS NOT NULL
                     ${countDateFilter}
             `,
-      values: countParams,
+      values: countQb.params,
     };
 
     const [questionsResult, countResult] = await Promise.all([
@@ -552,7 +513,7 @@ const getQuestionsBySessionId = async (req, res) => {
     ]);
 
     const totalCount = parseInt(countResult.rows[0].total);
-    const formattedData = questionsResult.rows.map(formatQuestionData);
+    const formattedData = questionsResult.rows.map((row) => formatQuestionData(row, req.timezone));
 
     // Calculate pagination metadata
     const totalPages = Math.ceil(totalCount / limit);
@@ -590,15 +551,60 @@ const getQuestionsBySessionId = async (req, res) => {
 };
 
 // Get comprehensive question statistics with date filtering
+/**
+ * Computes the question stats of a date range.
+ * Closed days come from the daily rollups, the rest from raw questions.
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @param {string[]|null} villageCodes
+ * @param {string} timezone - IANA timezone the dates are given in
+ * @returns {Promise<{ totalQuestions: number }>}
+ */
+async function fetchQuestionStats(startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+  const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, timezone);
+  const plan = await planRollupRange(startTimestamp, endTimestamp, timezone);
+  const qb = createQueryBuilder();
+  const dateFilter = andClause(
+    buildRangeConditions(
+      qb,
+      normalizeFilters({ startDate, endDate, villageCodes, timezone }),
+      FILTER_SPECS.questions,
+      rawRangesFor(plan, startTimestamp, endTimestamp)
+    )
+  );
+  const rollupFilter = buildRollupConditions(qb, plan, villageCodes).join(" AND ");
+
+  // SIMPLIFIED - Only return total questions count
+  const query = {
+    text: `
+                SELECT
+                    (SELECT COUNT(*)
+                     FROM questions
+                     WHERE uid IS NOT NULL AND answertext IS NOT NULL ${dateFilter})
+                    +
+                    (SELECT COALESCE(SUM(questions), 0)
+                     FROM daily_village_rollup
+                     WHERE ${rollupFilter}) as total_questions
+            `,
+    values: qb.params,
+  };
+
+  const result = await pool.query(query);
+  return {
+    totalQuestions: parseInt(result.rows[0].total_questions) || 0,
+  };
+}
+
 const getQuestionStats = async (req, res) => {
   try {
     const startDate = req.query.startDate
       ? String(req.query.startDate).trim()
       : null;
     const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
     // Validate date range
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
     if (
       (startDate && startTimestamp === null) ||
       (endDate && endTimestamp === null)
@@ -610,47 +616,28 @@ const getQuestionStats = async (req, res) => {
       });
     }
 
-    // Build date filtering
-    let dateFilter = "";
-    const queryParams = [];
-    let paramIndex = 0;
-
-    if (startTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets >= $${paramIndex}`;
-      queryParams.push(startTimestamp);
-    }
-
-    if (endTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets <= $${paramIndex}`;
-      queryParams.push(endTimestamp);
+    const comparison = resolveComparisonRange(req.query.compare, startTimestamp, endTimestamp, req.timezone);
+    if (comparison && comparison.error) {
+      return res.status(400).json({ success: false, error: comparison.error });
     }
 
-    // SIMPLIFIED - Only return total questions count
-    const query = {
-      text: `
-                SELECT COUNT(*) as total_questions
-                FROM questions
-                WHERE uid IS NOT NULL AND answertext IS NOT NULL ${dateFilter}
-            `,
-      values: queryParams,
-    };
-
-    const result = await pool.query(query);
-    const stats = result.rows[0];
+    const [data, previous] = await Promise.all([
+      fetchQuestionStats(startDate, endDate, villageCodes, req.timezone),
+      comparison
+        ? fetchQuestionStats(comparison.startDate, comparison.endDate, villageCodes, req.timezone)
+        : null,
+    ]);
 
     res.status(200).json({
       success: true,
-      data: {
-        totalQuestions: parseInt(stats.total_questions) || 0,
-      },
+      data,
       filters: {
         startDate: startDate,
         endDate: endDate,
         appliedStartTimestamp: startTimestamp,
         appliedEndTimestamp: endTimestamp,
       },
+      ...(comparison && { comparison: buildComparison(comparison, data, previous) }),
     });
   } catch (error) {
     console.error("Error fetching question stats:", error);
@@ -672,6 +659,7 @@ const getQuestionsGraph = async (req, res) => {
       ? String(req.query.granularity).trim()
       : "daily";
     const search = req.query.search ? String(req.query.search).trim() : "";
+    const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
     // Validate granularity parameter
     if (!["daily", "hourly", "weekly", "monthly"].includes(granularity)) {
@@ -683,7 +671,7 @@ const getQuestionsGraph = async (req, res) => {
     }
 
     // Validate date range
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
     if (
       (startDate && startTimestamp === null) ||
       (endDate && endTimestamp === null)
@@ -702,76 +690,29 @@ const getQuestionsGraph = async (req, res) => {
       });
     }
 
-    // Build date filtering
-    let dateFilter = "";
-    const queryParams = [];
-    let paramIndex = 0;
-
-    if (startTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets >= $${paramIndex}`;
-      queryParams.push(startTimestamp);
-    }
-
-    if (endTimestamp !== null) {
-      paramIndex++;
-      dateFilter += ` AND ets <= $${paramIndex}`;
-      queryParams.push(endTimestamp);
-    }
-
-    // Add search filter if provided
-    if (search && search.trim() !== "") {
-      paramIndex++;
-      dateFilter += ` AND (
-                questiontext ILIKE $${paramIndex} OR 
-                answertext ILIKE $${paramIndex} OR
-                uid ILIKE $${paramIndex} OR
-                channel ILIKE $${paramIndex}
-            )`;
-      queryParams.push(`%${search.trim()}%`);
-    }
+    // Build date and search filtering
+    const qb = createQueryBuilder();
+    const dateFilter = andClause(
+      buildConditions(
+        qb,
+        normalizeFilters({ search, startDate, endDate, villageCodes, timezone: req.timezone }),
+        FILTER_SPECS.questions
+      )
+    );
 
-    // Define the date truncation and formatting based on granularity
-    let dateGrouping;
-    let dateFormat;
-    let orderBy;
-
-    switch (granularity) {
-      case "hourly":
-        dateGrouping = "DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000))";
-        dateFormat =
-          "TO_CHAR(DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD HH24:00')";
-        orderBy = "hour_bucket";
-        break;
-      case "weekly":
-        dateGrouping = "DATE_TRUNC('week', TO_TIMESTAMP(ets/1000))";
-        dateFormat =
-          "TO_CHAR(DATE_TRUNC('week', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
-        orderBy = "week_bucket";
-        break;
-      case "monthly":
-        dateGrouping = "DATE_TRUNC('month', TO_TIMESTAMP(ets/1000))";
-        dateFormat =
-          "TO_CHAR(DATE_TRUNC('month', TO_TIMESTAMP(ets/1000)), 'YYYY-MM')";
-        orderBy = "month_bucket";
-        break;
-      case "daily":
-      default:
-        dateGrouping = "DATE_TRUNC('day', TO_TIMESTAMP(ets/1000))";
-        dateFormat =
-          "TO_CHAR(DATE_TRUNC('day', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
-        orderBy = "day_bucket";
-        break;
-    }
+    // Date truncation and formatting based on granularity, in the requested timezone
+    const bucket = buildTimeBucket(qb, granularity, req.timezone);
+    const dateGrouping = bucket.grouping;
+    const orderBy = "time_bucket";
 
     const query = {
       text: `
                 SELECT 
-                    ${dateFormat} as date,
+                    ${bucket.label} as date,
                     ${dateGrouping} as ${orderBy},
                     COUNT(*) as questionsCount,
               
-                    EXTRACT(EPOCH FROM ${dateGrouping}) * 1000 as timestamp,
+                    ${bucket.timestamp} as timestamp,
                     ${granularity === "hourly"
           ? `EXTRACT(HOUR FROM ${dateGrouping}) as hour_of_day`
           : "NULL as hour_of_day"
@@ -784,7 +725,7 @@ const getQuestionsGraph = async (req, res) => {
                 GROUP BY ${dateGrouping}
                 ORDER BY ${orderBy} ASC
             `,
-      values: queryParams,
+      values: qb.params,
     };
 
           // COUNT(DISTINCT uid) as uniqueUsersCount,
@@ -857,6 +798,7 @@ const getQuestionsGraph = async (req, res) => {
         startDate: startDate,
         endDate: endDate,
         granularity: granularity,
+        timezone: req.timezone,
         appliedStartTimestamp: startTimestamp,
         appliedEndTimestamp: endTimestamp,
       },
@@ -871,6 +813,7 @@ const getQuestionsGraph = async (req, res) => {
 };
 
 module.exports = {
+  buildQuestionsListQuery,
   getQuestions,
   getQuestionById,
   getQuestionsByUserId,
@@ -878,6 +821,7 @@ module.exports = {
   getQuestionStats,
   getQuestionsGraph,
   getTotalQuestionsCount,
+  fetchQuestionStats,
   fetchQuestionsFromDB,
   formatQuestionData,
 };
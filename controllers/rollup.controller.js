@@ -0,0 +1,39 @@
+const { validateRollupRange, recomputeRollups } = require('../services/rollupService');
+
+/**
+ * POST /rollups/recompute
+ * Body: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+ * Recomputes the daily rollups of every day (in the rollup timezone) in the range and reports the rows replaced.
+ */
+const recomputeRollupRange = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const range = validateRollupRange(body.from, body.to);
+        if (range.error) {
+            return res.status(400).json({ success: false, error: range.error });
+        }
+
+        const outcome = await recomputeRollups(range.from, range.to);
+        if (!outcome.locked) {
+            return res.status(409).json({ success: false, error: "A rollup run is already in progress" });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: range.from,
+                to: range.to,
+                daysProcessed: outcome.days.length,
+                totals: outcome.totals,
+                days: outcome.days
+            }
+        });
+    } catch (error) {
+        console.error("Error recomputing rollups:", error);
+        res.status(500).json({ success: false, error: "Error recomputing rollups" });
+    }
+};
+
+module.exports = {
+    recomputeRollupRange
+};
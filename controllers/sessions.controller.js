@@ -1,32 +1,82 @@
 const pool = require('../services/db');
-const { parseDateRange, formatDateToIST, getCurrentTimestamp } = require('../utils/dateUtils');
+const { DEFAULT_TIMEZONE, parseDateRange, formatDateInTimezone } = require('../utils/dateUtils');
+const {
+    FILTER_SPECS,
+    createQueryBuilder,
+    normalizeFilters,
+    buildConditions,
+    buildRangeConditions,
+    andClause,
+    buildOrderBy,
+    buildPagination,
+    TIME_BUCKETS,
+    buildTimeBucket
+} = require('../utils/queryBuilder');
+const { planRollupRange, buildRollupConditions, rawRangesFor } = require('../services/rollupService');
+const { resolveComparisonRange, buildComparison } = require('../utils/compareUtils');
+
+// Sortable fields accepted by GET /sessions
+const SESSION_SORT_COLUMNS = {
+    question_count: 'question_count',
+    username: 'username',
+    session_id: 'session_id',
+    session_time: 'session_time',
+    duration: 'duration_seconds'
+};
 
-async function fetchSessionsFromDB(page = 1, limit = 10, search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC') {
-    const offset = (page - 1) * limit;
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+/**
+ * Histogram bucket edges of session duration (seconds) and depth (questions per session).
+ * Bucket i holds values from edges[i - 1] (inclusive) to edges[i] (exclusive); the
+ * first starts at 0 and the last is open-ended.
+ */
+const SESSION_DURATION_EDGES = [30, 60, 120, 300, 600, 1800];
+const SESSION_DEPTH_EDGES = [1, 2, 3, 4, 6, 11];
+
+/**
+ * Builds the filter fragment for each branch of the combined_sessions union.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} filters - Object from normalizeFilters
+ * @param {Object} [options] - Passed through to buildConditions
+ * @returns {{ questions: string, feedback: string, errordetails: string }}
+ */
+function buildSessionFilters(qb, filters, options = {}) {
+    const spec = FILTER_SPECS.sessions;
+    return {
+        questions: andClause(buildConditions(qb, filters, { ...spec, table: 'questions' }, options)),
+        feedback: andClause(buildConditions(qb, filters, { ...spec, table: 'feedback' }, options)),
+        errordetails: andClause(buildConditions(qb, filters, { ...spec, table: 'errordetails' }, options))
+    };
+}
 
-    // Build the WHERE conditions for date filtering
-    let dateConditions = '';
-    const queryParams = [];
-    let paramIndex = 0;
+/**
+ * Like buildSessionFilters, but limits every branch to the given raw date ranges
+ * (the part of a request not served from the daily rollups).
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} filters - Object from normalizeFilters
+ * @param {Array<{start: number|null, end: number|null}>} ranges
+ * @returns {{ questions: string, feedback: string, errordetails: string }}
+ */
+function buildSessionRangeFilters(qb, filters, ranges) {
+    const spec = FILTER_SPECS.sessions;
+    return {
+        questions: andClause(buildRangeConditions(qb, filters, { ...spec, table: 'questions' }, ranges)),
+        feedback: andClause(buildRangeConditions(qb, filters, { ...spec, table: 'feedback' }, ranges)),
+        errordetails: andClause(buildRangeConditions(qb, filters, { ...spec, table: 'errordetails' }, ranges))
+    };
+}
 
-    if (startTimestamp !== null) {
-        paramIndex++;
-        dateConditions += ` AND ets >= $${paramIndex}`;
-        queryParams.push(startTimestamp);
-    }
+/**
+ * Builds the filtered and sorted sessions list query without pagination.
+ * Shared by the paginated list and the CSV/XLSX export.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} [options] - search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone
+ * @returns {string}
+ */
+function buildSessionsListQuery(qb, { search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC', villageCodes = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
 
-    if (endTimestamp !== null) {
-        paramIndex++;
-        dateConditions += ` AND ets <= $${paramIndex}`;
-        queryParams.push(endTimestamp);
-    }
-
-    // Add future ETS filter (filter out bad telemetry data with future timestamps)
-    paramIndex++;
-    const futureFilterParam = paramIndex;
-    dateConditions += ` AND ets <= $${paramIndex}`;
-    queryParams.push(Date.now());
+    // Date, future ets and search conditions for every table in the union
+    const branchFilters = buildSessionFilters(qb, filters);
 
     // Base CTE query with date filtering applied to all tables
     let query = `
@@ -37,7 +87,7 @@ async function fetchSessionsFromDB(page = 1, limit = 10, search = '', startDate
                 questiontext,
                 ets
             FROM questions
-            WHERE sid IS NOT NULL AND answertext IS NOT NULL${dateConditions}
+            WHERE sid IS NOT NULL AND answertext IS NOT NULL${branchFilters.questions}
             UNION ALL
             SELECT 
                 sid,
@@ -45,7 +95,7 @@ async function fetchSessionsFromDB(page = 1, limit = 10, search = '', startDate
                 NULL as questiontext,
                 ets
             FROM feedback
-            WHERE sid IS NOT NULL${dateConditions}
+            WHERE sid IS NOT NULL${branchFilters.feedback}
             UNION ALL
             SELECT 
                 sid,
@@ -53,73 +103,42 @@ async function fetchSessionsFromDB(page = 1, limit = 10, search = '', startDate
                 NULL as questiontext,
                 ets
             FROM errordetails
-            WHERE sid IS NOT NULL${dateConditions}
+            WHERE sid IS NOT NULL${branchFilters.errordetails}
         )
         SELECT 
             sid as session_id,
             uid as username,
             COUNT(questiontext) as question_count,
-            MAX(ets) as session_time
+            MIN(ets) as session_start,
+            MAX(ets) as session_time,
+            (MAX(ets) - MIN(ets)) / 1000 as duration_seconds
         FROM combined_sessions
         GROUP BY sid, uid
     `;
 
-    // Add search functionality if search term is provided
-    if (search && search.trim() !== '') {
-        paramIndex++;
-        query += ` HAVING (
-            sid ILIKE $${paramIndex} OR 
-            uid ILIKE $${paramIndex}
-        )`;
-        queryParams.push(`%${search.trim()}%`);
-    }
-    
-    const sortArray = ["question_count", "username", "session_id", "session_time"];
-  if (sortArray.includes(sortBy)) {
-    query += ` ORDER BY ${sortBy === "session_time" ? "session_time" : sortBy} ${sortOrder}`;
-  } else {
-    query += ` ORDER BY session_time DESC`
-  };
-    
-    // Add pagination
-    paramIndex++;
-    query += ` LIMIT $${paramIndex}`;
-    queryParams.push(limit);
-
-    paramIndex++;
-    query += ` OFFSET $${paramIndex}`;
-    queryParams.push(offset);
- 
-    const result = await pool.query(query, queryParams);
-    return result.rows;
+    query += buildOrderBy(sortBy, sortOrder, SESSION_SORT_COLUMNS, 'session_time DESC');
+    return query;
 }
 
-async function getTotalSessionsCount(search = '', startDate = null, endDate = null) {
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+async function fetchSessionsFromDB(page = 1, limit = 10, search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC', villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const offset = (page - 1) * limit;
+    const qb = createQueryBuilder();
 
-    // Build the WHERE conditions for date filtering
-    let dateConditions = '';
-    const queryParams = [];
-    let paramIndex = 0;
+    let query = buildSessionsListQuery(qb, { search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone });
+    query += buildPagination(qb, limit, offset);
 
-    if (startTimestamp !== null) {
-        paramIndex++;
-        dateConditions += ` AND ets >= $${paramIndex}`;
-        queryParams.push(startTimestamp);
-    }
+    const result = await pool.query(query, qb.params);
+    return result.rows;
+}
 
-    if (endTimestamp !== null) {
-        paramIndex++;
-        dateConditions += ` AND ets <= $${paramIndex}`;
-        queryParams.push(endTimestamp);
-    }
+async function getTotalSessionsCount(search = '', startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+    const qb = createQueryBuilder();
 
-    // Add future ETS filter (filter out bad telemetry data with future timestamps)
-    paramIndex++;
-    dateConditions += ` AND ets <= $${paramIndex}`;
-    queryParams.push(Date.now());
+    // Date, future ets and search conditions for every table in the union
+    const branchFilters = buildSessionFilters(qb, filters);
 
-    let query = `
+    const query = `
         WITH combined_sessions AS (
             SELECT 
                 sid,
@@ -127,7 +146,7 @@ async function getTotalSessionsCount(search = '', startDate = null, endDate = nu
                 questiontext,
                 ets
             FROM questions
-            WHERE sid IS NOT NULL AND answertext IS NOT NULL${dateConditions}
+            WHERE sid IS NOT NULL AND answertext IS NOT NULL${branchFilters.questions}
             UNION ALL
             SELECT 
                 sid,
@@ -135,7 +154,7 @@ async function getTotalSessionsCount(search = '', startDate = null, endDate = nu
                 NULL as questiontext,
                 ets
             FROM feedback
-            WHERE sid IS NOT NULL${dateConditions}
+            WHERE sid IS NOT NULL${branchFilters.feedback}
             UNION ALL
             SELECT 
                 sid,
@@ -143,7 +162,7 @@ async function getTotalSessionsCount(search = '', startDate = null, endDate = nu
                 NULL as questiontext,
                 ets
             FROM errordetails
-            WHERE sid IS NOT NULL${dateConditions}
+            WHERE sid IS NOT NULL${branchFilters.errordetails}
         ),
         session_groups AS (
             SELECT 
@@ -158,21 +177,11 @@ async function getTotalSessionsCount(search = '', startDate = null, endDate = nu
         FROM session_groups
     `;
 
-    // Add search filter to count query if search term is provided
-    if (search && search.trim() !== '') {
-        paramIndex++;
-        query += ` WHERE (
-            sid ILIKE $${paramIndex} OR 
-            uid ILIKE $${paramIndex}
-        )`;
-        queryParams.push(`%${search.trim()}%`);
-    }
-
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(query, qb.params);
     return parseInt(result.rows[0].total);
 }
 
-function formatSessionData(row) {
+function formatSessionData(row, timezone = DEFAULT_TIMEZONE) {
     let sessionTime = null;
 
     try {
@@ -180,12 +189,12 @@ function formatSessionData(row) {
             // First try to parse the timestamp if it's in milliseconds
             const timestamp = parseInt(row.session_time);
             if (!isNaN(timestamp)) {
-                // Convert to IST timezone
-                sessionTime = formatDateToIST(timestamp);
+                // Convert to the requested timezone
+                sessionTime = formatDateInTimezone(timestamp, timezone);
             } else {
                 // If not a timestamp, try parsing as a date string
                 const parsedDate = new Date(row.session_time);
-                sessionTime = formatDateToIST(parsedDate.getTime());
+                sessionTime = formatDateInTimezone(parsedDate.getTime(), timezone);
             }
         }
     } catch (err) {
@@ -198,7 +207,9 @@ function formatSessionData(row) {
         username: row.username,
         questionCount: parseInt(row.question_count) || 0,
         sessionTime,
-        timestamp: row.session_time
+        timestamp: row.session_time,
+        startTimestamp: row.session_start,
+        durationSeconds: parseInt(row.duration_seconds) || 0
     };
 }
 
@@ -212,6 +223,7 @@ const getSessions = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
         const sortBy = req.query.sortBy;
         const sortOrder = req.query.sortOrder === "asc" ? "ASC" : "DESC";
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Additional validation for search term length to prevent abuse
         if (search.length > 1000) {
@@ -222,7 +234,7 @@ const getSessions = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -239,11 +251,11 @@ const getSessions = async (req, res) => {
 
         // Fetch paginated sessions data and total count
         const [sessionsData, totalCount] = await Promise.all([
-            fetchSessionsFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder),
-            getTotalSessionsCount(search, startDate, endDate)
+            fetchSessionsFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder, villageCodes, req.timezone),
+            getTotalSessionsCount(search, startDate, endDate, villageCodes, req.timezone)
         ]);
 
-        const formattedData = sessionsData.map(formatSessionData);
+        const formattedData = sessionsData.map((row) => formatSessionData(row, req.timezone));
 
         // Calculate pagination metadata
         const totalPages = Math.ceil(totalCount / limit);
@@ -296,7 +308,7 @@ const getSessionById = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -304,22 +316,10 @@ const getSessionById = async (req, res) => {
             });
         }
 
-        // Build date filtering conditions
-        let dateConditions = '';
-        const queryParams = [sessionId.trim()];
-        let paramIndex = 1;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateConditions += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateConditions += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
+        // Build date filtering conditions (search is not applied here)
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const qb = createQueryBuilder([sessionId.trim()]);
+        const branchFilters = buildSessionFilters(qb, normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone }), { search: false });
 
         // Get session details with all related data and date filtering
         const query = {
@@ -336,7 +336,7 @@ const getSessionById = async (req, res) => {
                         channel,
                         'question' as type
                     FROM questions
-                    WHERE sid = $1 AND answertext IS NOT NULL${dateConditions}
+                    WHERE sid = $1 AND answertext IS NOT NULL${branchFilters.questions}
                 ),
                 session_feedback AS (
                     SELECT 
@@ -350,7 +350,7 @@ const getSessionById = async (req, res) => {
                         channel,
                         'feedback' as type
                     FROM feedback
-                    WHERE sid = $1 AND answertext IS NOT NULL${dateConditions}
+                    WHERE sid = $1 AND answertext IS NOT NULL${branchFilters.feedback}
                 ),
                 session_errors AS (
                     SELECT 
@@ -364,7 +364,7 @@ const getSessionById = async (req, res) => {
                         NULL as channel,
                         'error' as type
                     FROM errordetails
-                    WHERE sid = $1${dateConditions}
+                    WHERE sid = $1${branchFilters.errordetails}
                 )
                 SELECT * FROM session_questions
                 UNION ALL
@@ -377,7 +377,7 @@ const getSessionById = async (req, res) => {
                 FROM session_errors
                 ORDER BY ets DESC, created_at DESC
             `,
-            values: queryParams,
+            values: qb.params,
         };
 
         const result = await pool.query(query);
@@ -461,7 +461,7 @@ const getSessionsByUserId = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -469,28 +469,14 @@ const getSessionsByUserId = async (req, res) => {
             });
         }
 
-        // Build date filtering conditions
-        let dateConditions = '';
-        const queryParams = [userId.trim()];
-        const countParams = [userId.trim()];
-        let paramIndex = 1;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateConditions += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-            countParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateConditions += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-            countParams.push(endTimestamp);
-        }
-
-        // Add pagination params
-        queryParams.push(limit, offset);
+        // Build date filtering conditions (search is not applied here)
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone });
+        const qb = createQueryBuilder([userId.trim()]);
+        const countQb = createQueryBuilder([userId.trim()]);
+        const branchFilters = buildSessionFilters(qb, filters, { search: false });
+        const countBranchFilters = buildSessionFilters(countQb, filters, { search: false });
+        const pagination = buildPagination(qb, limit, offset);
 
         // Get sessions by user ID with pagination and date filtering
         const sessionsQuery = {
@@ -502,7 +488,7 @@ const getSessionsByUserId = async (req, res) => {
                         questiontext,
                         ets
                     FROM questions
-                    WHERE sid IS NOT NULL AND uid = $1 AND answertext IS NOT NULL${dateConditions}
+                    WHERE sid IS NOT NULL AND uid = $1 AND answertext IS NOT NULL${branchFilters.questions}
                     UNION ALL
                     SELECT 
                         sid,
@@ -510,7 +496,7 @@ const getSessionsByUserId = async (req, res) => {
                         NULL as questiontext,
                         ets
                     FROM feedback
-                    WHERE sid IS NOT NULL AND uid = $1${dateConditions}
+                    WHERE sid IS NOT NULL AND uid = $1${branchFilters.feedback}
                     UNION ALL
                     SELECT 
                         sid,
@@ -518,7 +504,7 @@ const getSessionsByUserId = async (req, res) => {
                         NULL as questiontext,
                         ets
                     FROM errordetails
-                    WHERE sid IS NOT NULL AND uid = $1${dateConditions}
+                    WHERE sid IS NOT NULL AND uid = $1${branchFilters.errordetails}
                 )
                 SELECT 
                     sid as session_id,
@@ -528,9 +514,9 @@ const getSessionsByUserId = async (req, res) => {
                 FROM combined_sessions
                 GROUP BY sid, uid
                 ORDER BY session_time DESC
-                LIMIT $${paramIndex + 1} OFFSET $${paramIndex + 2}
+                ${pagination}
             `,
-            values: queryParams,
+            values: qb.params,
         };
 
         // Get total count for user with date filtering
@@ -543,7 +529,7 @@ const getSessionsByUserId = async (req, res) => {
                         questiontext,
                         ets
                     FROM questions
-                    WHERE sid IS NOT NULL AND uid = $1 AND answertext IS NOT NULL${dateConditions}
+                    WHERE sid IS NOT NULL AND uid = $1 AND answertext IS NOT NULL${countBranchFilters.questions}
                     UNION ALL
                     SELECT 
                         sid,
@@ -551,7 +537,7 @@ const getSessionsByUserId = async (req, res) => {
                         NULL as questiontext,
                         ets
                     FROM feedback
-                    WHERE sid IS NOT NULL AND uid = $1${dateConditions}
+                    WHERE sid IS NOT NULL AND uid = $1${countBranchFilters.feedback}
                     UNION ALL
                     SELECT 
                         sid,
@@ -559,12 +545,12 @@ const getSessionsByUserId = async (req, res) => {
                         NULL as questiontext,
                         ets
                     FROM errordetails
-                    WHERE sid IS NOT NULL AND uid = $1${dateConditions}
+                    WHERE sid IS NOT NULL AND uid = $1${countBranchFilters.errordetails}
                 )
                 SELECT COUNT(DISTINCT sid) as total
                 FROM combined_sessions
             `,
-            values: countParams,
+            values: countQb.params,
         };
 
         const [sessionsResult, countResult] = await Promise.all([
@@ -573,7 +559,7 @@ const getSessionsByUserId = async (req, res) => {
         ]);
 
         const totalCount = parseInt(countResult.rows[0].total);
-        const formattedData = sessionsResult.rows.map(formatSessionData);
+        const formattedData = sessionsResult.rows.map((row) => formatSessionData(row, req.timezone));
 
         // Calculate pagination metadata
         const totalPages = Math.ceil(totalCount / limit);
@@ -611,13 +597,174 @@ const getSessionsByUserId = async (req, res) => {
 };
 
 // Get comprehensive session statistics with date filtering
+/**
+ * Computes the session stats of a date range.
+ * Closed days come from the session keys of the daily rollups, the rest from
+ * the raw union; keys are counted once across both.
+ * Duration and depth statistics come from fetchSessionDistribution, which scans
+ * the raw tables for the whole range, so they are only computed on request.
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @param {string[]|null} villageCodes
+ * @param {string} timezone - IANA timezone the dates are given in
+ * @param {Object} [options]
+ * @param {boolean} [options.distribution=false] - Add the fields of fetchSessionDistribution
+ * @returns {Promise<Object>} totalSessions, plus the distribution fields when requested
+ */
+async function fetchSessionStats(startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE, { distribution = false } = {}) {
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, timezone);
+    const plan = await planRollupRange(startTimestamp, endTimestamp, timezone);
+    const qb = createQueryBuilder();
+    const branchFilters = buildSessionRangeFilters(
+        qb,
+        normalizeFilters({ startDate, endDate, villageCodes, timezone }),
+        rawRangesFor(plan, startTimestamp, endTimestamp)
+    );
+    const rollupFilter = buildRollupConditions(qb, plan, villageCodes).join(' AND ');
+
+    // SIMPLIFIED - Only return total sessions count
+    const query = {
+        text: `
+                SELECT COUNT(DISTINCT session_user_pair) as total_sessions
+                FROM (
+                    SELECT CONCAT(sid, '_', uid) as session_user_pair
+                    FROM questions
+                    WHERE sid IS NOT NULL AND answertext IS NOT NULL ${branchFilters.questions}
+                    UNION
+                    SELECT CONCAT(sid, '_', uid) as session_user_pair
+                    FROM feedback
+                    WHERE sid IS NOT NULL ${branchFilters.feedback}
+                    UNION
+                    SELECT CONCAT(sid, '_', uid) as session_user_pair
+                    FROM errordetails
+                    WHERE sid IS NOT NULL ${branchFilters.errordetails}
+                    UNION
+                    SELECT CONCAT(sid, '_', uid) as session_user_pair
+                    FROM daily_session_activity
+                    WHERE ${rollupFilter}
+                ) combined_sessions
+            `,
+        values: qb.params
+    };
+
+    const [result, distributionStats] = await Promise.all([
+        pool.query(query),
+        distribution ? fetchSessionDistribution(startDate, endDate, villageCodes, timezone) : null
+    ]);
+    return {
+        totalSessions: parseInt(result.rows[0].total_sessions) || 0,
+        ...distributionStats
+    };
+}
+
+/**
+ * Turns a width_bucket() count map into histogram entries, empty buckets included.
+ * @param {Object|null} counts - { bucketIndex: sessions } as returned by json_object_agg
+ * @param {number[]} edges - Bucket edges passed to width_bucket()
+ * @returns {Array<{ from: number, to: number|null, sessions: number }>}
+ */
+function toHistogram(counts, edges) {
+    return [0, ...edges].map((from, index) => ({
+        from,
+        to: index < edges.length ? edges[index] : null,
+        sessions: parseInt((counts || {})[index]) || 0
+    }));
+}
+
+/**
+ * Computes duration (first to last event, in seconds) and depth (questions per session)
+ * statistics of the sessions in a date range. Always reads raw tables, the rollups
+ * do not keep per-session timings.
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @param {string[]|null} villageCodes
+ * @param {string} timezone - IANA timezone the dates are given in
+ * @returns {Promise<Object>} Averages, p50/p90 of duration and depth plus durationHistogram and depthHistogram
+ */
+async function fetchSessionDistribution(startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const qb = createQueryBuilder();
+    const branchFilters = buildSessionFilters(
+        qb,
+        normalizeFilters({ startDate, endDate, villageCodes, timezone }),
+        { search: false }
+    );
+
+    const query = {
+        text: `
+            WITH combined_sessions AS (
+                SELECT sid, uid, questiontext, ets
+                FROM questions
+                WHERE sid IS NOT NULL AND answertext IS NOT NULL${branchFilters.questions}
+                UNION ALL
+                SELECT sid, uid, NULL as questiontext, ets
+                FROM feedback
+                WHERE sid IS NOT NULL${branchFilters.feedback}
+                UNION ALL
+                SELECT sid, uid, NULL as questiontext, ets
+                FROM errordetails
+                WHERE sid IS NOT NULL${branchFilters.errordetails}
+            ),
+            session_groups AS (
+                SELECT
+                    sid,
+                    uid,
+                    COUNT(questiontext) as question_count,
+                    (MAX(ets) - MIN(ets)) / 1000.0 as duration_seconds
+                FROM combined_sessions
+                GROUP BY sid, uid
+            ),
+            duration_buckets AS (
+                SELECT width_bucket(duration_seconds, ${qb.param(SESSION_DURATION_EDGES)}::numeric[]) as bucket, COUNT(*) as sessions
+                FROM session_groups
+                GROUP BY 1
+            ),
+            depth_buckets AS (
+                SELECT width_bucket(question_count, ${qb.param(SESSION_DEPTH_EDGES)}::bigint[]) as bucket, COUNT(*) as sessions
+                FROM session_groups
+                GROUP BY 1
+            )
+            SELECT
+                AVG(duration_seconds) as avg_duration,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY duration_seconds) as p50_duration,
+                PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY duration_seconds) as p90_duration,
+                AVG(question_count) as avg_depth,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY question_count) as p50_depth,
+                PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY question_count) as p90_depth,
+                (SELECT json_object_agg(bucket, sessions) FROM duration_buckets) as duration_histogram,
+                (SELECT json_object_agg(bucket, sessions) FROM depth_buckets) as depth_histogram
+            FROM session_groups
+        `,
+        values: qb.params
+    };
+
+    const result = await pool.query(query);
+    const row = result.rows[0] || {};
+    const round = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+    return {
+        avgDurationSeconds: round(row.avg_duration),
+        p50DurationSeconds: round(row.p50_duration),
+        p90DurationSeconds: round(row.p90_duration),
+        avgQuestionsPerSession: round(row.avg_depth),
+        p50QuestionsPerSession: round(row.p50_depth),
+        p90QuestionsPerSession: round(row.p90_depth),
+        durationHistogram: toHistogram(row.duration_histogram, SESSION_DURATION_EDGES),
+        depthHistogram: toHistogram(row.depth_histogram, SESSION_DEPTH_EDGES)
+    };
+}
+
 const getSessionStats = async (req, res) => {
     try {
         const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const distribution = req.query.distribution ? String(req.query.distribution).trim() : 'false';
+
+        if (distribution !== 'true' && distribution !== 'false') {
+            return res.status(400).json({ success: false, error: "distribution must be true or false" });
+        }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -625,53 +772,203 @@ const getSessionStats = async (req, res) => {
             });
         }
 
-        // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
+        const comparison = resolveComparisonRange(req.query.compare, startTimestamp, endTimestamp, req.timezone);
+        if (comparison && comparison.error) {
+            return res.status(400).json({ success: false, error: comparison.error });
         }
 
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
+        const options = { distribution: distribution === 'true' };
+        const [data, previous] = await Promise.all([
+            fetchSessionStats(startDate, endDate, villageCodes, req.timezone, options),
+            comparison
+                ? fetchSessionStats(comparison.startDate, comparison.endDate, villageCodes, req.timezone, options)
+                : null
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data,
+            filters: {
+                startDate: startDate,
+                endDate: endDate,
+                appliedStartTimestamp: startTimestamp,
+                appliedEndTimestamp: endTimestamp
+            },
+            ...(comparison && { comparison: buildComparison(comparison, data, previous) })
+        });
+    } catch (error) {
+        console.error("Error fetching session stats:", error);
+        res.status(500).json({
+            success: false,
+            error: "Error fetching session statistics"
+        });
+    }
+};
+
+/**
+ * Steps accepted by GET /sessions/funnel, each a per-session flag aggregated from
+ * the matching columns of the combined_sessions union (questions, feedback, errordetails).
+ */
+const FUNNEL_STEPS = {
+    question: 'asked',
+    answer: 'answered',
+    feedback: 'gave_feedback',
+    like: 'liked',
+    dislike: 'disliked',
+    error: 'errored'
+};
+const DEFAULT_FUNNEL_STEPS = ['question', 'answer', 'feedback'];
+
+/**
+ * Counts the sessions reaching each step of an ordered funnel.
+ * A session reaches a step when it has that event and reached every earlier step.
+ * @param {string[]} steps - Keys of FUNNEL_STEPS, in funnel order
+ * @param {string|null} startDate
+ * @param {string|null} endDate
+ * @param {string[]|null} villageCodes
+ * @param {string} timezone - IANA timezone the dates are given in
+ * @returns {Promise<{ totalSessions: number, counts: number[] }>}
+ */
+async function fetchSessionFunnel(steps, startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const qb = createQueryBuilder();
+    const branchFilters = buildSessionFilters(
+        qb,
+        normalizeFilters({ startDate, endDate, villageCodes, timezone }),
+        { search: false }
+    );
+
+    const stepColumns = steps.map((step, index) => {
+        const reached = steps.slice(0, index + 1).map((name) => FUNNEL_STEPS[name]).join(' AND ');
+        return `COUNT(*) FILTER (WHERE ${reached}) AS step_${index}`;
+    });
+
+    // Unlike the sessions list, questions without an answer are kept so "answer" can drop off
+    const query = {
+        text: `
+            WITH combined_sessions AS (
+                SELECT
+                    sid,
+                    uid,
+                    questiontext IS NOT NULL AS asked,
+                    answertext IS NOT NULL AS answered,
+                    FALSE AS gave_feedback,
+                    FALSE AS liked,
+                    FALSE AS disliked,
+                    FALSE AS errored
+                FROM questions
+                WHERE sid IS NOT NULL${branchFilters.questions}
+                UNION ALL
+                SELECT
+                    sid,
+                    uid,
+                    FALSE,
+                    FALSE,
+                    TRUE,
+                    feedbacktype = 'like',
+                    feedbacktype = 'dislike',
+                    FALSE
+                FROM feedback
+                WHERE sid IS NOT NULL${branchFilters.feedback}
+                UNION ALL
+                SELECT
+                    sid,
+                    uid,
+                    FALSE,
+                    FALSE,
+                    FALSE,
+                    FALSE,
+                    FALSE,
+                    TRUE
+                FROM errordetails
+                WHERE sid IS NOT NULL${branchFilters.errordetails}
+            ),
+            session_steps AS (
+                SELECT
+                    sid,
+                    uid,
+                    BOOL_OR(asked) AS asked,
+                    BOOL_OR(answered) AS answered,
+                    BOOL_OR(gave_feedback) AS gave_feedback,
+                    BOOL_OR(liked IS TRUE) AS liked,
+                    BOOL_OR(disliked IS TRUE) AS disliked,
+                    BOOL_OR(errored) AS errored
+                FROM combined_sessions
+                GROUP BY sid, uid
+            )
+            SELECT
+                COUNT(*) AS total_sessions,
+                ${stepColumns.join(',\n                ')}
+            FROM session_steps
+        `,
+        values: qb.params
+    };
+
+    const result = await pool.query(query);
+    const row = result.rows[0] || {};
+    return {
+        totalSessions: parseInt(row.total_sessions) || 0,
+        counts: steps.map((step, index) => parseInt(row[`step_${index}`]) || 0)
+    };
+}
+
+/**
+ * GET /sessions/funnel?steps=question,answer,feedback&startDate=&endDate=
+ * Returns how many sessions reached each step of the funnel, with the conversion
+ * from the previous step and from session start (any event in the session).
+ */
+const getSessionFunnel = async (req, res) => {
+    try {
+        const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
+        const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+
+        const steps = req.query.steps
+            ? String(req.query.steps).split(',').map((step) => step.trim()).filter(Boolean)
+            : DEFAULT_FUNNEL_STEPS;
+        const unknown = steps.filter((step) => !FUNNEL_STEPS[step]);
+        if (steps.length === 0 || unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid steps: ${unknown.join(', ') || '(none)'}. Must be one of: ${Object.keys(FUNNEL_STEPS).join(', ')}`
+            });
+        }
+        if (new Set(steps).size !== steps.length) {
+            return res.status(400).json({
+                success: false,
+                error: "steps must not repeat a step"
+            });
         }
 
-        // SIMPLIFIED - Only return total sessions count
-        const query = {
-            text: `
-                SELECT COUNT(DISTINCT session_user_pair) as total_sessions
-                FROM (
-                    SELECT CONCAT(sid, '_', uid) as session_user_pair
-                    FROM questions
-                    WHERE sid IS NOT NULL AND answertext IS NOT NULL ${dateFilter}
-                    UNION
-                    SELECT CONCAT(sid, '_', uid) as session_user_pair
-                    FROM feedback
-                    WHERE sid IS NOT NULL ${dateFilter}
-                    UNION
-                    SELECT CONCAT(sid, '_', uid) as session_user_pair
-                    FROM errordetails
-                    WHERE sid IS NOT NULL ${dateFilter}
-                ) combined_sessions
-            `,
-            values: queryParams
-        };
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+        if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp"
+            });
+        }
 
-        const result = await pool.query(query);
-        const stats = result.rows[0];
+        const { totalSessions, counts } = await fetchSessionFunnel(steps, startDate, endDate, villageCodes, req.timezone);
+
+        const rate = (count, base) => (base > 0 ? Math.round((count / base) * 10000) / 100 : 0);
+        const data = steps.map((step, index) => {
+            const previous = index === 0 ? totalSessions : counts[index - 1];
+            return {
+                step,
+                sessions: counts[index],
+                dropOff: previous - counts[index],
+                conversionRate: rate(counts[index], previous),
+                overallConversionRate: rate(counts[index], totalSessions)
+            };
+        });
 
         res.status(200).json({
             success: true,
             data: {
-                totalSessions: parseInt(stats.total_sessions) || 0
+                totalSessions,
+                steps: data
             },
             filters: {
+                steps,
                 startDate: startDate,
                 endDate: endDate,
                 appliedStartTimestamp: startTimestamp,
@@ -679,10 +976,10 @@ const getSessionStats = async (req, res) => {
             }
         });
     } catch (error) {
-        console.error("Error fetching session stats:", error);
+        console.error("Error fetching session funnel:", error);
         res.status(500).json({
             success: false,
-            error: "Error fetching session statistics"
+            error: "Error fetching session funnel"
         });
     }
 };
@@ -694,6 +991,7 @@ const getSessionsGraph = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
         const granularity = req.query.granularity ? String(req.query.granularity).trim() : 'daily';
         const search = req.query.search ? String(req.query.search).trim() : '';
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Validate granularity parameter
         if (!['daily', 'hourly', 'weekly', 'monthly'].includes(granularity)) {
@@ -704,7 +1002,7 @@ const getSessionsGraph = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -719,69 +1017,30 @@ const getSessionsGraph = async (req, res) => {
             });
         }
 
-        // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
-    
-
-        // Add search filter if provided
-        if (search && search.trim() !== '') {
-            paramIndex++;
-            dateFilter += ` AND (
-                sid ILIKE $${paramIndex} OR 
-                uid ILIKE $${paramIndex}
-            )`;
-            queryParams.push(`%${search.trim()}%`);
-        }
+        // Daily and coarser buckets read closed days from the rollups; hourly
+        // buckets and searches need the raw rows
+        const plan = granularity !== 'hourly' && !search
+            ? await planRollupRange(startTimestamp, endTimestamp, req.timezone)
+            : null;
+
+        // Build date, search and future ets filtering for every table in the union
+        const qb = createQueryBuilder();
+        const branchFilters = buildSessionRangeFilters(
+            qb,
+            normalizeFilters({ search, startDate, endDate, villageCodes, timezone: req.timezone }),
+            rawRangesFor(plan, startTimestamp, endTimestamp)
+        );
+        const rollupFilter = buildRollupConditions(qb, plan, villageCodes).join(' AND ');
 
-        // Exclude future sessions (ets > now)
-let futureFilter = '';
-paramIndex++;
-futureFilter = ` AND ets <= $${paramIndex}`;
-queryParams.push(Date.now());
-
-        // Define the date truncation and formatting based on granularity
-        let dateGrouping;
-        let dateFormat;
-        let orderBy;
-
-        switch (granularity) {
-            case 'hourly':
-                dateGrouping = "DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD HH24:00')";
-                orderBy = "hour_bucket";
-                break;
-            case 'weekly':
-                dateGrouping = "DATE_TRUNC('week', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('week', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
-                orderBy = "week_bucket";
-                break;
-            case 'monthly':
-                dateGrouping = "DATE_TRUNC('month', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('month', TO_TIMESTAMP(ets/1000)), 'YYYY-MM')";
-                orderBy = "month_bucket";
-                break;
-            case 'daily':
-            default:
-                dateGrouping = "DATE_TRUNC('day', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('day', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
-                orderBy = "day_bucket";
-                break;
-        }
+        // Date truncation and formatting based on granularity, in the requested timezone.
+        // Rollup days are local days already, so they are truncated as plain dates.
+        const bucket = buildTimeBucket(qb, granularity, req.timezone);
+        const dateGrouping = bucket.grouping;
+        const dateFormat = bucket.label;
+        const rollupGrouping = `DATE_TRUNC('${TIME_BUCKETS[granularity].unit}', day::timestamp)`;
 
+        // Rollup session keys join the raw rows, so a session spanning several
+        // days of a bucket, or rollup days and today, is counted once
         const query = {
             text: `
                 WITH combined_sessions AS (
@@ -793,7 +1052,7 @@ queryParams.push(Date.now());
                         ${dateFormat} as date,
                         'question' as activity_type
                     FROM questions
-                    WHERE sid IS NOT NULL AND uid IS NOT NULL AND answertext IS NOT NULL AND ets IS NOT NULL${dateFilter}${futureFilter}
+                    WHERE sid IS NOT NULL AND uid IS NOT NULL AND answertext IS NOT NULL AND ets IS NOT NULL${branchFilters.questions}
                     UNION ALL
                     SELECT 
                         sid,
@@ -803,7 +1062,7 @@ queryParams.push(Date.now());
                         ${dateFormat} as date,
                         'feedback' as activity_type
                     FROM feedback
-                    WHERE sid IS NOT NULL AND uid IS NOT NULL AND ets IS NOT NULL${dateFilter}${futureFilter}
+                    WHERE sid IS NOT NULL AND uid IS NOT NULL AND ets IS NOT NULL${branchFilters.feedback}
                     UNION ALL
                     SELECT 
                         sid,
@@ -813,17 +1072,36 @@ queryParams.push(Date.now());
                         ${dateFormat} as date,
                         'error' as activity_type
                     FROM errordetails
-                    WHERE sid IS NOT NULL AND uid IS NOT NULL AND ets IS NOT NULL${dateFilter}${futureFilter}
+                    WHERE sid IS NOT NULL AND uid IS NOT NULL AND ets IS NOT NULL${branchFilters.errordetails}
+                    UNION ALL
+                    SELECT
+                        sid,
+                        uid,
+                        NULL as ets,
+                        ${rollupGrouping} as time_bucket,
+                        TO_CHAR(${rollupGrouping}, '${TIME_BUCKETS[granularity].format}') as date,
+                        'rollup' as activity_type
+                    FROM daily_session_activity
+                    WHERE uid <> '' AND ${rollupFilter}
+                ),
+                bucket_counts AS (
+                    SELECT 
+                        date,
+                        time_bucket,
+                        COUNT(DISTINCT CONCAT(sid, '_', uid)) as sessions_count,
+                        COUNT(DISTINCT sid) as unique_sids_count
+                    FROM combined_sessions
+                    GROUP BY time_bucket, date
                 ),
                 session_aggregates AS (
                     SELECT 
                         date,
                         time_bucket,
-                        COUNT(DISTINCT CONCAT(sid, '_', uid)) as sessionsCount,
-                        COUNT(DISTINCT sid) as uniqueSessionIdsCount,
-                        EXTRACT(EPOCH FROM time_bucket) * 1000 as timestamp,
+                        SUM(sessions_count) as sessionsCount,
+                        SUM(unique_sids_count) as uniqueSessionIdsCount,
+                        EXTRACT(EPOCH FROM time_bucket AT TIME ZONE ${bucket.timezone}) * 1000 as timestamp,
                         ${granularity === 'hourly' ? `EXTRACT(HOUR FROM time_bucket) as hour_of_day` : 'NULL as hour_of_day'}
-                    FROM combined_sessions
+                    FROM bucket_counts
                     GROUP BY time_bucket, date
                 )
                 SELECT 
@@ -835,7 +1113,7 @@ queryParams.push(Date.now());
                 FROM session_aggregates
                 ORDER BY time_bucket ASC
             `,
-            values: queryParams
+            values: qb.params
         };
 
         const result = await pool.query(query);
@@ -886,6 +1164,7 @@ queryParams.push(Date.now());
                 startDate: startDate,
                 endDate: endDate,
                 granularity: granularity,
+                timezone: req.timezone,
                 appliedStartTimestamp: startTimestamp,
                 appliedEndTimestamp: endTimestamp
             }
@@ -900,11 +1179,14 @@ queryParams.push(Date.now());
 };
 
 module.exports = {
+    buildSessionsListQuery,
     getSessions,
     getSessionById,
     getSessionsByUserId,
     getSessionStats,
     getSessionsGraph,
+    getSessionFunnel,
+    fetchSessionStats,
     getTotalSessionsCount,
     fetchSessionsFromDB,
     formatSessionData
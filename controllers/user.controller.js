@@ -1,61 +1,54 @@
 const pool = require('../services/db');
 const { v4: uuidv4 } = require('uuid');
-const { parseDateRange, formatDateToIST, getCurrentTimestamp } = require('../utils/dateUtils');
-
-// Simple in-memory cache for user stats
-const userStatsCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes cache
-
-async function fetchUsersFromDB(page = 1, limit = 10, search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC') {
-    const offset = (page - 1) * limit;
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
-    // Create cache key for this specific query
-    const cacheKey = `users_${page}_${limit}_${search}_${startTimestamp}_${endTimestamp}_${sortBy}_${sortOrder}`;
-    const cachedResult = userStatsCache.get(cacheKey);
-
-    if (cachedResult && Date.now() - cachedResult.timestamp < CACHE_TTL) {
-        return cachedResult.data;
-    }
+const { DEFAULT_TIMEZONE, parseDateRange, formatDateInTimezone } = require('../utils/dateUtils');
+const {
+    FILTER_SPECS,
+    TIME_BUCKETS,
+    createQueryBuilder,
+    normalizeFilters,
+    buildConditions,
+    buildRangeConditions,
+    buildChannelCondition,
+    andClause,
+    buildOrderBy,
+    buildPagination,
+    buildTimeBucket
+} = require('../utils/queryBuilder');
+const { cached } = require('../services/cache');
+const { planRollupRange, buildRollupConditions, rawRangesFor } = require('../services/rollupService');
+
+// Sortable fields accepted by GET /users
+const USER_SORT_COLUMNS = {
+    user_id: 'user_id',
+    session_count: 'session_count',
+    total_questions: 'total_questions',
+    feedback_count: 'feedback_count',
+    last_activity: 'last_activity',
+    latest_session: 'latest_session'
+};
 
-    const queryParams = [];
-    let paramIndex = 0;
+/**
+ * Builds the filtered and sorted users list query (with per-user stats) without pagination.
+ * Shared by the paginated list and the CSV/XLSX export.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} [options] - search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone
+ * @returns {string}
+ */
+function buildUsersListQuery(qb, { search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC', villageCodes = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
 
     // Build WHERE conditions efficiently
-    let whereConditions = ['uid IS NOT NULL', 'answertext IS NOT NULL'];
-
-    if (startTimestamp !== null) {
-        paramIndex++;
-        whereConditions.push(`ets >= $${paramIndex}`);
-        queryParams.push(startTimestamp);
-    }
-
-    if (endTimestamp !== null) {
-        paramIndex++;
-        whereConditions.push(`ets <= $${paramIndex}`);
-        queryParams.push(endTimestamp);
-    }
-
-    // Add future ETS filter (filter out bad telemetry data with future timestamps)
-    paramIndex++;
-    whereConditions.push(`ets <= $${paramIndex}`);
-    queryParams.push(getCurrentTimestamp());
-
-    if (search && search.trim() !== '') {
-        paramIndex++;
-        whereConditions.push(`uid ILIKE $${paramIndex}`);
-        queryParams.push(`%${search.trim()}%`);
-    }
-
+    const whereConditions = [
+        'uid IS NOT NULL',
+        'answertext IS NOT NULL',
+        ...buildConditions(qb, filters, FILTER_SPECS.users)
+    ];
     const baseWhere = whereConditions.join(' AND ');
 
-    //  WITH base_users AS (
-    //         SELECT uid, ets
-    //         FROM questions
-    //         WHERE ${baseWhere}
-    //         ORDER BY  ets DESC
-    //         group BY uid,
-    //         LIMIT $${paramIndex + 1} OFFSET $${paramIndex + 2}
-    //     ),
+    // Activity joins only take the date range; search and region already narrowed base_users
+    const joinFilters = { ...filters, villageCodes: null };
+    const questionJoinFilter = andClause(buildConditions(qb, joinFilters, FILTER_SPECS.users, { alias: 'q', search: false }));
+    const feedbackJoinFilter = andClause(buildConditions(qb, joinFilters, FILTER_SPECS.feedback, { alias: 'f', search: false }));
 
     // Optimized query - fetch users first, then join stats
     let query = `
@@ -75,9 +68,7 @@ async function fetchUsersFromDB(page = 1, limit = 10, search = '', startDate = n
                 MAX(q.created_at) as last_activity
             FROM base_users bu
             JOIN questions q ON q.uid = bu.uid AND q.uid IS NOT NULL AND q.answertext IS NOT NULL
-            ${startTimestamp ? `AND q.ets >= ${startTimestamp}` : ''}
-            ${endTimestamp ? `AND q.ets <= ${endTimestamp}` : ''}
-            AND q.ets <= ${getCurrentTimestamp()}
+            ${questionJoinFilter}
             GROUP BY bu.uid
         ),
         latest_sessions AS (
@@ -86,9 +77,7 @@ async function fetchUsersFromDB(page = 1, limit = 10, search = '', startDate = n
                 q.sid as session_id
             FROM base_users bu
             JOIN questions q ON q.uid = bu.uid AND q.uid IS NOT NULL AND q.answertext IS NOT NULL
-            ${startTimestamp ? `AND q.ets >= ${startTimestamp}` : ''}
-            ${endTimestamp ? `AND q.ets <= ${endTimestamp}` : ''}
-            AND q.ets <= ${getCurrentTimestamp()}
+            ${questionJoinFilter}
             ORDER BY bu.uid, q.ets DESC
         ),
         user_feedback AS (
@@ -99,9 +88,7 @@ async function fetchUsersFromDB(page = 1, limit = 10, search = '', startDate = n
                 COUNT(CASE WHEN f.feedbacktype = 'dislike' THEN 1 END) as dislikes
             FROM base_users bu
             LEFT JOIN feedback f ON f.uid = bu.uid AND f.uid IS NOT NULL AND f.answertext IS NOT NULL
-            ${startTimestamp ? `AND f.ets >= ${startTimestamp}` : ''}
-            ${endTimestamp ? `AND f.ets <= ${endTimestamp}` : ''}
-            AND f.ets <= ${getCurrentTimestamp()}
+            ${feedbackJoinFilter}
             GROUP BY bu.uid
         )
         SELECT 
@@ -120,107 +107,53 @@ async function fetchUsersFromDB(page = 1, limit = 10, search = '', startDate = n
         LEFT JOIN user_feedback uf ON uf.user_id = uq.user_id
     `;
 
-       const sortArray = ["user_id", "session_count", "total_questions", "feedback_count", "last_activity", "latest_session"];
-  if (sortArray.includes(sortBy)) {
-    query += ` ORDER BY ${sortBy === "last_activity" ? "last_activity" : sortBy} ${sortOrder}`;
-  } else {
-    query += ` ORDER BY latest_session DESC`
-  };
-    
-    query += ` LIMIT $${paramIndex + 1} OFFSET $${paramIndex + 2}`;
-    // Add pagination parameters
-    queryParams.push(limit, offset);
+    query += buildOrderBy(sortBy, sortOrder, USER_SORT_COLUMNS, 'latest_session DESC');
+    return query;
+}
+
+async function fetchUsersFromDB(page = 1, limit = 10, search = '', startDate = null, endDate = null, sortBy = null, sortOrder = 'DESC', villageCodes = null, timezone = DEFAULT_TIMEZONE) {
+    const offset = (page - 1) * limit;
+    const cacheFilters = { page, limit, search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone };
 
     try {
-        const result = await pool.query(query, queryParams);
+        return await cached('users:list', cacheFilters, async () => {
+            const qb = createQueryBuilder();
+            let query = buildUsersListQuery(qb, { search, startDate, endDate, sortBy, sortOrder, villageCodes, timezone });
+            query += buildPagination(qb, limit, offset);
 
-        // Cache the result
-        userStatsCache.set(cacheKey, {
-            data: result.rows,
-            timestamp: Date.now()
+            const result = await pool.query(query, qb.params);
+            return result.rows;
         });
-
-        // Clean up old cache entries periodically
-        if (userStatsCache.size > 500) {
-            const now = Date.now();
-            for (const [key, value] of userStatsCache.entries()) {
-                if (now - value.timestamp > CACHE_TTL) {
-                    userStatsCache.delete(key);
-                }
-            }
-        }
-
-        return result.rows;
     } catch (error) {
         console.error('Error in fetchUsersFromDB:', error);
         throw error;
     }
 }
 
-async function getTotalUsersCount(search = '', startDate = null, endDate = null) {
-    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
-
-    // Create cache key for count query
-    const cacheKey = `count_${search}_${startTimestamp}_${endTimestamp}`;
-    const cachedResult = userStatsCache.get(cacheKey);
-
-    if (cachedResult && Date.now() - cachedResult.timestamp < CACHE_TTL) {
-        return cachedResult.data;
-    }
-
-    // Optimized count query with early filtering
-    let query = `
-        SELECT COUNT(DISTINCT uid) as total
-        FROM questions
-        WHERE uid IS NOT NULL AND answertext IS NOT NULL
-    `;
-
-    const queryParams = [];
-    let paramIndex = 0;
-
-    // Add date range filtering
-    if (startTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets >= $${paramIndex}`;
-        queryParams.push(startTimestamp);
-    }
-
-    if (endTimestamp !== null) {
-        paramIndex++;
-        query += ` AND ets <= $${paramIndex}`;
-        queryParams.push(endTimestamp);
-    }
-
-    // Add future ETS filter (filter out bad telemetry data with future timestamps)
-    paramIndex++;
-    query += ` AND ets <= $${paramIndex}`;
-    queryParams.push(getCurrentTimestamp());
-
-    // Add search filter to count query if search term is provided
-    if (search && search.trim() !== '') {
-        paramIndex++;
-        query += ` AND uid ILIKE $${paramIndex}`;
-        queryParams.push(`%${search.trim()}%`);
-    }
-
+async function getTotalUsersCount(search = '', startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE) {
     try {
-        const result = await pool.query(query, queryParams);
-        const totalCount = parseInt(result.rows[0].total);
-
-        // Cache the result
-        userStatsCache.set(cacheKey, {
-            data: totalCount,
-            timestamp: Date.now()
+        return await cached('users:count', { search, startDate, endDate, villageCodes, timezone }, async () => {
+            // Optimized count query with early filtering
+            const filters = normalizeFilters({ search, startDate, endDate, villageCodes, timezone });
+            const qb = createQueryBuilder();
+            let query = `
+                SELECT COUNT(DISTINCT uid) as total
+                FROM questions
+                WHERE uid IS NOT NULL AND answertext IS NOT NULL
+            `;
+
+            query += andClause(buildConditions(qb, filters, FILTER_SPECS.users));
+
+            const result = await pool.query(query, qb.params);
+            return parseInt(result.rows[0].total);
         });
-
-        return totalCount;
     } catch (error) {
         console.error('Error in getTotalUsersCount:', error);
         throw error;
     }
 }
 
-function formatUserData(row) {
+function formatUserData(row, timezone = DEFAULT_TIMEZONE) {
     let latestSession = null;
     let firstSession = null;
 
@@ -228,18 +161,18 @@ function formatUserData(row) {
         if (row.latest_session) {
             const timestamp = parseInt(row.latest_session);
             if (!isNaN(timestamp)) {
-                latestSession = formatDateToIST(timestamp);
+                latestSession = formatDateInTimezone(timestamp, timezone);
             } else {
-                latestSession = formatDateToIST(row.latest_session);
+                latestSession = formatDateInTimezone(row.latest_session, timezone);
             }
         }
 
         if (row.first_session) {
             const timestamp = parseInt(row.first_session);
             if (!isNaN(timestamp)) {
-                firstSession = formatDateToIST(timestamp);
+                firstSession = formatDateInTimezone(timestamp, timezone);
             } else {
-                firstSession = formatDateToIST(row.first_session);
+                firstSession = formatDateInTimezone(row.first_session, timezone);
             }
         }
     } catch (err) {
@@ -291,7 +224,9 @@ const fetchUsersFromDBHandler = async (req, res) => {
         const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
 
-        const usersData = await fetchUsersFromDB(page, limit, search, startDate, endDate);
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+
+        const usersData = await fetchUsersFromDB(page, limit, search, startDate, endDate, null, 'DESC', villageCodes, req.timezone);
 
         res.status(200).json({
             success: true,
@@ -318,7 +253,9 @@ const getTotalUsersCountHandler = async (req, res) => {
         const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
 
-        const totalCount = await getTotalUsersCount(search, startDate, endDate);
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+
+        const totalCount = await getTotalUsersCount(search, startDate, endDate, villageCodes, req.timezone);
 
         res.status(200).json({
             success: true,
@@ -350,6 +287,7 @@ const getUsers = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
         const sortBy = req.query.sortBy;
         const sortOrder = req.query.sortOrder === 'desc' ? 'desc' : 'asc';
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Additional validation for search term length to prevent abuse
         if (search.length > 1000) {
@@ -360,7 +298,7 @@ const getUsers = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -377,11 +315,11 @@ const getUsers = async (req, res) => {
 
         // Fetch paginated users data and total count
         const [usersData, totalCount] = await Promise.all([
-            fetchUsersFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder),
-            getTotalUsersCount(search, startDate, endDate)
+            fetchUsersFromDB(page, limit, search, startDate, endDate, sortBy, sortOrder, villageCodes, req.timezone),
+            getTotalUsersCount(search, startDate, endDate, villageCodes, req.timezone)
         ]);
 
-        const formattedData = usersData.map(formatUserData);
+        const formattedData = usersData.map((row) => formatUserData(row, req.timezone));
 
         // Calculate pagination metadata
         const totalPages = Math.ceil(totalCount / limit);
@@ -434,7 +372,7 @@ const getUserByUsername = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -442,22 +380,12 @@ const getUserByUsername = async (req, res) => {
             });
         }
 
-        // Build date filtering
-        let dateFilter = '';
-        const queryParams = [username.trim()];
-        let paramIndex = 1;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
+        // Build date filtering (search is not applied here)
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone });
+        const qb = createQueryBuilder([username.trim()]);
+        const dateFilter = andClause(buildConditions(qb, filters, FILTER_SPECS.users, { search: false }));
+        const feedbackDateFilter = andClause(buildConditions(qb, filters, FILTER_SPECS.feedback, { search: false }));
 
         // Get comprehensive user details with date filtering
         const query = {
@@ -482,7 +410,7 @@ const getUserByUsername = async (req, res) => {
                         COUNT(CASE WHEN feedbacktype = 'like' THEN 1 END) as likes,
                         COUNT(CASE WHEN feedbacktype = 'dislike' THEN 1 END) as dislikes
                     FROM feedback
-                    WHERE uid = $1 AND answertext IS NOT NULL ${dateFilter}
+                    WHERE uid = $1 AND answertext IS NOT NULL ${feedbackDateFilter}
                     GROUP BY uid
                 ),
                 user_channels AS (
@@ -492,7 +420,7 @@ const getUserByUsername = async (req, res) => {
                     FROM (
                         SELECT uid, channel FROM questions WHERE uid = $1 AND answertext IS NOT NULL ${dateFilter}
                         UNION
-                        SELECT uid, channel FROM feedback WHERE uid = $1 AND answertext IS NOT NULL ${dateFilter}
+                        SELECT uid, channel FROM feedback WHERE uid = $1 AND answertext IS NOT NULL ${feedbackDateFilter}
                     ) combined
                     GROUP BY uid
                 )
@@ -511,7 +439,7 @@ const getUserByUsername = async (req, res) => {
                 LEFT JOIN user_feedback uf ON uq.uid = uf.uid
                 LEFT JOIN user_channels uc ON uq.uid = uc.uid
             `,
-            values: queryParams,
+            values: qb.params,
         };
 
         const result = await pool.query(query);
@@ -523,7 +451,7 @@ const getUserByUsername = async (req, res) => {
             });
         }
 
-        const userData = formatUserData(result.rows[0]);
+        const userData = formatUserData(result.rows[0], req.timezone);
         // Add additional details for single user view
         userData.channelsUsed = result.rows[0].channels_used || 0;
         userData.channels = result.rows[0].channels || [];
@@ -552,9 +480,10 @@ const getUserStats = async (req, res) => {
     try {
         const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -562,36 +491,16 @@ const getUserStats = async (req, res) => {
             });
         }
 
-        // Build date filtering
-        let dateFilter = '';
-        let feedbackDateFilter = '';
-        let activityDateFilter = 'WHERE created_at >= CURRENT_DATE - INTERVAL \'30 days\'';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            feedbackDateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            feedbackDateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
+        // Build date and region filtering
+        const filters = normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone });
+        const qb = createQueryBuilder();
+        const dateFilter = andClause(buildConditions(qb, filters, FILTER_SPECS.users));
+        const feedbackDateFilter = andClause(buildConditions(qb, filters, FILTER_SPECS.feedback));
 
         // If date filtering is applied, use it for activity as well
+        let activityDateFilter = `WHERE created_at >= CURRENT_DATE - INTERVAL '30 days'${dateFilter}`;
         if (startTimestamp !== null || endTimestamp !== null) {
-            activityDateFilter = 'WHERE true';
-            if (startTimestamp !== null) {
-                activityDateFilter += ` AND ets >= $${paramIndex - 1}`;
-            }
-            if (endTimestamp !== null) {
-                activityDateFilter += ` AND ets <= $${paramIndex}`;
-            }
+            activityDateFilter = `WHERE true${dateFilter}`;
         }
 
         const query = {
@@ -655,7 +564,7 @@ const getUserStats = async (req, res) => {
                 GROUP BY os.total_users, os.total_sessions, os.total_questions, 
                          asd.avg_session_duration, fs.total_feedback, fs.total_likes, fs.total_dislikes
             `,
-            values: queryParams
+            values: qb.params
         };
 
         const result = await pool.query(query);
@@ -694,7 +603,7 @@ const getSessionStats = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -703,21 +612,9 @@ const getSessionStats = async (req, res) => {
         }
 
         // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
+        const qb = createQueryBuilder();
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const dateFilter = andClause(buildConditions(qb, normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone }), FILTER_SPECS.questions));
 
         const query = {
             text: `
@@ -796,7 +693,7 @@ const getSessionStats = async (req, res) => {
                          ss.avg_questions_per_session, ss.avg_session_duration, 
                          ss.max_session_duration, ss.min_session_duration
             `,
-            values: queryParams
+            values: qb.params
         };
 
         const result = await pool.query(query);
@@ -836,7 +733,7 @@ const getQuestionStats = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -845,21 +742,9 @@ const getQuestionStats = async (req, res) => {
         }
 
         // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
+        const qb = createQueryBuilder();
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const dateFilter = andClause(buildConditions(qb, normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone }), FILTER_SPECS.questions));
 
         const query = {
             text: `
@@ -943,7 +828,7 @@ const getQuestionStats = async (req, res) => {
                 GROUP BY qs.total_questions, qs.unique_users, qs.unique_sessions, 
                          qs.unique_channels, qs.avg_question_length, qs.avg_answer_length
             `,
-            values: queryParams
+            values: qb.params
         };
 
         const result = await pool.query(query);
@@ -984,7 +869,7 @@ const getFeedbackStats = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -993,21 +878,9 @@ const getFeedbackStats = async (req, res) => {
         }
 
         // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
+        const qb = createQueryBuilder();
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const dateFilter = andClause(buildConditions(qb, normalizeFilters({ startDate, endDate, villageCodes, timezone: req.timezone }), FILTER_SPECS.feedback));
 
         const query = {
             text: `
@@ -1108,7 +981,7 @@ const getFeedbackStats = async (req, res) => {
                 GROUP BY fs.total_feedback, fs.total_likes, fs.total_dislikes, 
                          fs.unique_users, fs.unique_sessions, fs.satisfaction_rate, fs.avg_feedback_length
             `,
-            values: queryParams
+            values: qb.params
         };
 
         const result = await pool.query(query);
@@ -1149,6 +1022,7 @@ const getUserGraph = async (req, res) => {
         const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
         const granularity = req.query.granularity ? String(req.query.granularity).trim() : 'daily';
         const search = req.query.search ? String(req.query.search).trim() : '';
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
 
         // Validate granularity parameter
         if (!['daily', 'hourly', 'weekly', 'monthly'].includes(granularity)) {
@@ -1159,7 +1033,7 @@ const getUserGraph = async (req, res) => {
         }
 
         // Validate date range
-        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate);
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
         if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
             return res.status(400).json({
                 success: false,
@@ -1174,60 +1048,50 @@ const getUserGraph = async (req, res) => {
             });
         }
 
-        // Build date filtering
-        let dateFilter = '';
-        const queryParams = [];
-        let paramIndex = 0;
-
-        if (startTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets >= $${paramIndex}`;
-            queryParams.push(startTimestamp);
-        }
-
-        if (endTimestamp !== null) {
-            paramIndex++;
-            dateFilter += ` AND ets <= $${paramIndex}`;
-            queryParams.push(endTimestamp);
-        }
-
-        // Add search filter if provided
-        if (search && search.trim() !== '') {
-            paramIndex++;
-            dateFilter += ` AND (
-                questiontext ILIKE $${paramIndex} OR 
-                answertext ILIKE $${paramIndex} OR
-                uid ILIKE $${paramIndex} OR
-                channel ILIKE $${paramIndex}
-            )`;
-            queryParams.push(`%${search.trim()}%`);
-        }
-
-        // Define the date truncation and formatting based on granularity
+        // Daily and coarser buckets read closed rollup days from daily_user_activity;
+        // hourly buckets and searches need the raw rows
+        const plan = granularity !== 'hourly' && !search
+            ? await planRollupRange(startTimestamp, endTimestamp, req.timezone)
+            : null;
+
+        // Build date and search filtering
+        const qb = createQueryBuilder();
+        const dateFilter = andClause(buildRangeConditions(
+            qb,
+            normalizeFilters({ search, startDate, endDate, villageCodes, timezone: req.timezone }),
+            FILTER_SPECS.questions,
+            rawRangesFor(plan, startTimestamp, endTimestamp)
+        ));
+        const rollupFilter = buildRollupConditions(qb, plan, villageCodes).join(' AND ');
+        const tz = qb.param(req.timezone);
+
+        // Define the date truncation and formatting based on granularity.
+        // local_ts is wall-clock time in the requested timezone, which is also the
+        // rollup timezone whenever rollup rows are used.
         let dateGrouping;
         let dateFormat;
         let orderBy;
 
         switch (granularity) {
             case 'hourly':
-                dateGrouping = "DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('hour', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD HH24:00')";
+                dateGrouping = "DATE_TRUNC('hour', local_ts)";
+                dateFormat = "TO_CHAR(DATE_TRUNC('hour', local_ts), 'YYYY-MM-DD HH24:00')";
                 orderBy = "hour_bucket";
                 break;
             case 'weekly':
-                dateGrouping = "DATE_TRUNC('week', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('week', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
+                dateGrouping = "DATE_TRUNC('week', local_ts)";
+                dateFormat = "TO_CHAR(DATE_TRUNC('week', local_ts), 'YYYY-MM-DD')";
                 orderBy = "week_bucket";
                 break;
             case 'monthly':
-                dateGrouping = "DATE_TRUNC('month', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('month', TO_TIMESTAMP(ets/1000)), 'YYYY-MM')";
+                dateGrouping = "DATE_TRUNC('month', local_ts)";
+                dateFormat = "TO_CHAR(DATE_TRUNC('month', local_ts), 'YYYY-MM')";
                 orderBy = "month_bucket";
                 break;
             case 'daily':
             default:
-                dateGrouping = "DATE_TRUNC('day', TO_TIMESTAMP(ets/1000))";
-                dateFormat = "TO_CHAR(DATE_TRUNC('day', TO_TIMESTAMP(ets/1000)), 'YYYY-MM-DD')";
+                dateGrouping = "DATE_TRUNC('day', local_ts)";
+                dateFormat = "TO_CHAR(DATE_TRUNC('day', local_ts), 'YYYY-MM-DD')";
                 orderBy = "day_bucket";
                 break;
         }
@@ -1239,20 +1103,22 @@ const getUserGraph = async (req, res) => {
                     ${dateGrouping} as ${orderBy},
                    
                     COUNT(DISTINCT uid) as uniqueUsersCount,
-                    COUNT(DISTINCT CASE WHEN COALESCE(is_new, 0) = 1 THEN uid END) AS newUsersCount,
-                    (COUNT(DISTINCT uid) - COUNT(DISTINCT CASE WHEN COALESCE(is_new, 0) = 1 THEN uid END)) AS returningUsersCount,
+                    COUNT(DISTINCT CASE WHEN is_new THEN uid END) AS newUsersCount,
+                    (COUNT(DISTINCT uid) - COUNT(DISTINCT CASE WHEN is_new THEN uid END)) AS returningUsersCount,
                     
-                    EXTRACT(EPOCH FROM ${dateGrouping}) * 1000 as timestamp,
+                    EXTRACT(EPOCH FROM ${dateGrouping} AT TIME ZONE ${tz}) * 1000 as timestamp,
                     ${granularity === 'hourly' ? `EXTRACT(HOUR FROM ${dateGrouping}) as hour_of_day` : 'NULL as hour_of_day'}
                 FROM (
-                    SELECT uid, sid, ets, is_new FROM questions WHERE uid IS NOT NULL AND ets IS NOT NULL
+                    SELECT uid, COALESCE(is_new, 0) = 1 AS is_new, TO_TIMESTAMP(ets/1000) AT TIME ZONE ${tz} AS local_ts
+                    FROM questions WHERE uid IS NOT NULL AND ets IS NOT NULL${dateFilter}
+                    UNION ALL
+                    SELECT uid, is_new, day::timestamp AS local_ts
+                    FROM daily_user_activity WHERE ${rollupFilter}
                     ) AS combined
-                WHERE 1=1
-                    ${dateFilter}
                 GROUP BY ${dateGrouping}
                 ORDER BY ${orderBy} ASC 
             `,
-            values: queryParams
+            values: qb.params
         };
 
         const result = await pool.query(query);
@@ -1303,6 +1169,7 @@ const getUserGraph = async (req, res) => {
                 startDate: startDate,
                 endDate: endDate,
                 granularity: granularity,
+                timezone: req.timezone,
                 appliedStartTimestamp: startTimestamp,
                 appliedEndTimestamp: endTimestamp
             }
@@ -1316,10 +1183,188 @@ const getUserGraph = async (req, res) => {
     }
 };
 
+// Period offset between two local bucket starts, per cohort granularity
+const COHORT_OFFSETS = {
+    weekly: (later, earlier) => `((${later})::date - (${earlier})::date) / 7`,
+    monthly: (later, earlier) =>
+        `((EXTRACT(YEAR FROM ${later}) - EXTRACT(YEAR FROM ${earlier})) * 12 + EXTRACT(MONTH FROM ${later}) - EXTRACT(MONTH FROM ${earlier}))::int`
+};
+const DEFAULT_COHORT_PERIODS = { weekly: 8, monthly: 6 };
+const MAX_COHORT_PERIODS = 52;
+
+/**
+ * GET /users/cohorts?granularity=weekly|monthly&periods=&startDate=&endDate=&channel=
+ * Groups users into acquisition cohorts by the week or month of their first question
+ * (in the request timezone) and reports how many of them were active again in each
+ * following period. The date range selects cohorts; activity is followed up to now.
+ * Acquisition always looks at all of a user's questions, so a long-time user trying
+ * a new channel is not counted as new. District/taluka/village and channel filters
+ * decide membership (a question matching them in the acquisition period) and the
+ * activity counted afterwards.
+ */
+const getUserCohorts = async (req, res) => {
+    try {
+        const granularity = req.query.granularity ? String(req.query.granularity).trim() : 'weekly';
+        if (!COHORT_OFFSETS[granularity]) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid granularity. Must be 'weekly' or 'monthly'"
+            });
+        }
+
+        const periods = req.query.periods !== undefined
+            ? parseInt(req.query.periods)
+            : DEFAULT_COHORT_PERIODS[granularity];
+        if (!Number.isInteger(periods) || periods < 1 || periods > MAX_COHORT_PERIODS) {
+            return res.status(400).json({
+                success: false,
+                error: `periods must be an integer between 1 and ${MAX_COHORT_PERIODS}`
+            });
+        }
 
+        const startDate = req.query.startDate ? String(req.query.startDate).trim() : null;
+        const endDate = req.query.endDate ? String(req.query.endDate).trim() : null;
+        const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, req.timezone);
+        if ((startDate && startTimestamp === null) || (endDate && endTimestamp === null)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid date format. Use ISO date string (YYYY-MM-DD) or unix timestamp"
+            });
+        }
+        if (startTimestamp && endTimestamp && startTimestamp > endTimestamp) {
+            return res.status(400).json({
+                success: false,
+                error: "Start date cannot be after end date"
+            });
+        }
 
+        const villageCodes = req.regionFilter ? req.regionFilter.village_codes : null;
+        const channels = req.query.channel
+            ? String(req.query.channel).split(',').map((channel) => channel.trim()).filter(Boolean)
+            : [];
+
+        const qb = createQueryBuilder();
+        const bucket = buildTimeBucket(qb, granularity, req.timezone);
+        const { unit, format } = TIME_BUCKETS[granularity];
+        const tz = bucket.timezone;
+
+        // Activity filters apply to every period; the date range only selects cohorts
+        const activityConditions = buildConditions(
+            qb,
+            normalizeFilters({ villageCodes, timezone: req.timezone }),
+            FILTER_SPECS.questions,
+            { search: false }
+        );
+        if (channels.length > 0) {
+            activityConditions.push(buildChannelCondition(qb, channels));
+        }
+        const acquisitionConditions = buildConditions(
+            qb,
+            normalizeFilters({ timezone: req.timezone }),
+            FILTER_SPECS.questions,
+            { search: false }
+        );
+        const cohortConditions = [];
+        if (startTimestamp !== null) {
+            cohortConditions.push(`c.cohort >= DATE_TRUNC('${unit}', TO_TIMESTAMP(${qb.param(startTimestamp)} / 1000.0) AT TIME ZONE ${tz})`);
+        }
+        if (endTimestamp !== null) {
+            cohortConditions.push(`c.cohort <= TO_TIMESTAMP(${qb.param(endTimestamp)} / 1000.0) AT TIME ZONE ${tz}`);
+        }
+
+        const offset = COHORT_OFFSETS[granularity];
+        const currentPeriod = `DATE_TRUNC('${unit}', now() AT TIME ZONE ${tz})`;
+        const query = {
+            text: `
+                WITH activity AS (
+                    SELECT uid, ${bucket.grouping} AS period
+                    FROM questions
+                    WHERE uid IS NOT NULL AND ets IS NOT NULL${andClause(activityConditions)}
+                    GROUP BY 1, 2
+                ),
+                acquisitions AS (
+                    SELECT uid, MIN(${bucket.grouping}) AS cohort
+                    FROM questions
+                    WHERE uid IN (SELECT uid FROM activity) AND ets IS NOT NULL${andClause(acquisitionConditions)}
+                    GROUP BY uid
+                ),
+                cohorts AS (
+                    -- members are the users with filtered activity in the period they were acquired
+                    SELECT acq.uid, acq.cohort
+                    FROM acquisitions acq
+                    JOIN activity a ON a.uid = acq.uid AND a.period = acq.cohort
+                )
+                SELECT
+                    TO_CHAR(c.cohort, '${format}') AS cohort,
+                    EXTRACT(EPOCH FROM c.cohort AT TIME ZONE ${tz}) * 1000 AS timestamp,
+                    ${offset('a.period', 'c.cohort')} AS period_offset,
+                    ${offset(currentPeriod, 'c.cohort')} AS elapsed,
+                    COUNT(*) AS users
+                FROM cohorts c
+                JOIN activity a ON a.uid = c.uid
+                WHERE ${offset('a.period', 'c.cohort')} < ${qb.param(periods)}${andClause(cohortConditions)}
+                GROUP BY c.cohort, period_offset, elapsed
+                ORDER BY c.cohort, period_offset
+            `,
+            values: qb.params
+        };
+
+        const result = await pool.query(query);
+
+        // cohort label -> { timestamp, elapsed, users per period offset }
+        const cohortMap = new Map();
+        for (const row of result.rows) {
+            if (!cohortMap.has(row.cohort)) {
+                cohortMap.set(row.cohort, {
+                    timestamp: parseInt(row.timestamp),
+                    elapsed: parseInt(row.elapsed) || 0,
+                    users: new Map()
+                });
+            }
+            cohortMap.get(row.cohort).users.set(parseInt(row.period_offset), parseInt(row.users) || 0);
+        }
+
+        // Periods that have not started yet are left out rather than reported as 0%
+        const cohorts = [...cohortMap.entries()].map(([cohort, entry]) => {
+            const size = entry.users.get(0) || 0;
+            const observed = Math.min(periods, entry.elapsed + 1);
+            const retention = [];
+            for (let period = 0; period < observed; period++) {
+                const users = entry.users.get(period) || 0;
+                retention.push({
+                    period,
+                    users,
+                    percentage: size > 0 ? Math.round((users / size) * 10000) / 100 : 0
+                });
+            }
+            return { cohort, timestamp: entry.timestamp, size, retention };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: cohorts,
+            metadata: {
+                granularity,
+                periods,
+                timezone: req.timezone,
+                channels: channels.length > 0 ? channels : null,
+                dateRange: {
+                    start: startTimestamp,
+                    end: endTimestamp
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching user cohorts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error fetching user cohorts'
+        });
+    }
+};
 
 module.exports = {
+    buildUsersListQuery,
     getUsers,
     getUserByUsername,
     getUserStats,
@@ -1332,5 +1377,6 @@ module.exports = {
     formatUserDataHandler,
     fetchUsersFromDBHandler,
     getTotalUsersCountHandler,
-    getUserGraph
+    getUserGraph,
+    getUserCohorts
 };
\ No newline at end of file
@@ -11,8 +11,21 @@ const dashboardRoutes = require("./routes/dashboard.Routes");
 const authController = require("./controllers/auth.controller");
 const leaderboardRoutes = require("./routes/leaderboard.Routes");
 const villageRoutes = require("./routes/villageRoutes");
+const exportRoutes = require("./routes/exportRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const rollupRoutes = require("./routes/rollupRoutes");
+const metricsRoutes = require("./routes/metricsRoutes");
+const alertRoutes = require("./routes/alertRoutes");
 const leaderboardAuthController = require("./controllers/leaderboardAuth.controller");
+const { maskPiiResponse } = require("./lib/piiMask");
+const { resolveTimezone } = require("./middleware/timezoneMiddleware");
 const pool = require("./services/db");
+const { runMigrations } = require("./services/migrate");
+const { startExportWorker, stopExportWorker } = require("./services/exportJobService");
+const { closeCache } = require("./services/cache");
+const { startRollupWorker, stopRollupWorker } = require("./services/rollupService");
+const { startRegressionWorker, stopRegressionWorker } = require("./services/errorStatusService");
+const { startAlertWorker, stopAlertWorker } = require("./services/alertService");
 const app = express();
 
 app.use(express.json());
@@ -23,7 +36,7 @@ app.set("trust proxy", true);
 app.use(
   cors({
     //origin: ['https://your-frontend-domain.com', 'http://localhost:3000'], // Allowed origins
-    methods: ["GET", "POST"], // Allowed HTTP methods
+    methods: ["GET", "POST", "PATCH", "DELETE"], // Allowed HTTP methods
     //allowedHeaders: ['Content-Type', 'Authorization'], // Allowed headers
     //credentials: true // Allow credentials (e.g., cookies, HTTP auth)
   })
@@ -34,17 +47,25 @@ app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" });
 });
 
-app.use("/v1/leaderboard", leaderboardAuthController, leaderboardRoutes);
+// Every /v1 route parses and formats dates in the requested (or default) timezone
+app.use("/v1", resolveTimezone);
+
+app.use("/v1/leaderboard", leaderboardAuthController, maskPiiResponse, leaderboardRoutes);
 // app.use("/", authController, (req, res) => {
 //   res.send("hi welcome");
 // });
 
-app.use("/v1", authController, questionRoutes);
-app.use("/v1", authController, userRoutes);
-app.use("/v1", authController, sessionRoutes);
-app.use("/v1", authController, feedbackRoutes);
-app.use("/v1", authController, errorRoutes);
-app.use("/v1", authController, dashboardRoutes);
+app.use("/v1", authController, maskPiiResponse, questionRoutes);
+app.use("/v1", authController, maskPiiResponse, userRoutes);
+app.use("/v1", authController, maskPiiResponse, sessionRoutes);
+app.use("/v1", authController, maskPiiResponse, feedbackRoutes);
+app.use("/v1", authController, maskPiiResponse, errorRoutes);
+app.use("/v1", authController, maskPiiResponse, dashboardRoutes);
+app.use("/v1", authController, maskPiiResponse, metricsRoutes);
+app.use("/v1", authController, maskPiiResponse, exportRoutes);
+app.use("/v1", authController, maskPiiResponse, auditRoutes);
+app.use("/v1", authController, maskPiiResponse, rollupRoutes);
+app.use("/v1", authController, maskPiiResponse, alertRoutes);
 app.use("/v1/api/villages", authController, villageRoutes);
 
 const PORT = process.env.PORT || 3000;
@@ -53,17 +74,35 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`Service is running on port ${PORT}`);
 });
 
+// Create/upgrade service-owned tables, then start background workers
+runMigrations()
+  .then(() => {
+    startExportWorker();
+    startRollupWorker();
+    startRegressionWorker();
+    startAlertWorker();
+  })
+  .catch((err) => {
+    console.error("Database migrations failed; background workers not started", err);
+  });
+
 // Graceful shutdown: close HTTP server and DB pool.
 // Call this on SIGTERM / SIGINT so Docker or orchestrator can stop cleanly.
 
 async function shutdown(signal) {
   try {
     console.log(`Received ${signal}. Closing HTTP server...`);
+    stopExportWorker();
+    stopRollupWorker();
+    stopRegressionWorker();
+    stopAlertWorker();
     await new Promise((resolve, reject) => {
       server.close((err) => (err ? reject(err) : resolve()));
     });
     console.log("HTTP server closed.");
 
+    await closeCache();
+
     console.log("Closing DB pool...");
     await pool.end(); // close all clients
     console.log("DB pool closed. Exiting.");
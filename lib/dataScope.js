@@ -0,0 +1,74 @@
+const { PERMISSIONS, hasPermission } = require("./rbac");
+const { getVillagesByDistrictUtil } = require("../middleware/villageMiddleware");
+
+/**
+ * Data-scope policy for the /v1 API.
+ *
+ * Users holding scope:state (state admins) see every region. Everyone else is
+ * restricted to the district of the registered_location in their token; the
+ * scope is applied to every query by resolveRegionFilter.
+ */
+
+/**
+ * Reads the lgd_code of the token's registered_location, if any.
+ * @param {Object} payload - JWT payload
+ * @returns {string|number|null}
+ */
+function extractRegisteredLgdCode(payload = {}) {
+  if (!Array.isArray(payload.locations)) {
+    return null;
+  }
+  const regLoc = payload.locations.find(
+    (l) => l && l.location_type === "registered_location"
+  );
+  if (regLoc && regLoc.lgd_code !== undefined && regLoc.lgd_code !== "") {
+    return regLoc.lgd_code;
+  }
+  return null;
+}
+
+/**
+ * postVerify hook: sets req.dataScope. Must run after attachPermissions.
+ *
+ * req.dataScope is null for unrestricted users, otherwise
+ * { level, lgd_code, district_code, district_name, village_codes } where
+ * village_codes is empty when the token carries no usable location.
+ *
+ * @param {Object} payload - JWT payload
+ * @param {Object} req - Express request
+ */
+function attachDataScope(payload, req) {
+  const registeredLgd = extractRegisteredLgdCode(payload);
+  req.user.registered_lgd_code = registeredLgd;
+  req.registeredLgdCode = registeredLgd;
+
+  if (hasPermission(req, PERMISSIONS.STATE_SCOPE)) {
+    req.dataScope = null;
+    return;
+  }
+
+  const district = registeredLgd !== null ? getVillagesByDistrictUtil(registeredLgd) : null;
+  if (!district || !district.success) {
+    req.dataScope = {
+      level: "district",
+      lgd_code: registeredLgd,
+      district_code: null,
+      district_name: null,
+      village_codes: [],
+    };
+    return;
+  }
+
+  req.dataScope = {
+    level: "district",
+    lgd_code: registeredLgd,
+    district_code: String(district.data.district_code),
+    district_name: district.data.district_name,
+    village_codes: district.data.village_codes.map(String),
+  };
+}
+
+module.exports = {
+  extractRegisteredLgdCode,
+  attachDataScope,
+};
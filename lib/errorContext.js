@@ -0,0 +1,152 @@
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * Structured request context of errordetails.groupdetails.
+ *
+ * groupdetails is free-form: a JSON object logged by the client or a plain
+ * text such as "POST /api/chat failed with status code 500". Endpoint, method,
+ * status code and user agent are extracted with the regular expressions in
+ * config/errorContext.json (or ERROR_CONTEXT_CONFIG_PATH): the first capture
+ * group of the first matching pattern wins. The patterns are written in the
+ * syntax shared by Postgres and JavaScript, so parseErrorContext() and the SQL
+ * expressions of buildErrorContextSql() agree and the extracted values can be
+ * filtered and grouped on. Numeric and uuid path segments of the endpoint are
+ * replaced by ":id" so /users/42 and /users/43 count as one endpoint.
+ */
+
+let contextConfig = { fields: {}, endpointIdPattern: null };
+try {
+  const configPath =
+    process.env.ERROR_CONTEXT_CONFIG_PATH || path.join(__dirname, "../config/errorContext.json");
+  contextConfig = { ...contextConfig, ...JSON.parse(fs.readFileSync(configPath, "utf8")) };
+} catch (error) {
+  console.error("[errors] Could not load error context rules:", error.message);
+}
+
+const CONTEXT_FIELDS = ["endpoint", "method", "statusCode", "userAgent"];
+const FIELD_PATTERNS = Object.fromEntries(
+  CONTEXT_FIELDS.map((field) => [field, ((contextConfig.fields || {})[field] || []).filter(Boolean)])
+);
+const ENDPOINT_ID_PATTERN = contextConfig.endpointIdPattern || null;
+
+// Stack traces are only shown, never queried, so they are extracted in JavaScript alone
+const JSON_STACK_PATTERN = /"(?:stack|stack_?trace|trace)"\s*:\s*"((?:[^"\\]|\\.)*)"/i;
+const TEXT_STACK_PATTERN = /(?:^|\n)([^\n]*(?:\n[ \t]+at [^\n]+)+)/;
+
+/**
+ * @param {string|Object|null} groupdetails - Column value (pg parses json columns)
+ * @returns {string}
+ */
+function contextText(groupdetails) {
+  if (groupdetails === null || groupdetails === undefined) {
+    return "";
+  }
+  return typeof groupdetails === "string" ? groupdetails : JSON.stringify(groupdetails);
+}
+
+function matchField(text, field) {
+  for (const pattern of FIELD_PATTERNS[field]) {
+    const match = new RegExp(pattern, "i").exec(text);
+    if (match && match[1]) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Replaces id-like path segments by ":id", like buildErrorContextSql().endpoint.
+ * @param {string|null} endpoint
+ * @returns {string|null}
+ */
+function normalizeEndpoint(endpoint) {
+  if (!endpoint) {
+    return null;
+  }
+  return ENDPOINT_ID_PATTERN ? endpoint.replace(new RegExp(ENDPOINT_ID_PATTERN, "gi"), "/:id") : endpoint;
+}
+
+function extractStack(text) {
+  const jsonMatch = JSON_STACK_PATTERN.exec(text);
+  if (jsonMatch) {
+    try {
+      return JSON.parse(`"${jsonMatch[1]}"`) || null;
+    } catch (error) {
+      return jsonMatch[1];
+    }
+  }
+  const textMatch = TEXT_STACK_PATTERN.exec(text);
+  return textMatch ? textMatch[1].trim() : null;
+}
+
+/**
+ * Extracts the request context of one error.
+ * @param {string|Object|null} groupdetails
+ * @returns {{ endpoint: string|null, method: string|null, statusCode: number|null, userAgent: string|null, stack: string|null }}
+ */
+function parseErrorContext(groupdetails) {
+  const text = contextText(groupdetails);
+  if (!text) {
+    return { endpoint: null, method: null, statusCode: null, userAgent: null, stack: null };
+  }
+  const method = matchField(text, "method");
+  const statusCode = matchField(text, "statusCode");
+  const userAgent = matchField(text, "userAgent");
+  return {
+    endpoint: normalizeEndpoint(matchField(text, "endpoint")),
+    method: method ? method.toUpperCase() : null,
+    statusCode: statusCode ? parseInt(statusCode, 10) : null,
+    userAgent: userAgent ? userAgent.trim() : null,
+    stack: extractStack(text),
+  };
+}
+
+function buildFieldSql(qb, text, field) {
+  const matches = FIELD_PATTERNS[field].map(
+    (pattern) => `(REGEXP_MATCH(${text}, ${qb.param(pattern)}, 'i'))[1]`
+  );
+  if (matches.length === 0) {
+    return "NULL::text";
+  }
+  return `NULLIF(${matches.length === 1 ? matches[0] : `COALESCE(${matches.join(", ")})`}, '')`;
+}
+
+/**
+ * Builds the endpoint, method and status code expressions of a groupdetails
+ * column. Like buildErrorFingerprintSql, parameters are bound the first time
+ * an expression is read. statusCode is text ("500").
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {string} [column] - Column holding the error context
+ * @returns {{ endpoint: string, method: string, statusCode: string }}
+ */
+function buildErrorContextSql(qb, column = "groupdetails") {
+  const text = `${column}::text`;
+  const built = {};
+  const once = (name, build) => {
+    built[name] = built[name] || build();
+    return built[name];
+  };
+  return {
+    get endpoint() {
+      return once("endpoint", () => {
+        const endpoint = buildFieldSql(qb, text, "endpoint");
+        return ENDPOINT_ID_PATTERN
+          ? `REGEXP_REPLACE(${endpoint}, ${qb.param(ENDPOINT_ID_PATTERN)}, '/:id', 'gi')`
+          : endpoint;
+      });
+    },
+    get method() {
+      return once("method", () => `UPPER(${buildFieldSql(qb, text, "method")})`);
+    },
+    get statusCode() {
+      return once("statusCode", () => buildFieldSql(qb, text, "statusCode"));
+    }
+  };
+}
+
+module.exports = {
+  parseErrorContext,
+  normalizeEndpoint,
+  buildErrorContextSql
+};
@@ -0,0 +1,79 @@
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * Error fingerprinting and classification for errordetails.
+ *
+ * An error's text is lower-cased and passed through the "normalize" rules
+ * (ids, timestamps, numbers, quoted values, ... replaced by placeholders) to
+ * get its pattern. The type is the first "types" rule matching the raw text,
+ * else "defaultType". The fingerprint is an md5 prefix of type and pattern, so
+ * rows that differ only in such values share one group while e.g. a 404 and a
+ * 500 with otherwise identical text stay apart. Rules are Postgres regular
+ * expressions from config/errors.json (or ERROR_RULES_CONFIG_PATH) and are
+ * evaluated in SQL, so every endpoint computes the same fingerprint.
+ */
+
+let ruleConfig = { normalize: [], types: [], defaultType: "Application Error" };
+try {
+  const configPath =
+    process.env.ERROR_RULES_CONFIG_PATH || path.join(__dirname, "../config/errors.json");
+  ruleConfig = { ...ruleConfig, ...JSON.parse(fs.readFileSync(configPath, "utf8")) };
+} catch (error) {
+  console.error("[errors] Could not load error rules:", error.message);
+}
+
+const NORMALIZE_RULES = (ruleConfig.normalize || []).filter((rule) => rule && rule.pattern);
+const TYPE_RULES = (ruleConfig.types || []).filter((rule) => rule && rule.type && rule.pattern);
+const DEFAULT_ERROR_TYPE = ruleConfig.defaultType || "Application Error";
+const ERROR_TYPES = [...new Set([...TYPE_RULES.map((rule) => rule.type), DEFAULT_ERROR_TYPE])];
+
+function buildPatternSql(qb, column) {
+  let pattern = `LOWER(${column})`;
+  for (const rule of NORMALIZE_RULES) {
+    pattern = `REGEXP_REPLACE(${pattern}, ${qb.param(rule.pattern)}, ${qb.param(rule.replacement || "")}, 'g')`;
+  }
+  return `TRIM(${pattern})`;
+}
+
+function buildErrorTypeSql(qb, column) {
+  const cases = TYPE_RULES.map(
+    (rule) => `WHEN ${column} ~* ${qb.param(rule.pattern)} THEN ${qb.param(rule.type)}`
+  );
+  return cases.length > 0
+    ? `(CASE ${cases.join(" ")} ELSE ${qb.param(DEFAULT_ERROR_TYPE)} END)`
+    : `${qb.param(DEFAULT_ERROR_TYPE)}::text`;
+}
+
+/**
+ * Builds the pattern, fingerprint and type expressions of an error text column.
+ * Rule patterns are bound as parameters the first time an expression is read,
+ * so a query only carries the parameters of the expressions it uses; each
+ * expression may be used several times in one query.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {string} [column] - Column holding the error text
+ * @returns {{ pattern: string, fingerprint: string, errorType: string }}
+ */
+function buildErrorFingerprintSql(qb, column = "errortext") {
+  let pattern = null;
+  let errorType = null;
+  return {
+    get pattern() {
+      pattern = pattern || buildPatternSql(qb, column);
+      return pattern;
+    },
+    get errorType() {
+      errorType = errorType || buildErrorTypeSql(qb, column);
+      return errorType;
+    },
+    get fingerprint() {
+      return `LEFT(MD5(${this.errorType} || ':' || ${this.pattern}), 16)`;
+    }
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  DEFAULT_ERROR_TYPE,
+  buildErrorFingerprintSql
+};
@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+const { PERMISSIONS, hasPermission } = require("./rbac");
+
+/**
+ * PII masking for API responses and exports.
+ *
+ * Identifier fields (uid, username, farmer_id, ...) are replaced by a salted
+ * hash ("hash" mode, stable so rows of one user still group together) or by
+ * their last four characters ("partial" mode). Phone and Aadhaar-like numbers
+ * in free-text fields are redacted. Field lists and the default mode come from
+ * config/pii.json (or PII_CONFIG_PATH); PII_MASK_MODE and PII_HASH_SALT
+ * override them from the environment. Hash mode requires PII_HASH_SALT: uids
+ * are phone numbers, so unsalted hashes could be reversed by enumerating them.
+ * Without a salt identifiers are masked in partial mode instead, with a warning.
+ */
+
+const MASK_MODES = ["hash", "partial"];
+
+let piiConfig = { mode: "hash", identifierFields: [], textFields: [] };
+try {
+  const configPath =
+    process.env.PII_CONFIG_PATH || path.join(__dirname, "../config/pii.json");
+  piiConfig = { ...piiConfig, ...JSON.parse(fs.readFileSync(configPath, "utf8")) };
+} catch (error) {
+  console.error("[pii] Could not load masking config:", error.message);
+}
+
+const CONFIGURED_MODE = MASK_MODES.includes(process.env.PII_MASK_MODE)
+  ? process.env.PII_MASK_MODE
+  : MASK_MODES.includes(piiConfig.mode) ? piiConfig.mode : "hash";
+const HASH_SALT = process.env.PII_HASH_SALT || "";
+const MASK_MODE = CONFIGURED_MODE === "hash" && !HASH_SALT ? "partial" : CONFIGURED_MODE;
+if (MASK_MODE !== CONFIGURED_MODE) {
+  console.warn("[pii] PII_HASH_SALT is not set; masking identifiers in partial mode instead of hash mode");
+}
+const IDENTIFIER_FIELDS = new Set(piiConfig.identifierFields);
+const TEXT_FIELDS = new Set(piiConfig.textFields);
+
+// ASCII and Devanagari digits; separators allowed between digit groups
+const DIGIT = "[0-9\\u0966-\\u096F]";
+const SEP = "[\\s-]?";
+const AADHAAR_PATTERN = new RegExp(
+  `(?<!${DIGIT})[2-9\\u0968-\\u096F]${DIGIT}{3}${SEP}${DIGIT}{4}${SEP}${DIGIT}{4}(?!${DIGIT})`,
+  "g"
+);
+const PHONE_PATTERN = new RegExp(
+  `(?<!${DIGIT})(?:\\+?91${SEP}|0)?[6-9\\u096C-\\u096F]${DIGIT}{4}${SEP}${DIGIT}{5}(?!${DIGIT})`,
+  "g"
+);
+
+/**
+ * Masks a single identifier.
+ * @param {string|number|null} value
+ * @param {string} [mode] - "hash" or "partial"
+ * @returns {string|null}
+ */
+function maskIdentifier(value, mode = MASK_MODE) {
+  if (value === null || value === undefined || value === "") {
+    return value;
+  }
+  const text = String(value);
+  if (mode === "partial" || !HASH_SALT) {
+    return text.length <= 4 ? "****" : `****${text.slice(-4)}`;
+  }
+  return crypto.createHash("sha256").update(`${HASH_SALT}:${text}`).digest("hex").slice(0, 16);
+}
+
+/**
+ * Redacts Aadhaar-like and phone numbers from free text.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  if (typeof text !== "string") {
+    return text;
+  }
+  return text
+    .replace(AADHAAR_PATTERN, "[REDACTED_ID]")
+    .replace(PHONE_PATTERN, "[REDACTED_PHONE]");
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !(value instanceof Date);
+}
+
+function redactDeep(value) {
+  if (typeof value === "string") {
+    return redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactDeep);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactDeep(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Returns a copy of a response payload with identifier fields masked and
+ * free-text fields redacted, at any depth.
+ * @param {*} data
+ * @returns {*}
+ */
+function maskPayload(data) {
+  if (Array.isArray(data)) {
+    return data.map(maskPayload);
+  }
+  if (!isPlainObject(data)) {
+    return data;
+  }
+
+  const masked = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (IDENTIFIER_FIELDS.has(key) && Array.isArray(value)) {
+      masked[key] = value.map((item) => maskIdentifier(item));
+    } else if (IDENTIFIER_FIELDS.has(key) && !isPlainObject(value)) {
+      masked[key] = maskIdentifier(value);
+    } else if (TEXT_FIELDS.has(key)) {
+      masked[key] = redactDeep(value);
+    } else {
+      masked[key] = maskPayload(value);
+    }
+  }
+  return masked;
+}
+
+/**
+ * Masks one value according to the kind of field it belongs to.
+ * @param {"id"|"text"} kind
+ * @param {*} value
+ * @returns {*}
+ */
+function maskField(kind, value) {
+  return kind === "id" ? maskIdentifier(value) : redactDeep(value);
+}
+
+/**
+ * Middleware masking every JSON response unless the caller holds pii:read.
+ * Safe to mount more than once on a path: res.json is only wrapped once.
+ */
+function maskPiiResponse(req, res, next) {
+  if (res.locals.piiMasked || hasPermission(req, PERMISSIONS.PII_READ)) {
+    return next();
+  }
+  res.locals.piiMasked = true;
+  const json = res.json.bind(res);
+  res.json = (body) => json(maskPayload(body));
+  next();
+}
+
+module.exports = {
+  MASK_MODE,
+  maskIdentifier,
+  redactText,
+  maskPayload,
+  maskField,
+  maskPiiResponse,
+};
@@ -0,0 +1,121 @@
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * Role/permission layer on top of the verified Keycloak token.
+ *
+ * Roles are read from realm_access.roles and resource_access[<client>].roles.
+ * A role grants the permissions listed for it in config/rbac.json (or the
+ * file named by RBAC_CONFIG_PATH); a role whose name is itself a permission
+ * (e.g. a client role "pii:read") grants that permission directly. "*" grants
+ * every permission.
+ */
+
+const PERMISSIONS = {
+  TELEMETRY_READ: "telemetry:read",
+  PII_READ: "pii:read",
+  LEADERBOARD_ADMIN: "leaderboard:admin",
+  AUDIT_READ: "audit:read",
+  ROLLUP_ADMIN: "rollup:admin",
+  // Change the status, assignee and notes of error groups
+  ERRORS_WRITE: "errors:write",
+  // Manage error alert rules and their webhooks
+  ALERTS_ADMIN: "alerts:admin",
+  // Unrestricted data scope; without it /v1 data is limited to the token's district
+  STATE_SCOPE: "scope:state",
+};
+
+let rolePermissions = {};
+try {
+  const configPath =
+    process.env.RBAC_CONFIG_PATH || path.join(__dirname, "../config/rbac.json");
+  rolePermissions = JSON.parse(fs.readFileSync(configPath, "utf8")).roles || {};
+} catch (error) {
+  console.error("[rbac] Could not load role permissions:", error.message);
+}
+
+/**
+ * Collects realm and client roles from a verified token payload.
+ * @param {Object} payload - JWT payload
+ * @returns {string[]}
+ */
+function extractRoles(payload = {}) {
+  const roles = new Set();
+  const realmRoles = payload.realm_access && payload.realm_access.roles;
+  if (Array.isArray(realmRoles)) {
+    realmRoles.forEach((role) => roles.add(role));
+  }
+
+  const clientId = process.env.KEYCLOAK_CLIENT_ID || payload.azp;
+  const clientAccess = payload.resource_access && clientId && payload.resource_access[clientId];
+  if (clientAccess && Array.isArray(clientAccess.roles)) {
+    clientAccess.roles.forEach((role) => roles.add(role));
+  }
+
+  return [...roles];
+}
+
+/**
+ * Expands roles into the set of granted permissions.
+ * @param {string[]} roles
+ * @returns {Set<string>}
+ */
+function resolvePermissions(roles) {
+  const granted = new Set();
+  for (const role of roles) {
+    if (role.includes(":") || role === "*") {
+      granted.add(role);
+    }
+    (rolePermissions[role] || []).forEach((permission) => granted.add(permission));
+  }
+  return granted;
+}
+
+/**
+ * postVerify hook for createAuthMiddleware: attaches roles and permissions to the request.
+ * @param {Object} payload - JWT payload
+ * @param {Object} req - Express request
+ */
+function attachPermissions(payload, req) {
+  const roles = extractRoles(payload);
+  req.user.roles = roles;
+  req.permissions = resolvePermissions(roles);
+}
+
+/**
+ * @param {Object} req - Express request (after attachPermissions)
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(req, permission) {
+  const granted = req.permissions;
+  return Boolean(granted && (granted.has("*") || granted.has(permission)));
+}
+
+/**
+ * Route middleware requiring every listed permission.
+ * Responds 403 naming the missing permissions.
+ * @param {...string} required
+ */
+function requirePermission(...required) {
+  return function permissionMiddleware(req, res, next) {
+    const missing = required.filter((permission) => !hasPermission(req, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        reason: `Missing required permission${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  extractRoles,
+  resolvePermissions,
+  attachPermissions,
+  hasPermission,
+  requirePermission,
+};
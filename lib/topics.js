@@ -0,0 +1,74 @@
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * Question normalisation and the topic dictionary used by answer-quality analytics.
+ *
+ * Questions are grouped on a normalised form of their text (lower case,
+ * punctuation removed, whitespace collapsed) so trivial variants of the same
+ * question land in one group. Topics are matched by keyword on that same form;
+ * the keyword lists (crop names, pests, schemes, ...) come from
+ * config/topics.json (or TOPICS_CONFIG_PATH).
+ */
+
+let topicConfig = { topics: {} };
+try {
+  const configPath =
+    process.env.TOPICS_CONFIG_PATH || path.join(__dirname, "../config/topics.json");
+  topicConfig = { ...topicConfig, ...JSON.parse(fs.readFileSync(configPath, "utf8")) };
+} catch (error) {
+  console.error("[topics] Could not load topic dictionary:", error.message);
+}
+
+/**
+ * Normalises a text the same way as normalizedTextSql.
+ * @param {string|null} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}\s]+/gu, " ")
+    .trim();
+}
+
+/**
+ * SQL expression normalising a text column.
+ * @param {string} column - Column or expression holding the text
+ * @returns {string}
+ */
+function normalizedTextSql(column) {
+  return `TRIM(REGEXP_REPLACE(LOWER(${column}), '[[:punct:][:space:]]+', ' ', 'g'))`;
+}
+
+// Topic name -> normalised, de-duplicated keywords; topics without keywords are dropped
+const TOPICS = Object.fromEntries(
+  Object.entries(topicConfig.topics || {})
+    .map(([topic, keywords]) => [
+      topic,
+      [...new Set((Array.isArray(keywords) ? keywords : []).map(normalizeText).filter(Boolean))]
+    ])
+    .filter(([, keywords]) => keywords.length > 0)
+);
+
+/**
+ * Flattens the dictionary into parallel arrays, ready to be unnested in SQL.
+ * @returns {{ topics: string[], keywords: string[] }}
+ */
+function getTopicKeywordPairs() {
+  const pairs = { topics: [], keywords: [] };
+  for (const [topic, keywords] of Object.entries(TOPICS)) {
+    for (const keyword of keywords) {
+      pairs.topics.push(topic);
+      pairs.keywords.push(keyword);
+    }
+  }
+  return pairs;
+}
+
+module.exports = {
+  TOPICS,
+  normalizeText,
+  normalizedTextSql,
+  getTopicKeywordPairs
+};
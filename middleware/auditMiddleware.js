@@ -0,0 +1,82 @@
+const pool = require("../services/db");
+
+// Route params that identify the farmer or session being looked at
+const TARGET_UID_PARAMS = ["userId", "username"];
+const TARGET_SID_PARAMS = ["sessionId"];
+
+// Query keys that can carry credentials (the JWT is accepted as ?token=); never stored
+const CREDENTIAL_QUERY_KEY = /token|secret|passw(or)?d|api[_-]?key|signature|^auth(orization)?$/i;
+
+const storableQuery = (query = {}) =>
+  Object.fromEntries(Object.entries(query).filter(([key]) => !CREDENTIAL_QUERY_KEY.test(key)));
+
+const firstParam = (params, names) => {
+  const name = names.find((n) => params[n] !== undefined && params[n] !== "");
+  return name ? String(params[name]) : null;
+};
+
+/**
+ * Middleware that records who accessed farmer-level data into audit_log.
+ * Mount it on individual routes (after auth) so req.params and req.route are
+ * available. The row is written once the response has finished; bytes are
+ * counted as they are written so streamed exports are measured too. Audit
+ * failures are logged and never affect the response.
+ */
+const auditLog = (req, res, next) => {
+  // Captured now: req.route/baseUrl/params belong to the route being dispatched
+  const params = { ...req.params };
+  const path = req.originalUrl.split("?")[0];
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : path;
+  let responseBytes = 0;
+  const write = res.write;
+  const end = res.end;
+
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== "function") {
+      responseBytes += Buffer.isBuffer(chunk)
+        ? chunk.length
+        : Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : "utf8");
+    }
+  };
+
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  res.on("finish", () => {
+    const user = req.user || {};
+
+    pool
+      .query(
+        `INSERT INTO audit_log
+           (actor_sub, actor_username, method, route, path, query_params,
+            target_uid, target_sid, status_code, response_bytes, ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          user.sub || null,
+          user.preferred_username || null,
+          req.method,
+          route,
+          path,
+          JSON.stringify(storableQuery(req.query || {})),
+          firstParam(params, TARGET_UID_PARAMS),
+          firstParam(params, TARGET_SID_PARAMS),
+          res.statusCode,
+          responseBytes,
+          req.ip || null,
+        ]
+      )
+      .catch((error) => console.error("Error writing audit log:", error.message));
+  });
+
+  next();
+};
+
+module.exports = {
+  auditLog,
+};
@@ -0,0 +1,29 @@
+const { DEFAULT_TIMEZONE, isValidTimezone } = require("../utils/dateUtils");
+
+/**
+ * Middleware that resolves the `tz` query parameter (an IANA name such as
+ * Asia/Kolkata) into req.timezone, falling back to DEFAULT_TIMEZONE. Dates in
+ * the request are parsed, bucketed and formatted in this timezone. Unknown
+ * names are rejected rather than silently treated as the default.
+ */
+const resolveTimezone = (req, res, next) => {
+  const requested = req.query.tz ? String(req.query.tz).trim() : "";
+  if (!requested) {
+    req.timezone = DEFAULT_TIMEZONE;
+    return next();
+  }
+
+  if (!isValidTimezone(requested)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid timezone. Use an IANA timezone name such as Asia/Kolkata",
+    });
+  }
+
+  req.timezone = requested;
+  next();
+};
+
+module.exports = {
+  resolveTimezone,
+};
@@ -185,8 +185,207 @@ const getVillagesByDistrictUtil = (villageCode) => {
   }
 };
 
+const REGION_LEVELS = ["district_code", "taluka_code", "village_code"];
+
+/**
+ * Utility function to resolve district/taluka/village codes into village codes
+ * Each level accepts a single code or a comma-separated list; levels are AND-ed
+ * so a taluka outside the requested district matches nothing.
+ *
+ * @param {Object} codes - { district_code, taluka_code, village_code }
+ * @returns {Object} Object containing the applied region and its village codes
+ */
+const getVillagesByRegionUtil = (codes = {}) => {
+  try {
+    const region = {};
+    for (const level of REGION_LEVELS) {
+      if (codes[level] === undefined || codes[level] === null || codes[level] === "") {
+        continue;
+      }
+
+      const values = String(codes[level])
+        .split(",")
+        .map((code) => code.trim())
+        .filter(Boolean);
+
+      if (values.length === 0 || values.some((code) => !/^\d+$/.test(code))) {
+        return {
+          success: false,
+          status: 400,
+          message: `${level} must be a numeric code or a comma-separated list of codes`,
+        };
+      }
+
+      region[level] = values;
+    }
+
+    if (Object.keys(region).length === 0) {
+      return { success: true, data: null };
+    }
+
+    const villages = villageData.filter((v) =>
+      Object.entries(region).every(([level, values]) =>
+        values.includes(String(v[level]))
+      )
+    );
+
+    if (villages.length === 0) {
+      return {
+        success: false,
+        status: 404,
+        message: "No villages found for the given region",
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        ...region,
+        total_villages: villages.length,
+        village_codes: villages.map((v) => String(v.village_code)),
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      status: 500,
+      message: "Error processing request",
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Utility function to narrow a resolved region to a user's data scope
+ * A restricted scope always yields a filter: the whole jurisdiction when no
+ * region was requested, otherwise the requested villages inside it.
+ *
+ * @param {Object|null} region - data from getVillagesByRegionUtil
+ * @param {Object|null} scope - req.dataScope ({ district_code, village_codes }), null when unrestricted
+ * @returns {Object} Object containing the scoped region
+ */
+const applyDataScopeUtil = (region, scope) => {
+  if (!scope) {
+    return { success: true, data: region };
+  }
+
+  if (scope.village_codes.length === 0) {
+    return {
+      success: false,
+      status: 403,
+      message: "No data scope: token has no registered location in a known district",
+    };
+  }
+
+  if (!region) {
+    return {
+      success: true,
+      data: {
+        district_code: [scope.district_code],
+        total_villages: scope.village_codes.length,
+        village_codes: scope.village_codes,
+        scoped: true,
+      },
+    };
+  }
+
+  const allowed = new Set(scope.village_codes);
+  const villageCodes = region.village_codes.filter((code) => allowed.has(code));
+  if (villageCodes.length === 0) {
+    return {
+      success: false,
+      status: 403,
+      message: `Requested region is outside your jurisdiction (district ${scope.district_code})`,
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      ...region,
+      total_villages: villageCodes.length,
+      village_codes: villageCodes,
+      scoped: true,
+    },
+  };
+};
+
+/**
+ * Middleware that resolves the optional district_code, taluka_code and
+ * village_code query parameters into req.regionFilter.
+ * The region is narrowed to req.dataScope (the user's jurisdiction, set at
+ * token verification), so restricted users are always filtered.
+ * req.regionFilter is null only for unrestricted users with no region requested.
+ */
+const resolveRegionFilter = (req, res, next) => {
+  let result = getVillagesByRegionUtil(req.query);
+  if (result.success) {
+    result = applyDataScopeUtil(result.data, req.dataScope);
+  }
+
+  if (!result.success) {
+    if (result.status === 403) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        reason: result.message,
+      });
+    }
+    return res.status(result.status).json({
+      success: false,
+      error: result.message,
+    });
+  }
+
+  req.regionFilter = result.data;
+  next();
+};
+
+/**
+ * Utility function to group villages into districts or talukas
+ * Used for region-level breakdowns; each group carries its English and
+ * Marathi names and the village codes (lgd_codes) that belong to it.
+ *
+ * @param {string} level - "district" or "taluka"
+ * @param {string[]|null} villageCodes - Restrict grouping to these villages
+ * @returns {Object[]} Groups sorted by code
+ */
+const getRegionGroupsUtil = (level, villageCodes = null) => {
+  const allowed = villageCodes ? new Set(villageCodes.map(String)) : null;
+  const groups = new Map();
+
+  for (const village of villageData) {
+    if (allowed && !allowed.has(String(village.village_code))) {
+      continue;
+    }
+
+    const code = String(village[`${level}_code`]);
+    if (!groups.has(code)) {
+      const group = {
+        code,
+        name: village[level],
+        name_marathi: village[`${level}_marathi`],
+        village_codes: [],
+      };
+      if (level === "taluka") {
+        group.district_code = String(village.district_code);
+        group.district_name = village.district;
+        group.district_name_marathi = village.district_marathi;
+      }
+      groups.set(code, group);
+    }
+    groups.get(code).village_codes.push(String(village.village_code));
+  }
+
+  return [...groups.values()].sort((a, b) => Number(a.code) - Number(b.code));
+};
+
 module.exports = {
   getVillagesByTaluka,
   getVillagesByTalukaUtil,
   getVillagesByDistrictUtil,
+  getVillagesByRegionUtil,
+  applyDataScopeUtil,
+  getRegionGroupsUtil,
+  resolveRegionFilter,
 };
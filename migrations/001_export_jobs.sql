@@ -0,0 +1,21 @@
+-- Background export jobs (POST /v1/exports)
+CREATE TABLE IF NOT EXISTS export_jobs (
+    id UUID PRIMARY KEY,
+    entity TEXT NOT NULL,
+    format TEXT NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending',
+    total_rows BIGINT,
+    rows_written BIGINT NOT NULL DEFAULT 0,
+    file_path TEXT,
+    file_name TEXT,
+    file_size BIGINT,
+    error TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS export_jobs_status_created_idx ON export_jobs (status, created_at);
@@ -0,0 +1,22 @@
+-- Audit trail of farmer-level data access (GET /v1/audit)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_sub TEXT,
+    actor_username TEXT,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    path TEXT NOT NULL,
+    query_params JSONB NOT NULL DEFAULT '{}'::jsonb,
+    target_uid TEXT,
+    target_sid TEXT,
+    status_code INTEGER,
+    response_bytes BIGINT,
+    ip TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at);
+CREATE INDEX IF NOT EXISTS audit_log_actor_created_idx ON audit_log (actor_sub, created_at);
+CREATE INDEX IF NOT EXISTS audit_log_route_created_idx ON audit_log (route, created_at);
+CREATE INDEX IF NOT EXISTS audit_log_target_uid_idx ON audit_log (target_uid);
+CREATE INDEX IF NOT EXISTS audit_log_target_sid_idx ON audit_log (target_sid);
@@ -0,0 +1,40 @@
+-- Daily (IST) rollups maintained by services/rollupService.js.
+-- village_code is the registered_location lgd_code ('' when unknown). Questions
+-- count against the village on the question row; feedback, errors and sessions
+-- against the user's latest registered village.
+CREATE TABLE IF NOT EXISTS daily_village_rollup (
+    day DATE NOT NULL,
+    village_code TEXT NOT NULL,
+    questions INTEGER NOT NULL DEFAULT 0,
+    sessions INTEGER NOT NULL DEFAULT 0,
+    active_users INTEGER NOT NULL DEFAULT 0,
+    new_users INTEGER NOT NULL DEFAULT 0,
+    feedback INTEGER NOT NULL DEFAULT 0,
+    likes INTEGER NOT NULL DEFAULT 0,
+    dislikes INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, village_code)
+);
+
+CREATE INDEX IF NOT EXISTS daily_village_rollup_village_day_idx ON daily_village_rollup (village_code, day);
+
+-- One row per user, day and village: distinct users over any range of closed days
+CREATE TABLE IF NOT EXISTS daily_user_activity (
+    day DATE NOT NULL,
+    uid TEXT NOT NULL,
+    village_code TEXT NOT NULL,
+    is_new BOOLEAN NOT NULL DEFAULT false,
+    questions INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, uid, village_code)
+);
+
+CREATE INDEX IF NOT EXISTS daily_user_activity_uid_day_idx ON daily_user_activity (uid, day);
+CREATE INDEX IF NOT EXISTS daily_user_activity_village_day_idx ON daily_user_activity (village_code, day);
+
+-- Days whose rollups are complete; endpoints only read rollups for these days
+CREATE TABLE IF NOT EXISTS rollup_days (
+    day DATE PRIMARY KEY,
+    village_rows INTEGER NOT NULL DEFAULT 0,
+    user_rows INTEGER NOT NULL DEFAULT 0,
+    computed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,32 @@
+-- Resolution workflow of error groups (fingerprints from lib/errorFingerprint.js).
+-- Groups without a row are 'open'.
+CREATE TABLE IF NOT EXISTS error_group_status (
+    fingerprint TEXT PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved', 'ignored')),
+    assignee TEXT,
+    notes TEXT,
+    resolved_at TIMESTAMPTZ,
+    resolved_by TEXT,
+    reopened_at TIMESTAMPTZ,
+    reopen_count INTEGER NOT NULL DEFAULT 0,
+    updated_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS error_group_status_status_idx ON error_group_status (status);
+
+-- Every status change, assignment and note, including automatic reopens
+CREATE TABLE IF NOT EXISTS error_group_events (
+    id BIGSERIAL PRIMARY KEY,
+    fingerprint TEXT NOT NULL,
+    action TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT,
+    assignee TEXT,
+    note TEXT,
+    actor TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS error_group_events_fingerprint_idx ON error_group_events (fingerprint, created_at);
@@ -0,0 +1,38 @@
+-- Error spike alert rules and the alerts they fired (services/alertService.js).
+-- webhooks is a list of { "url": ..., "format": "slack" | "generic" }.
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    window_minutes INTEGER NOT NULL DEFAULT 60,
+    baseline_hours INTEGER NOT NULL DEFAULT 168,
+    threshold_factor DOUBLE PRECISION NOT NULL DEFAULT 3,
+    min_errors INTEGER NOT NULL DEFAULT 10,
+    cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+    webhooks JSONB NOT NULL DEFAULT '[]',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    last_evaluated_at TIMESTAMPTZ,
+    last_fired_at TIMESTAMPTZ,
+    created_by TEXT,
+    updated_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- rule_name is kept so alerts stay readable after their rule is deleted
+CREATE TABLE IF NOT EXISTS alert_events (
+    id BIGSERIAL PRIMARY KEY,
+    rule_id INTEGER REFERENCES alert_rules (id) ON DELETE SET NULL,
+    rule_name TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    current_value DOUBLE PRECISION NOT NULL,
+    baseline_value DOUBLE PRECISION,
+    current_errors INTEGER NOT NULL,
+    window_start TIMESTAMPTZ NOT NULL,
+    window_end TIMESTAMPTZ NOT NULL,
+    deliveries JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS alert_events_created_at_idx ON alert_events (created_at);
+CREATE INDEX IF NOT EXISTS alert_events_rule_idx ON alert_events (rule_id, created_at);
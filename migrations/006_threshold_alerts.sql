@@ -0,0 +1,24 @@
+-- Threshold rules on dashboard metrics next to the error spike rules, email
+-- recipients, and firing/resolved state (services/alertService.js).
+ALTER TABLE alert_rules
+    ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'error_spike',
+    ADD COLUMN IF NOT EXISTS operator TEXT,
+    ADD COLUMN IF NOT EXISTS threshold DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS threshold_mode TEXT,
+    ADD COLUMN IF NOT EXISTS min_samples INTEGER NOT NULL DEFAULT 0,
+    -- { "district_code": ..., "taluka_code": ..., "village_code": ... }, null for all regions
+    ADD COLUMN IF NOT EXISTS region JSONB,
+    ADD COLUMN IF NOT EXISTS emails JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT 'ok',
+    ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMPTZ;
+
+-- Every row is a state transition: 'firing' when a rule starts firing, 'resolved' when it stops
+ALTER TABLE alert_events
+    ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT 'firing',
+    ADD COLUMN IF NOT EXISTS rule_type TEXT NOT NULL DEFAULT 'error_spike',
+    ADD COLUMN IF NOT EXISTS threshold_value DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS sample_size INTEGER,
+    ALTER COLUMN current_value DROP NOT NULL,
+    ALTER COLUMN current_errors DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS alert_events_state_idx ON alert_events (state, created_at);
@@ -0,0 +1,5 @@
+-- Remove credentials recorded by earlier versions of the audit middleware
+-- (the bearer JWT is accepted as ?token=); see middleware/auditMiddleware.js.
+UPDATE audit_log
+SET query_params = query_params - 'token' - 'access_token' - 'id_token' - 'refresh_token'
+WHERE query_params ?| ARRAY['token', 'access_token', 'id_token', 'refresh_token'];
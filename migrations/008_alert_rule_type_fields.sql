@@ -0,0 +1,13 @@
+-- Type-specific alert rule settings are only stored on rules of that type:
+-- threshold_factor and min_errors on error_spike rules, min_samples on
+-- threshold rules (services/alertService.js RULE_FIELDS).
+ALTER TABLE alert_rules
+    ALTER COLUMN threshold_factor DROP NOT NULL,
+    ALTER COLUMN threshold_factor DROP DEFAULT,
+    ALTER COLUMN min_errors DROP NOT NULL,
+    ALTER COLUMN min_errors DROP DEFAULT,
+    ALTER COLUMN min_samples DROP NOT NULL,
+    ALTER COLUMN min_samples DROP DEFAULT;
+
+UPDATE alert_rules SET threshold_factor = NULL, min_errors = NULL WHERE type <> 'error_spike';
+UPDATE alert_rules SET min_samples = NULL WHERE type <> 'threshold';
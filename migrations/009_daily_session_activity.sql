@@ -0,0 +1,22 @@
+-- Session counts per day and village cannot be added up: a session that spans
+-- several days or villages would be counted once for each. Rollups now keep
+-- the session keys instead, so distinct sessions stay exact over any range.
+-- village_code follows daily_village_rollup: the question row's village for
+-- questions, the user's latest registered village for feedback and errors.
+-- uid is '' when the telemetry has none, matching CONCAT(sid, '_', uid).
+CREATE TABLE IF NOT EXISTS daily_session_activity (
+    day DATE NOT NULL,
+    sid TEXT NOT NULL,
+    uid TEXT NOT NULL,
+    village_code TEXT NOT NULL,
+    PRIMARY KEY (day, sid, uid, village_code)
+);
+
+CREATE INDEX IF NOT EXISTS daily_session_activity_village_day_idx ON daily_session_activity (village_code, day);
+
+ALTER TABLE daily_village_rollup DROP COLUMN IF EXISTS sessions;
+ALTER TABLE rollup_days ADD COLUMN IF NOT EXISTS session_rows INTEGER NOT NULL DEFAULT 0;
+
+-- Days rolled up before this migration have no session rows: serve them from
+-- raw tables until the worker or scripts/rollup.js recomputes them
+DELETE FROM rollup_days;
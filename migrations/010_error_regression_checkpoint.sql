@@ -0,0 +1,6 @@
+-- High-water mark of the regression check (services/errorStatusService.js):
+-- each run only fingerprints errordetails rows created after checked_until.
+CREATE TABLE IF NOT EXISTS error_regression_checkpoint (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    checked_until TIMESTAMPTZ NOT NULL
+);
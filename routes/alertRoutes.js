@@ -0,0 +1,22 @@
+const express = require('express');
+const alertController = require('../controllers/alert.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+
+const { TELEMETRY_READ, STATE_SCOPE, ALERTS_ADMIN } = PERMISSIONS;
+
+const router = express.Router();
+
+// Alert state changes; rules can watch any region, so state scope is required
+router.get('/alerts', requirePermission(TELEMETRY_READ, STATE_SCOPE), alertController.getAlerts);
+
+// Alert rule management (webhook URLs are credentials, so admin only)
+router.get('/alerts/rules', requirePermission(ALERTS_ADMIN), alertController.getAlertRules);
+router.post('/alerts/rules', requirePermission(ALERTS_ADMIN), alertController.createRule);
+router.get('/alerts/rules/:id', requirePermission(ALERTS_ADMIN), alertController.getAlertRuleById);
+router.patch('/alerts/rules/:id', requirePermission(ALERTS_ADMIN), alertController.updateRule);
+router.delete('/alerts/rules/:id', requirePermission(ALERTS_ADMIN), alertController.deleteRule);
+
+// Send a test alert to the rule's webhooks and emails
+router.post('/alerts/rules/:id/test', requirePermission(ALERTS_ADMIN), alertController.testRule);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/audit.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+
+const { AUDIT_READ } = PERMISSIONS;
+
+const router = express.Router();
+
+// Search the audit trail of farmer-level data access
+router.get('/audit', requirePermission(AUDIT_READ), getAuditLogs);
+
+module.exports = router;
@@ -1,15 +1,26 @@
 const express = require('express');
 const dashboardController = require('../controllers/dashboard.controller');
+const { resolveRegionFilter } = require('../middleware/villageMiddleware');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { cacheResponse } = require('../services/cache');
+
+const { TELEMETRY_READ } = PERMISSIONS;
 
 const router = express.Router();
 
-router.get('/dashboard/user-analytics', dashboardController.getUserLoginAnalytics);
+router.get('/dashboard/user-analytics', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('dashboard:user-analytics'), dashboardController.getUserLoginAnalytics);
 
 // Route for getting comprehensive dashboard statistics
-router.get('/dashboard/stats', dashboardController.getDashboardStats);
+router.get('/dashboard/stats', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('dashboard:stats'), dashboardController.getDashboardStats);
+
+// Route for getting dashboard statistics grouped by district (or by taluka with district_code)
+router.get('/dashboard/stats/by-region', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('dashboard:stats-by-region'), dashboardController.getDashboardStatsByRegion);
+
+// Route for getting daily DAU/WAU/MAU and the DAU/MAU ratio over a date range
+router.get('/dashboard/active-users', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('dashboard:active-users'), dashboardController.getActiveUserMetrics);
 
 // Route for getting user graph
-router.get('/dashboard/user-graph', dashboardController.getUserGraph);
+router.get('/dashboard/user-graph', requirePermission(TELEMETRY_READ), dashboardController.getUserGraph);
 
 module.exports = router;
 
@@ -1,20 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const errorController = require('../controllers/error.controller');
+const { resolveRegionFilter } = require('../middleware/villageMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { exportEntity } = require('../controllers/export.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { cacheResponse } = require('../services/cache');
+
+const { TELEMETRY_READ, PII_READ, ERRORS_WRITE, STATE_SCOPE } = PERMISSIONS;
 
 // Route for getting all errors with pagination
-router.get('/errors', errorController.getAllErrors);
+router.get('/errors', requirePermission(TELEMETRY_READ), resolveRegionFilter, errorController.getAllErrors);
 
 // Route for getting comprehensive error statistics
-router.get('/errors/stats', errorController.getErrorStatistics);
+router.get('/errors/stats', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('errors:stats'), errorController.getErrorStatistics);
 
 // Route for getting error graph data for time-series visualization
-router.get('/errors/graph', errorController.getErrorGraph);
+router.get('/errors/graph', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('errors:graph'), errorController.getErrorGraph);
+
+// Route for getting errors grouped by fingerprint
+router.get('/errors/groups', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('errors:groups'), errorController.getErrorGroups);
+
+// Route for getting one error group with its occurrences
+router.get('/errors/groups/:fingerprint', requirePermission(TELEMETRY_READ), resolveRegionFilter, errorController.getErrorGroupByFingerprint);
+
+// Routes for setting or partially updating the status, assignee and notes of an error group.
+// A group's status applies to every region, so changing it needs state scope.
+router.post('/errors/groups/:fingerprint/status', requirePermission(ERRORS_WRITE, STATE_SCOPE), auditLog, resolveRegionFilter, errorController.setErrorGroupStatus);
+router.patch('/errors/groups/:fingerprint/status', requirePermission(ERRORS_WRITE, STATE_SCOPE), auditLog, resolveRegionFilter, errorController.updateErrorGroupStatus);
+
+// Stream the full filtered errors list as CSV or XLSX (?format=csv|xlsx)
+router.get('/errors/export', requirePermission(TELEMETRY_READ), auditLog, resolveRegionFilter, exportEntity('errors'));
 
 // Route for getting error by ID
-router.get('/errors/id/:id', errorController.getErrorById);
+router.get('/errors/id/:id', requirePermission(TELEMETRY_READ), resolveRegionFilter, errorController.getErrorById);
 
 // Route for getting errors by session ID
-router.get('/errors/session/:sessionId', errorController.getErrorsBySessionId);
+router.get('/errors/session/:sessionId', requirePermission(TELEMETRY_READ, PII_READ), auditLog, resolveRegionFilter, errorController.getErrorsBySessionId);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const exportJobController = require('../controllers/exportJob.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { auditLog } = require('../middleware/auditMiddleware');
+
+const { TELEMETRY_READ } = PERMISSIONS;
+
+const router = express.Router();
+
+// Queue a background export job
+router.post('/exports', requirePermission(TELEMETRY_READ), auditLog, exportJobController.createExport);
+
+// Get export job status and progress
+router.get('/exports/:id', requirePermission(TELEMETRY_READ), exportJobController.getExport);
+
+// Download the file of a completed export job
+router.get('/exports/:id/download', requirePermission(TELEMETRY_READ), auditLog, exportJobController.downloadExport);
+
+module.exports = router;
@@ -1,29 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const feedbackController = require('../controllers/feedback.controller');
+const { resolveRegionFilter } = require('../middleware/villageMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { exportEntity } = require('../controllers/export.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { cacheResponse } = require('../services/cache');
+
+const { TELEMETRY_READ, PII_READ } = PERMISSIONS;
 
 // Route for getting all feedback
-router.get('/feedback', feedbackController.getAllFeedback);
+router.get('/feedback', requirePermission(TELEMETRY_READ), resolveRegionFilter, feedbackController.getAllFeedback);
 
 // Route for getting comprehensive feedback statistics
-router.get('/feedback/stats', feedbackController.getFeedbackStats);
+router.get('/feedback/stats', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('feedback:stats'), feedbackController.getFeedbackStats);
 
 // Route for getting feedback graph data for time-series visualization
-router.get('/feedback/graph', feedbackController.getFeedbackGraph);
+router.get('/feedback/graph', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('feedback:graph'), feedbackController.getFeedbackGraph);
+
+// Route for ranking questions or topics by dislike rate
+router.get('/feedback/quality', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('feedback:quality'), feedbackController.getFeedbackQuality);
+
+// Stream the full filtered feedback list as CSV or XLSX (?format=csv|xlsx)
+router.get('/feedback/export', requirePermission(TELEMETRY_READ), auditLog, resolveRegionFilter, exportEntity('feedback'));
 
 // Route for getting feedback by QID
-router.get('/feedback/id/:id', feedbackController.getFeedbackByid);
+router.get('/feedback/id/:id', requirePermission(TELEMETRY_READ), resolveRegionFilter, feedbackController.getFeedbackByid);
 
 // Route for getting feedback by session ID
-router.get('/feedback/session/:sessionId', feedbackController.getFeedbackBySessionId);
+router.get('/feedback/session/:sessionId', requirePermission(TELEMETRY_READ, PII_READ), auditLog, resolveRegionFilter, feedbackController.getFeedbackBySessionId);
 
 // Route for getting total feedback count
-router.get('/feedback/count', feedbackController.getTotalFeedbackCount);
+router.get('/feedback/count', requirePermission(TELEMETRY_READ), feedbackController.getTotalFeedbackCount);
 
 // Route for fetching feedback from DB
-router.get('/feedback/fetch', feedbackController.fetchAllFeedbackFromDB);
+router.get('/feedback/fetch', requirePermission(TELEMETRY_READ), feedbackController.fetchAllFeedbackFromDB);
 
 // Route for formatting feedback data
-router.get('/feedback/format', feedbackController.formatFeedbackData);
+router.get('/feedback/format', requirePermission(TELEMETRY_READ), feedbackController.formatFeedbackData);
 
 module.exports = router;    
\ No newline at end of file
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const leaderboardController = require("../controllers/leaderboard.controller");
+const { PERMISSIONS, requirePermission } = require("../lib/rbac");
+
+const { LEADERBOARD_ADMIN } = PERMISSIONS;
 
 // Route for getting top 10 users by state, taluka, and district
 router.get("/top10/state", leaderboardController.getTop10ByState);
@@ -10,12 +13,12 @@ router.get("/top10/taluka", leaderboardController.getTop10ByTaluka);
 // Route for getting top 10 users by lgd_code for the month
 router.get("/top10/month", leaderboardController.getTop10Month);
 
-// Route for getting users by taluka, district and village
-router.get("/district", leaderboardController.getUsersByDistrict);
-router.get("/taluka", leaderboardController.getUsersByTaluka);
-router.get("/village", leaderboardController.getUsersByVillage);
+// Route for getting users by taluka, district and village (admin only)
+router.get("/district", requirePermission(LEADERBOARD_ADMIN), leaderboardController.getUsersByDistrict);
+router.get("/taluka", requirePermission(LEADERBOARD_ADMIN), leaderboardController.getUsersByTaluka);
+router.get("/village", requirePermission(LEADERBOARD_ADMIN), leaderboardController.getUsersByVillage);
 
-// Route for getting active farmers by taluka within a date range
-router.get("/reports/active-farmers", leaderboardController.getActiveFarmersByTaluka);
+// Route for getting active farmers by taluka within a date range (admin only)
+router.get("/reports/active-farmers", requirePermission(LEADERBOARD_ADMIN), leaderboardController.getActiveFarmersByTaluka);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { getTimeseries } = require('../controllers/metrics.controller');
+const { resolveRegionFilter } = require('../middleware/villageMiddleware');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { cacheResponse } = require('../services/cache');
+
+const { TELEMETRY_READ } = PERMISSIONS;
+
+const router = express.Router();
+
+// Aligned, zero-filled series of several metrics, optionally split by channel or district
+router.get('/metrics/timeseries', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('metrics:timeseries'), getTimeseries);
+
+module.exports = router;
@@ -10,34 +10,44 @@ const {
     fetchQuestionsFromDB,
     formatQuestionData
 } = require('../controllers/questions.controller');
+const { resolveRegionFilter } = require('../middleware/villageMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { exportEntity } = require('../controllers/export.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { cacheResponse } = require('../services/cache');
+
+const { TELEMETRY_READ, PII_READ } = PERMISSIONS;
 
 const router = express.Router();
 
 // Get all questions with pagination and search
-router.get('/questions', getQuestions);
+router.get('/questions', requirePermission(TELEMETRY_READ), resolveRegionFilter, getQuestions);
 
 // Get comprehensive question statistics
-router.get('/questions/stats', getQuestionStats);
+router.get('/questions/stats', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('questions:stats'), getQuestionStats);
 
 // Get questions graph data for time-series visualization
-router.get('/questions/graph', getQuestionsGraph);
+router.get('/questions/graph', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('questions:graph'), getQuestionsGraph);
+
+// Stream the full filtered questions list as CSV or XLSX (?format=csv|xlsx)
+router.get('/questions/export', requirePermission(TELEMETRY_READ), auditLog, resolveRegionFilter, exportEntity('questions'));
 
 // Get single question by ID
-router.get('/questions/:id', getQuestionById);
+router.get('/questions/:id', requirePermission(TELEMETRY_READ), resolveRegionFilter, getQuestionById);
 
 // Get questions by user ID with pagination
-router.get('/users/:userId/questions', getQuestionsByUserId);
+router.get('/users/:userId/questions', requirePermission(TELEMETRY_READ, PII_READ), auditLog, resolveRegionFilter, getQuestionsByUserId);
 
 // Get questions by session ID
-router.get('/questions/session/:sessionId', getQuestionsBySessionId);
+router.get('/questions/session/:sessionId', requirePermission(TELEMETRY_READ, PII_READ), auditLog, resolveRegionFilter, getQuestionsBySessionId);
 
 // Get total questions count
-router.get('/questions/count', getTotalQuestionsCount);
+router.get('/questions/count', requirePermission(TELEMETRY_READ), getTotalQuestionsCount);
 
 // Fetch questions from DB
-router.get('/questions/fetch', fetchQuestionsFromDB);
+router.get('/questions/fetch', requirePermission(TELEMETRY_READ), fetchQuestionsFromDB);
 
 // Format question data
-router.get('/questions/format', formatQuestionData);
+router.get('/questions/format', requirePermission(TELEMETRY_READ), formatQuestionData);
 
 module.exports = router;
\ No newline at end of file
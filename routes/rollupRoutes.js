@@ -0,0 +1,12 @@
+const express = require('express');
+const { recomputeRollupRange } = require('../controllers/rollup.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+
+const { ROLLUP_ADMIN } = PERMISSIONS;
+
+const router = express.Router();
+
+// Recompute daily rollups for a range of rollup-timezone days (backfill / late telemetry)
+router.post('/rollups/recompute', requirePermission(ROLLUP_ADMIN), recomputeRollupRange);
+
+module.exports = router;
@@ -5,35 +5,49 @@ const {
     getSessionsByUserId,
     getSessionStats,
     getSessionsGraph,
+    getSessionFunnel,
     getTotalSessionsCount,
     fetchSessionsFromDB,
     formatSessionData
 } = require('../controllers/sessions.controller');
+const { resolveRegionFilter } = require('../middleware/villageMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { exportEntity } = require('../controllers/export.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { cacheResponse } = require('../services/cache');
+
+const { TELEMETRY_READ, PII_READ } = PERMISSIONS;
 
 const router = express.Router();
 
 // Get all sessions with pagination and search
-router.get('/sessions', getSessions);
+router.get('/sessions', requirePermission(TELEMETRY_READ), resolveRegionFilter, getSessions);
 
 // Get comprehensive session statistics
-router.get('/sessions/stats', getSessionStats);
+router.get('/sessions/stats', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('sessions:stats'), getSessionStats);
 
 // Get sessions graph data for time-series visualization
-router.get('/sessions/graph', getSessionsGraph);
+router.get('/sessions/graph', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('sessions:graph'), getSessionsGraph);
+
+// Get session counts and conversion rates for an ordered list of funnel steps
+router.get('/sessions/funnel', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('sessions:funnel'), getSessionFunnel);
+
+// Stream the full filtered sessions list as CSV or XLSX (?format=csv|xlsx)
+router.get('/sessions/export', requirePermission(TELEMETRY_READ), auditLog, resolveRegionFilter, exportEntity('sessions'));
 
 // Get single session details by session ID
-router.get('/sessions/:sessionId', getSessionById);
+router.get('/sessions/:sessionId', requirePermission(TELEMETRY_READ, PII_READ), auditLog, resolveRegionFilter, getSessionById);
 
 // Get sessions by user ID with pagination
-router.get('/users/:userId/sessions', getSessionsByUserId);
+router.get('/users/:userId/sessions', requirePermission(TELEMETRY_READ, PII_READ), auditLog, resolveRegionFilter, getSessionsByUserId);
 
 // Get total sessions count
-router.get('/sessions/count', getTotalSessionsCount);
+router.get('/sessions/count', requirePermission(TELEMETRY_READ), getTotalSessionsCount);
 
 // Fetch sessions from DB
-router.get('/sessions/fetch', fetchSessionsFromDB);
+router.get('/sessions/fetch', requirePermission(TELEMETRY_READ), fetchSessionsFromDB);
 
 // Format session data
-router.get('/sessions/format', formatSessionData);
+router.get('/sessions/format', requirePermission(TELEMETRY_READ), formatSessionData);
 
 module.exports = router;
\ No newline at end of file
@@ -6,30 +6,44 @@ const {
     getTotalUsersCountHandler,
     fetchUsersFromDBHandler,
     formatUserDataHandler,
-    getUserGraph
+    getUserGraph,
+    getUserCohorts
 } = require('../controllers/user.controller');
+const { resolveRegionFilter } = require('../middleware/villageMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { exportEntity } = require('../controllers/export.controller');
+const { PERMISSIONS, requirePermission } = require('../lib/rbac');
+const { cacheResponse } = require('../services/cache');
+
+const { TELEMETRY_READ, PII_READ } = PERMISSIONS;
 
 const router = express.Router();
 
 // Get all users with pagination and search
-router.get('/users', getUsers);
+router.get('/users', requirePermission(TELEMETRY_READ), resolveRegionFilter, getUsers);
 
 // Get user statistics and activity summary
-router.get('/users/stats', getUserStats);
+router.get('/users/stats', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('users:stats'), getUserStats);
+
+// Stream the full filtered users list as CSV or XLSX (?format=csv|xlsx)
+router.get('/users/export', requirePermission(TELEMETRY_READ), auditLog, resolveRegionFilter, exportEntity('users'));
+
+// Weekly/monthly acquisition cohorts with retention per following period
+router.get('/users/cohorts', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('users:cohorts'), getUserCohorts);
 
 // Get single user details by username
-router.get('/users/name/:username', getUserByUsername);
+router.get('/users/name/:username', requirePermission(TELEMETRY_READ, PII_READ), auditLog, resolveRegionFilter, getUserByUsername);
 
 // Get total users count
-router.get('/users/count', getTotalUsersCountHandler);
+router.get('/users/count', requirePermission(TELEMETRY_READ), resolveRegionFilter, getTotalUsersCountHandler);
 
 // Fetch users from DB
-router.get('/users/fetch', fetchUsersFromDBHandler);
+router.get('/users/fetch', requirePermission(TELEMETRY_READ), resolveRegionFilter, fetchUsersFromDBHandler);
 
 // Format user data
-router.get('/users/format', formatUserDataHandler);
+router.get('/users/format', requirePermission(TELEMETRY_READ), formatUserDataHandler);
 
 // Get user graph
-router.get('/userss/graph-user', getUserGraph);
+router.get('/userss/graph-user', requirePermission(TELEMETRY_READ), resolveRegionFilter, cacheResponse('users:graph'), getUserGraph);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Recomputes daily rollups for a range of days in the rollup timezone (DEFAULT_TIMEZONE).
+ *
+ *   node scripts/rollup.js --from 2024-01-01 --to 2024-01-31
+ *
+ * Safe to re-run; exits with code 2 when another rollup run holds the lock.
+ */
+require("dotenv").config();
+const { parseArgs } = require("util");
+const pool = require("../services/db");
+const { runMigrations } = require("../services/migrate");
+const { validateRollupRange, recomputeRollups } = require("../services/rollupService");
+
+const USAGE = "Usage: node scripts/rollup.js --from YYYY-MM-DD --to YYYY-MM-DD";
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+      },
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 1;
+  }
+
+  const range = validateRollupRange(values.from, values.to);
+  if (range.error) {
+    console.error(`${range.error}\n${USAGE}`);
+    return 1;
+  }
+
+  await runMigrations();
+
+  console.log(`Recomputing rollups for ${range.from}..${range.to} (${range.days} days)`);
+  const outcome = await recomputeRollups(range.from, range.to, (result) => {
+    console.log(
+      `${result.day}: village rows ${result.villageRowsDeleted} -> ${result.villageRows}, ` +
+        `user rows ${result.userRowsDeleted} -> ${result.userRows}, ` +
+        `session rows ${result.sessionRowsDeleted} -> ${result.sessionRows}`
+    );
+  });
+
+  if (!outcome.locked) {
+    console.error("Another rollup run holds the lock; try again later");
+    return 2;
+  }
+
+  const { totals } = outcome;
+  console.log(
+    `Done: ${outcome.days.length} days, village rows ${totals.villageRowsDeleted} -> ${totals.villageRows}, ` +
+      `user rows ${totals.userRowsDeleted} -> ${totals.userRows}, ` +
+      `session rows ${totals.sessionRowsDeleted} -> ${totals.sessionRows}`
+  );
+  return 0;
+}
+
+main()
+  .catch((err) => {
+    console.error("Rollup recompute failed:", err);
+    return 1;
+  })
+  .then(async (code) => {
+    await pool.end();
+    process.exit(code);
+  });
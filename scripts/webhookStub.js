@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Local webhook receiver for trying out alert rules without Slack.
+ *
+ *   node scripts/webhookStub.js --port 4010 [--status 500]
+ *
+ * Logs every request body and answers with --status (default 200). Point a
+ * rule's webhook at http://localhost:4010/<anything>, with the service started
+ * with ALERT_WEBHOOK_ALLOWED_HOSTS=localhost. Received requests are
+ * listed at GET /requests and cleared by DELETE /requests. Tests can also
+ * require this file and call startWebhookStub() for an in-process receiver.
+ */
+const http = require("http");
+const { parseArgs } = require("util");
+
+/**
+ * Starts a webhook receiver.
+ * @param {{ port?: number, status?: number, log?: boolean }} [options] - port 0 picks a free port
+ * @returns {Promise<{ url: string, requests: Object[], close: () => Promise<void> }>}
+ */
+function startWebhookStub({ port = 0, status = 200, log = false } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.url === "/requests" && req.method === "GET") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify(requests));
+    }
+    if (req.url === "/requests" && req.method === "DELETE") {
+      requests.length = 0;
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      let body = raw;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        // keep the raw text
+      }
+      const received = { method: req.method, path: req.url, headers: req.headers, body, receivedAt: new Date().toISOString() };
+      requests.push(received);
+      if (log) {
+        console.log(`${received.receivedAt} ${req.method} ${req.url}\n${JSON.stringify(body, null, 2)}`);
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: status < 400 }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: process.env.WEBHOOK_STUB_PORT || "4010" },
+      status: { type: "string", default: "200" },
+    },
+  });
+  startWebhookStub({ port: parseInt(values.port, 10), status: parseInt(values.status, 10), log: true })
+    .then((stub) => console.log(`Webhook stub listening on ${stub.url}`))
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startWebhookStub };
@@ -0,0 +1,180 @@
+const pool = require("./db");
+const { METRIC_SOURCES, buildSourceFrom } = require("../utils/metricSources");
+const { getVillagesByRegionUtil } = require("../middleware/villageMiddleware");
+const { createQueryBuilder, normalizeFilters, andClause } = require("../utils/queryBuilder");
+
+/**
+ * Metric measurement of threshold alert rules.
+ *
+ * Counts come from the same sources and expressions as /v1/metrics/timeseries
+ * (METRIC_SOURCES), plus rates derived from them. A rule's window is the last
+ * windowMinutes; its baseline is the average over the whole windows of the
+ * same length that fit in the baselineHours before it, so "questions in the
+ * last 24h" is compared with the average day of the previous week. Rates are
+ * computed from the summed counts of those windows instead of averaged.
+ */
+
+// Rates: numerator and denominator metrics, as percentages
+const RATE_METRICS = {
+  dislikeRate: { label: "Dislike rate (%)", numerator: "dislikes", denominators: ["likes", "dislikes"] },
+  likeRate: { label: "Like rate (%)", numerator: "likes", denominators: ["likes", "dislikes"] },
+};
+
+const COUNT_METRIC_LABELS = {
+  questions: "Questions",
+  sessions: "Sessions",
+  activeUsers: "Active users",
+  newUsers: "New users",
+  likes: "Likes",
+  dislikes: "Dislikes",
+  errors: "Errors",
+};
+
+const THRESHOLD_METRICS = { ...COUNT_METRIC_LABELS };
+for (const [name, rate] of Object.entries(RATE_METRICS)) {
+  THRESHOLD_METRICS[name] = rate.label;
+}
+
+/**
+ * Count metrics a threshold metric is computed from.
+ * @param {string} metric - Key of THRESHOLD_METRICS
+ * @returns {string[]}
+ */
+function baseMetricsOf(metric) {
+  return RATE_METRICS[metric]
+    ? [...new Set([RATE_METRICS[metric].numerator, ...RATE_METRICS[metric].denominators])]
+    : [metric];
+}
+
+/**
+ * Resolves a rule's region to village codes.
+ * @param {Object|null} region - { district_code, taluka_code, village_code }
+ * @returns {{ error: string }|{ villageCodes: string[]|null }}
+ */
+function resolveRuleRegion(region) {
+  if (!region) {
+    return { villageCodes: null };
+  }
+  const result = getVillagesByRegionUtil(region);
+  if (!result.success) {
+    return { error: result.message };
+  }
+  return { villageCodes: result.data ? result.data.village_codes : null };
+}
+
+/**
+ * Sums the count metrics of one source per window-length bucket:
+ * bucket 0 is the rule's window, -1 the window before it, and so on.
+ */
+async function fetchBucketCounts(sourceName, metrics, { villageCodes, windowStart, windowMs, fromTimestamp, toTimestamp }) {
+  const source = METRIC_SOURCES[sourceName];
+  const qb = createQueryBuilder();
+  const bucket = `FLOOR((EXTRACT(EPOCH FROM ${source.time}) * 1000 - ${qb.param(windowStart)}) / ${qb.param(windowMs)})`;
+  const { from, conditions } = buildSourceFrom(
+    qb,
+    source,
+    { ...normalizeFilters({ villageCodes }), startTimestamp: fromTimestamp, endTimestamp: toTimestamp }
+  );
+  const columns = metrics.map((name) => `${source.metrics[name]} AS "${name}"`).join(", ");
+
+  const { rows } = await pool.query(
+    `
+      SELECT ${bucket} AS bucket, ${columns}
+      FROM ${from}
+      WHERE ${source.where}${andClause(conditions)}
+      GROUP BY 1
+    `,
+    qb.params
+  );
+  return rows;
+}
+
+/**
+ * Measures a threshold rule.
+ * @param {Object} rule - Formatted threshold rule
+ * @param {number} [now] - Window end, unix millis
+ * @returns {Promise<Object>} currentValue, baselineValue, thresholdValue, sampleSize, breached, window bounds
+ */
+async function measureThresholdRule(rule, now = Date.now()) {
+  const region = resolveRuleRegion(rule.region);
+  if (region.error) {
+    throw new Error(`Rule ${rule.id} region: ${region.error}`);
+  }
+
+  const windowMs = rule.windowMinutes * 60 * 1000;
+  const windowStart = now - windowMs;
+  const baselineWindows = rule.thresholdMode === "baseline"
+    ? Math.floor((rule.baselineHours * 60 * 60 * 1000) / windowMs)
+    : 0;
+  const options = {
+    villageCodes: region.villageCodes,
+    windowStart,
+    windowMs,
+    fromTimestamp: windowStart - baselineWindows * windowMs,
+    toTimestamp: now - 1,
+  };
+
+  // bucket -> metric -> count
+  const counts = new Map();
+  const metrics = baseMetricsOf(rule.metric);
+  await Promise.all(
+    Object.entries(METRIC_SOURCES)
+      .map(([sourceName, source]) => [sourceName, metrics.filter((name) => source.metrics[name])])
+      .filter(([, names]) => names.length > 0)
+      .map(async ([sourceName, names]) => {
+        for (const row of await fetchBucketCounts(sourceName, names, options)) {
+          const key = Number(row.bucket);
+          if (!counts.has(key)) {
+            counts.set(key, {});
+          }
+          for (const name of names) {
+            counts.get(key)[name] = parseInt(row[name]) || 0;
+          }
+        }
+      })
+  );
+
+  const sum = (name, buckets) => buckets.reduce((total, key) => total + ((counts.get(key) || {})[name] || 0), 0);
+  const baselineBuckets = Array.from({ length: baselineWindows }, (_, index) => -(index + 1));
+  const valueOf = (buckets) => {
+    const rate = RATE_METRICS[rule.metric];
+    if (rate) {
+      const denominator = rate.denominators.reduce((total, name) => total + sum(name, buckets), 0);
+      return {
+        value: denominator > 0 ? (sum(rate.numerator, buckets) / denominator) * 100 : null,
+        samples: denominator,
+      };
+    }
+    return { value: buckets.length > 0 ? sum(rule.metric, buckets) / buckets.length : null, samples: sum(rule.metric, buckets) };
+  };
+
+  const current = valueOf([0]);
+  const baseline = baselineWindows > 0 ? valueOf(baselineBuckets).value : null;
+  const thresholdValue = rule.thresholdMode === "baseline"
+    ? (baseline === null ? null : baseline * rule.threshold)
+    : rule.threshold;
+
+  const breached =
+    current.value !== null &&
+    thresholdValue !== null &&
+    current.samples >= rule.minSamples &&
+    (rule.operator === "above" ? current.value > thresholdValue : current.value < thresholdValue);
+
+  return {
+    currentValue: current.value,
+    baselineValue: baseline,
+    thresholdValue,
+    sampleSize: current.samples,
+    baselineWindows,
+    breached,
+    windowStart,
+    windowEnd: now,
+  };
+}
+
+module.exports = {
+  THRESHOLD_METRICS,
+  RATE_METRICS,
+  resolveRuleRegion,
+  measureThresholdRule,
+};
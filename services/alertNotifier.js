@@ -0,0 +1,322 @@
+const dns = require("dns").promises;
+const net = require("net");
+const nodemailer = require("nodemailer");
+const { Agent, fetch } = require("undici");
+
+/**
+ * Delivery of alert state changes to webhooks and email.
+ *
+ * "slack" webhooks receive a Slack incoming-webhook message ({ text }),
+ * "generic" webhooks the alert itself as JSON. Emails go through the SMTP
+ * server in SMTP_HOST; without one they are logged instead of sent, and any
+ * local SMTP catcher (Mailpit, MailHog: SMTP_HOST=localhost, SMTP_PORT=1025)
+ * shows them as delivered. Deliveries time out and never throw: each returns
+ * an outcome that is stored with the alert. Outcomes name the webhook host
+ * and the number of email recipients only, since webhook URLs (Slack's in
+ * particular) embed their credentials.
+ *
+ * Webhooks are requested by the server, so they must not reach the internal
+ * network: hosts that are or resolve to loopback, private, link-local or
+ * other non-public addresses are refused, and redirects are not followed.
+ * The addresses are checked in the lookup of the connection itself, so a
+ * host cannot pass a check and then resolve elsewhere for the request.
+ * ALERT_WEBHOOK_ALLOWED_HOSTS (comma-separated, "*.example.com" for
+ * subdomains) restricts webhooks to the listed hosts instead; listed hosts
+ * are trusted even when internal, e.g. localhost for npm run webhook-stub.
+ */
+
+const WEBHOOK_FORMATS = ["slack", "generic"];
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || "5000", 10);
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS || "10000", 10);
+const EMAIL_FROM = process.env.ALERT_EMAIL_FROM || "telemetry-alerts@localhost";
+
+const WEBHOOK_ALLOWED_HOSTS = (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, shared, link-local (incl. cloud metadata), multicast and reserved ranges;
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+let mailTransport = null;
+
+function formatNumber(value) {
+  return value === null || value === undefined ? "n/a" : String(Math.round(value * 100) / 100);
+}
+
+function describeRegion(region) {
+  const parts = Object.entries(region || {})
+    .filter(([, code]) => code)
+    .map(([level, code]) => `${level.replace(/_code$/, "")} ${code}`);
+  return parts.length > 0 ? ` (${parts.join(", ")})` : "";
+}
+
+function describeThreshold(alert) {
+  if (alert.thresholdMode === "baseline") {
+    return `${formatNumber(alert.thresholdValue)} (${formatNumber(alert.threshold)}x the baseline average ` +
+      `${formatNumber(alert.baselineValue)})`;
+  }
+  return formatNumber(alert.thresholdValue);
+}
+
+/**
+ * One-line human readable description of an alert.
+ * @param {Object} alert
+ * @returns {string}
+ */
+function buildAlertMessage(alert) {
+  const prefix = `${alert.test ? "[TEST] " : ""}${alert.state === "resolved" ? "Resolved: " : ""}`;
+  const window = `in the last ${alert.windowMinutes} minutes`;
+
+  if (alert.type === "threshold") {
+    const label = alert.metricLabel.toLowerCase();
+    const condition = alert.state === "resolved"
+      ? `no longer ${alert.operator} ${describeThreshold(alert)}`
+      : `${alert.operator} ${describeThreshold(alert)}`;
+    return `${prefix}Alert "${alert.ruleName}": ${label} ${formatNumber(alert.currentValue)} is ${condition}` +
+      `${describeRegion(alert.region)} ${window}, ${alert.sampleSize} samples`;
+  }
+
+  const ratio = alert.ratio === null ? "no baseline" : `${formatNumber(alert.ratio)}x baseline`;
+  return `${prefix}Error spike "${alert.ruleName}": ${alert.metricLabel.toLowerCase()} ` +
+    `${formatNumber(alert.currentValue)} vs ${formatNumber(alert.baselineValue)} (${ratio}), ` +
+    `${alert.currentErrors} errors ${window}`;
+}
+
+/**
+ * @param {string} format - One of WEBHOOK_FORMATS
+ * @param {Object} alert
+ * @returns {Object} Request body
+ */
+function formatWebhookPayload(format, alert) {
+  const message = buildAlertMessage(alert);
+  if (format === "slack") {
+    return { text: `${alert.state === "resolved" ? ":white_check_mark:" : ":rotating_light:"} ${message}` };
+  }
+  return { event: alert.type, state: alert.state, message, alert };
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+function isAllowListed(hostname) {
+  return WEBHOOK_ALLOWED_HOSTS.some((allowed) =>
+    allowed.startsWith("*.") ? hostname.endsWith(allowed.slice(1)) : hostname === allowed
+  );
+}
+
+/**
+ * Checks a webhook URL without network access: http(s), and a host that is
+ * allow-listed or, without an allow-list, not an internal name or address.
+ * @param {string} url
+ * @returns {string|null} Why the URL is refused, null when it is acceptable
+ */
+function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "Each webhook needs an http(s) url";
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return "Each webhook needs an http(s) url";
+  }
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0) {
+    return isAllowListed(hostname) ? null : `Webhook host ${hostname} is not in ALERT_WEBHOOK_ALLOWED_HOSTS`;
+  }
+  if (net.isIP(hostname) ? !isPublicAddress(hostname) : hostname === "localhost" || hostname.endsWith(".localhost") || !hostname.includes(".")) {
+    return `Webhook host ${hostname} is not a public address`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup for webhook connections that fails when the host resolves to any
+ * non-public address, so the socket connects to an address that was checked.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true })
+    .then((addresses) => {
+      if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        const error = new Error(`Webhook host ${hostname} resolves to a non-public address`);
+        error.code = "ENONPUBLIC";
+        throw error;
+      }
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    })
+    .catch((error) => callback(error));
+}
+
+// Allow-listed hosts are trusted as they are; otherwise every connection goes through the check
+const webhookDispatcher = new Agent(
+  WEBHOOK_ALLOWED_HOSTS.length > 0 ? {} : { connect: { lookup: lookupPublicAddress } }
+);
+
+function webhookHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Posts an alert to one webhook.
+ * @param {{ url: string, format: string }} webhook
+ * @param {Object} alert
+ * @returns {Promise<{ channel: "webhook", host: string|null, format: string, ok: boolean, status: number|null, error: string|null }>}
+ */
+async function deliverWebhook(webhook, alert) {
+  const outcome = {
+    channel: "webhook",
+    host: webhookHost(webhook.url),
+    format: webhook.format,
+    ok: false,
+    status: null,
+    error: null,
+  };
+  try {
+    const refused = checkWebhookUrl(webhook.url);
+    if (refused) {
+      outcome.error = refused;
+      return outcome;
+    }
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(formatWebhookPayload(webhook.format, alert)),
+      redirect: "manual",
+      dispatcher: webhookDispatcher,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    outcome.status = response.status;
+    outcome.ok = response.ok;
+    if (!response.ok) {
+      outcome.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    // fetch reports connection failures, including refused addresses, as the cause of "fetch failed"
+    outcome.error = error.name === "TimeoutError"
+      ? `Timed out after ${WEBHOOK_TIMEOUT_MS} ms`
+      : (error.cause && error.cause.message) || error.message;
+  }
+  return outcome;
+}
+
+/**
+ * Posts an alert to every webhook in parallel.
+ * @param {Object[]} webhooks
+ * @param {Object} alert
+ * @returns {Promise<Object[]>} One outcome per webhook, in order
+ */
+function notifyWebhooks(webhooks, alert) {
+  return Promise.all((webhooks || []).map((webhook) => deliverWebhook(webhook, alert)));
+}
+
+/**
+ * SMTP transport from SMTP_*, or a JSON transport that only renders the
+ * message when SMTP_HOST is not set.
+ */
+function getMailTransport() {
+  if (!mailTransport) {
+    mailTransport = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || "587", 10),
+          secure: process.env.SMTP_SECURE === "true",
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined,
+          connectionTimeout: SMTP_TIMEOUT_MS,
+          greetingTimeout: SMTP_TIMEOUT_MS,
+          socketTimeout: SMTP_TIMEOUT_MS,
+        })
+      : nodemailer.createTransport({ jsonTransport: true });
+  }
+  return mailTransport;
+}
+
+/**
+ * Replaces the mail transport, e.g. with a nodemailer stream or JSON transport in scripts.
+ * @param {Object|null} transport - null rebuilds it from the environment on next use
+ */
+function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
+/**
+ * Emails an alert to all recipients in one message.
+ * @param {string[]} emails
+ * @param {Object} alert
+ * @returns {Promise<{ channel: "email", recipients: number, ok: boolean, sent: boolean, error: string|null }>}
+ *   sent is false when the message was only logged because no SMTP server is configured
+ */
+async function sendAlertEmail(emails, alert) {
+  const outcome = { channel: "email", recipients: emails.length, ok: false, sent: false, error: null };
+  const message = buildAlertMessage(alert);
+  try {
+    const transport = getMailTransport();
+    const info = await transport.sendMail({
+      from: EMAIL_FROM,
+      to: emails,
+      subject: `[Telemetry alert] ${alert.test ? "[TEST] " : ""}${alert.state === "resolved" ? "Resolved" : "Firing"}: ${alert.ruleName}`,
+      text: `${message}\n\n${JSON.stringify(alert, null, 2)}\n`,
+    });
+    outcome.ok = true;
+    outcome.sent = !(transport.options && transport.options.jsonTransport);
+    if (!outcome.sent) {
+      console.log(`[alerts] SMTP_HOST not set; email not sent: ${info.message}`);
+    }
+  } catch (error) {
+    outcome.error = error.message;
+  }
+  return outcome;
+}
+
+/**
+ * Delivers an alert to every webhook and, in one message, to every email recipient of its rule.
+ * @param {{ webhooks: Object[], emails: string[] }} rule
+ * @param {Object} alert
+ * @returns {Promise<Object[]>} One outcome per webhook, in order, then the email outcome
+ */
+function notifyAlert(rule, alert) {
+  const deliveries = (rule.webhooks || []).map((webhook) => deliverWebhook(webhook, alert));
+  if (rule.emails && rule.emails.length > 0) {
+    deliveries.push(sendAlertEmail(rule.emails, alert));
+  }
+  return Promise.all(deliveries);
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  checkWebhookUrl,
+  buildAlertMessage,
+  formatWebhookPayload,
+  deliverWebhook,
+  notifyWebhooks,
+  setMailTransport,
+  sendAlertEmail,
+  notifyAlert,
+};
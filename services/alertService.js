@@ -0,0 +1,642 @@
+const cron = require("node-cron");
+const pool = require("./db");
+const { WEBHOOK_FORMATS, checkWebhookUrl, notifyAlert } = require("./alertNotifier");
+const { THRESHOLD_METRICS, resolveRuleRegion, measureThresholdRule } = require("./alertMetrics");
+
+/**
+ * Alert rules and their evaluation.
+ *
+ * "error_spike" rules compare an error rate over their recent window with the
+ * same rate over the baseline period right before the window. They breach
+ * when the window has at least min_errors errors and its rate is
+ * threshold_factor times the baseline or more (any rate when the baseline is
+ * 0).
+ *
+ * "threshold" rules compare a dashboard metric over their window, optionally
+ * for one region, with a fixed threshold or with a multiple of its baseline
+ * average (services/alertMetrics.js). They only breach when the window has at
+ * least min_samples samples (the rate's denominator, or the count itself).
+ *
+ * A rule is "ok" or "firing". It starts firing when it breaches, unless it
+ * fired less than cooldown_minutes ago, and resolves at the first evaluation
+ * that does not breach. Both transitions are recorded in alert_events and
+ * delivered to the rule's webhooks and emails. Transitions are claimed with
+ * conditional UPDATEs, so several instances running the same node-cron
+ * schedule record and deliver each of them once.
+ */
+
+const ALERT_TYPES = ["error_spike", "threshold"];
+const ALERT_METRICS = {
+  errors_per_session: "Errors per session",
+  errors_per_hour: "Errors per hour",
+};
+const THRESHOLD_OPERATORS = ["above", "below"];
+const THRESHOLD_MODES = ["absolute", "baseline"];
+const REGION_FIELDS = ["district_code", "taluka_code", "village_code"];
+const ALERT_CRON = process.env.ALERT_CRON || "0 */5 * * * *";
+const MAX_WEBHOOKS = 10;
+const MAX_EMAILS = 20;
+const MAX_NAME_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// API field -> column, with the limits applied by validateAlertRule; fields with
+// a type only apply to (and are only stored for) rules of that type
+const RULE_FIELDS = {
+  windowMinutes: { column: "window_minutes", min: 5, max: 1440, default: 60, integer: true },
+  baselineHours: { column: "baseline_hours", min: 1, max: 2160, default: 168, integer: true },
+  thresholdFactor: { column: "threshold_factor", type: "error_spike", min: 1.1, max: 100, default: 3, integer: false },
+  minErrors: { column: "min_errors", type: "error_spike", min: 1, max: 1000000, default: 10, integer: true },
+  minSamples: { column: "min_samples", type: "threshold", min: 0, max: 1000000, default: 0, integer: true },
+  cooldownMinutes: { column: "cooldown_minutes", min: 0, max: 10080, default: 60, integer: true },
+};
+
+const COLUMNS = {
+  ...Object.fromEntries(Object.entries(RULE_FIELDS).map(([field, spec]) => [field, spec.column])),
+  name: "name",
+  type: "type",
+  metric: "metric",
+  operator: "operator",
+  threshold: "threshold",
+  thresholdMode: "threshold_mode",
+  region: "region",
+  webhooks: "webhooks",
+  emails: "emails",
+  enabled: "enabled",
+};
+const JSON_FIELDS = ["region", "webhooks", "emails"];
+
+let task = null;
+let running = false;
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Maps an alert_rules row to the API representation.
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatAlertRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    metric: row.metric,
+    windowMinutes: row.window_minutes,
+    baselineHours: row.baseline_hours,
+    thresholdFactor: row.threshold_factor === null ? null : Number(row.threshold_factor),
+    minErrors: row.min_errors,
+    operator: row.operator,
+    threshold: row.threshold === null ? null : Number(row.threshold),
+    thresholdMode: row.threshold_mode,
+    minSamples: row.min_samples,
+    region: row.region,
+    cooldownMinutes: row.cooldown_minutes,
+    webhooks: row.webhooks || [],
+    emails: row.emails || [],
+    enabled: row.enabled,
+    state: row.state,
+    stateChangedAt: toIso(row.state_changed_at),
+    lastEvaluatedAt: toIso(row.last_evaluated_at),
+    lastFiredAt: toIso(row.last_fired_at),
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at),
+  };
+}
+
+/**
+ * Maps an alert_events row to the API representation.
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatAlertEvent(row) {
+  return {
+    id: Number(row.id),
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    ruleType: row.rule_type,
+    state: row.state,
+    metric: row.metric,
+    currentValue: row.current_value === null ? null : Number(row.current_value),
+    baselineValue: row.baseline_value === null ? null : Number(row.baseline_value),
+    thresholdValue: row.threshold_value === null ? null : Number(row.threshold_value),
+    currentErrors: row.current_errors,
+    sampleSize: row.sample_size,
+    windowStart: toIso(row.window_start),
+    windowEnd: toIso(row.window_end),
+    deliveries: row.deliveries || [],
+    createdAt: toIso(row.created_at),
+  };
+}
+
+function validateWebhooks(webhooks) {
+  if (!Array.isArray(webhooks) || webhooks.length > MAX_WEBHOOKS) {
+    return { error: `webhooks must be an array of at most ${MAX_WEBHOOKS} entries` };
+  }
+  const valid = [];
+  for (const webhook of webhooks) {
+    const url = webhook && typeof webhook.url === "string" ? webhook.url.trim() : "";
+    const refused = checkWebhookUrl(url);
+    if (refused) {
+      return { error: refused };
+    }
+    const format = webhook.format || "generic";
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      return { error: `Invalid webhook format. Must be one of: ${WEBHOOK_FORMATS.join(", ")}` };
+    }
+    valid.push({ url, format });
+  }
+  return { webhooks: valid };
+}
+
+function validateEmails(emails) {
+  if (!Array.isArray(emails) || emails.length > MAX_EMAILS) {
+    return { error: `emails must be an array of at most ${MAX_EMAILS} addresses` };
+  }
+  const valid = emails.map((email) => (typeof email === "string" ? email.trim() : ""));
+  if (valid.some((email) => !EMAIL_PATTERN.test(email))) {
+    return { error: "Each email must be a valid address" };
+  }
+  return { emails: [...new Set(valid)] };
+}
+
+function validateRegion(region) {
+  if (region === null) {
+    return { region: null };
+  }
+  if (typeof region !== "object" || Array.isArray(region) || Object.keys(region).some((key) => !REGION_FIELDS.includes(key))) {
+    return { error: `region must be an object with any of: ${REGION_FIELDS.join(", ")}` };
+  }
+  const codes = {};
+  for (const field of REGION_FIELDS) {
+    if (region[field] !== undefined && region[field] !== null && region[field] !== "") {
+      codes[field] = String(region[field]).trim();
+    }
+  }
+  if (Object.keys(codes).length === 0) {
+    return { region: null };
+  }
+  const resolved = resolveRuleRegion(codes);
+  return resolved.error ? { error: `Invalid region: ${resolved.error}` } : { region: codes };
+}
+
+/**
+ * Validates the body of a rule create, or of an update merged onto the current rule.
+ * @param {Object} body - req.body
+ * @param {Object|null} [current] - Formatted rule being updated; missing fields keep its values
+ * @returns {{ error: string }|{ values: Object }} values holds every field, by API name
+ */
+function validateAlertRule(body = {}, current = null) {
+  const values = {};
+  const given = (field) => body[field] !== undefined;
+  const pick = (field, fallback) => (given(field) ? body[field] : current ? current[field] : fallback);
+
+  if (current && !Object.keys(COLUMNS).some(given)) {
+    return { error: "Provide at least one field to update" };
+  }
+
+  const name = pick("name", undefined);
+  values.name = typeof name === "string" ? name.trim() : "";
+  if (!values.name || values.name.length > MAX_NAME_LENGTH) {
+    return { error: `name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  values.type = pick("type", "error_spike");
+  if (!ALERT_TYPES.includes(values.type)) {
+    return { error: `Invalid type. Must be one of: ${ALERT_TYPES.join(", ")}` };
+  }
+  if (current && values.type !== current.type) {
+    return { error: "type cannot be changed; create a new rule instead" };
+  }
+  const threshold = values.type === "threshold";
+
+  const metrics = threshold ? THRESHOLD_METRICS : ALERT_METRICS;
+  values.metric = pick("metric", undefined);
+  if (!metrics[values.metric]) {
+    return { error: `Invalid metric. Must be one of: ${Object.keys(metrics).join(", ")}` };
+  }
+
+  for (const [field, spec] of Object.entries(RULE_FIELDS)) {
+    if (spec.type && spec.type !== values.type) {
+      if (given(field) && body[field] !== null) {
+        return { error: `${field} only applies to ${spec.type} rules` };
+      }
+      values[field] = null;
+      continue;
+    }
+    const value = given(field) ? Number(body[field]) : pick(field, spec.default);
+    if (
+      typeof body[field] === "boolean" ||
+      !Number.isFinite(value) ||
+      (spec.integer && !Number.isInteger(value)) ||
+      value < spec.min ||
+      value > spec.max
+    ) {
+      return { error: `${field} must be ${spec.integer ? "an integer" : "a number"} between ${spec.min} and ${spec.max}` };
+    }
+    values[field] = value;
+  }
+
+  if (threshold) {
+    values.operator = pick("operator", undefined);
+    if (!THRESHOLD_OPERATORS.includes(values.operator)) {
+      return { error: `Invalid operator. Must be one of: ${THRESHOLD_OPERATORS.join(", ")}` };
+    }
+
+    values.thresholdMode = pick("thresholdMode", "absolute");
+    if (!THRESHOLD_MODES.includes(values.thresholdMode)) {
+      return { error: `Invalid thresholdMode. Must be one of: ${THRESHOLD_MODES.join(", ")}` };
+    }
+
+    const thresholdValue = pick("threshold", undefined);
+    values.threshold =
+      typeof thresholdValue === "number" || (typeof thresholdValue === "string" && thresholdValue.trim() !== "")
+        ? Number(thresholdValue)
+        : NaN;
+    if (!Number.isFinite(values.threshold) || values.threshold < 0) {
+      return { error: "threshold is required and must be a non-negative number" };
+    }
+    if (values.thresholdMode === "baseline" && values.baselineHours * 60 < values.windowMinutes) {
+      return { error: "baselineHours must cover at least one window in baseline mode" };
+    }
+
+    const region = validateRegion(pick("region", null));
+    if (region.error) {
+      return region;
+    }
+    values.region = region.region;
+  } else {
+    for (const field of ["operator", "threshold", "thresholdMode", "region"]) {
+      if (given(field) && body[field] !== null) {
+        return { error: `${field} only applies to threshold rules` };
+      }
+      values[field] = null;
+    }
+  }
+
+  const webhooks = validateWebhooks(pick("webhooks", []));
+  if (webhooks.error) {
+    return webhooks;
+  }
+  values.webhooks = webhooks.webhooks;
+
+  const emails = validateEmails(pick("emails", []));
+  if (emails.error) {
+    return emails;
+  }
+  values.emails = emails.emails;
+
+  values.enabled = pick("enabled", true);
+  if (typeof values.enabled !== "boolean") {
+    return { error: "enabled must be a boolean" };
+  }
+
+  return { values };
+}
+
+/**
+ * Maps validated API values to columns and query values.
+ * @param {Object} values - values from validateAlertRule
+ * @returns {Array<[string, *]>}
+ */
+function ruleColumns(values) {
+  return Object.entries(values).map(([field, value]) => [
+    COLUMNS[field],
+    JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value,
+  ]);
+}
+
+async function listAlertRules() {
+  const { rows } = await pool.query("SELECT * FROM alert_rules ORDER BY id");
+  return rows.map(formatAlertRule);
+}
+
+async function getAlertRule(id) {
+  const { rows } = await pool.query("SELECT * FROM alert_rules WHERE id = $1", [id]);
+  return rows[0] ? formatAlertRule(rows[0]) : null;
+}
+
+async function createAlertRule(values, actor) {
+  const columns = ruleColumns(values);
+  const names = [...columns.map(([column]) => column), "created_by", "updated_by"];
+  const params = [...columns.map(([, value]) => value), actor, actor];
+  const { rows } = await pool.query(
+    `INSERT INTO alert_rules (${names.join(", ")})
+     VALUES (${params.map((_, index) => `$${index + 1}`).join(", ")})
+     RETURNING *`,
+    params
+  );
+  return formatAlertRule(rows[0]);
+}
+
+/**
+ * Disabling a rule resets it to "ok" without recording a resolution.
+ * @returns {Promise<Object|null>} Updated rule, null when it does not exist
+ */
+async function updateAlertRule(id, values, actor) {
+  const columns = ruleColumns(values);
+  const params = [id, actor, ...columns.map(([, value]) => value)];
+  const assignments = columns.map(([column], index) => `${column} = $${index + 3}`);
+  if (values.enabled === false) {
+    assignments.push("state = 'ok'", "state_changed_at = CASE WHEN state = 'ok' THEN state_changed_at ELSE now() END");
+  }
+  const { rows } = await pool.query(
+    `UPDATE alert_rules
+     SET ${assignments.join(", ")}, updated_by = $2, updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    params
+  );
+  return rows[0] ? formatAlertRule(rows[0]) : null;
+}
+
+/**
+ * Deletes a rule; the alerts it fired are kept.
+ * @returns {Promise<boolean>} Whether the rule existed
+ */
+async function deleteAlertRule(id) {
+  const { rowCount } = await pool.query("DELETE FROM alert_rules WHERE id = $1", [id]);
+  return rowCount > 0;
+}
+
+/**
+ * Measures an error spike rule's error rate over its window and baseline.
+ * Sessions are the distinct sids with a question or an error in the period.
+ * @param {Object} rule - Formatted error_spike rule
+ * @param {number} [now] - Window end, unix millis
+ * @returns {Promise<Object>}
+ */
+async function measureErrorSpike(rule, now = Date.now()) {
+  const windowStart = now - rule.windowMinutes * 60 * 1000;
+  const baselineStart = windowStart - rule.baselineHours * 60 * 60 * 1000;
+  const perSession = rule.metric === "errors_per_session";
+
+  const { rows } = await pool.query(
+    `
+      WITH activity AS (
+          SELECT created_at::timestamptz AS ts, sid, true AS is_error
+          FROM errordetails
+          WHERE errortext IS NOT NULL
+            AND created_at::timestamptz >= to_timestamp($1 / 1000.0)
+            AND created_at::timestamptz < to_timestamp($3 / 1000.0)
+          ${perSession ? `UNION ALL
+          SELECT to_timestamp(ets / 1000.0), sid, false
+          FROM questions
+          WHERE ets >= $1 AND ets < $3 AND sid IS NOT NULL` : ""}
+      )
+      SELECT
+          COUNT(*) FILTER (WHERE is_error AND ts >= to_timestamp($2 / 1000.0)) AS current_errors,
+          COUNT(DISTINCT sid) FILTER (WHERE ts >= to_timestamp($2 / 1000.0)) AS current_sessions,
+          COUNT(*) FILTER (WHERE is_error AND ts < to_timestamp($2 / 1000.0)) AS baseline_errors,
+          COUNT(DISTINCT sid) FILTER (WHERE ts < to_timestamp($2 / 1000.0)) AS baseline_sessions
+      FROM activity
+    `,
+    [baselineStart, windowStart, now]
+  );
+
+  const row = rows[0] || {};
+  const currentErrors = parseInt(row.current_errors) || 0;
+  const currentSessions = parseInt(row.current_sessions) || 0;
+  const baselineErrors = parseInt(row.baseline_errors) || 0;
+  const baselineSessions = parseInt(row.baseline_sessions) || 0;
+
+  let currentValue;
+  let baselineValue;
+  if (perSession) {
+    currentValue = currentErrors / Math.max(currentSessions, 1);
+    baselineValue = baselineErrors / Math.max(baselineSessions, 1);
+  } else {
+    currentValue = currentErrors / (rule.windowMinutes / 60);
+    baselineValue = baselineErrors / rule.baselineHours;
+  }
+
+  return {
+    currentErrors,
+    currentSessions,
+    baselineErrors,
+    baselineSessions,
+    currentValue,
+    baselineValue,
+    ratio: baselineValue > 0 ? currentValue / baselineValue : null,
+    windowStart,
+    windowEnd: now,
+  };
+}
+
+/**
+ * @param {Object} rule - Formatted error_spike rule
+ * @param {Object} measurement - Output of measureErrorSpike
+ * @returns {boolean}
+ */
+function isSpike(rule, measurement) {
+  if (measurement.currentErrors < rule.minErrors) {
+    return false;
+  }
+  return measurement.baselineValue === 0 || measurement.currentValue >= measurement.baselineValue * rule.thresholdFactor;
+}
+
+/**
+ * Measures a rule of either type.
+ * @param {Object} rule - Formatted rule
+ * @param {number} [now] - Window end, unix millis
+ * @returns {Promise<Object>} The measurement, with breached set
+ */
+async function measureRule(rule, now = Date.now()) {
+  if (rule.type === "threshold") {
+    return measureThresholdRule(rule, now);
+  }
+  const measurement = await measureErrorSpike(rule, now);
+  return { ...measurement, breached: isSpike(rule, measurement) };
+}
+
+/**
+ * Alert payload sent to webhooks and emails.
+ * @param {Object} rule - Formatted rule
+ * @param {Object} measurement - Output of measureRule
+ * @param {Object} [extra] - id, state, test
+ * @returns {Object}
+ */
+function buildAlert(rule, measurement, { id = null, state = "firing", test = false } = {}) {
+  const alert = {
+    id,
+    test,
+    type: rule.type,
+    state,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    metric: rule.metric,
+    metricLabel: rule.type === "threshold" ? THRESHOLD_METRICS[rule.metric] : ALERT_METRICS[rule.metric],
+    currentValue: measurement.currentValue,
+    baselineValue: measurement.baselineValue,
+    windowMinutes: rule.windowMinutes,
+    windowStart: toIso(measurement.windowStart),
+    windowEnd: toIso(measurement.windowEnd),
+  };
+
+  if (rule.type === "threshold") {
+    Object.assign(alert, {
+      operator: rule.operator,
+      threshold: rule.threshold,
+      thresholdMode: rule.thresholdMode,
+      thresholdValue: measurement.thresholdValue,
+      sampleSize: measurement.sampleSize,
+      region: rule.region,
+    });
+  } else {
+    Object.assign(alert, {
+      ratio: measurement.ratio,
+      thresholdFactor: rule.thresholdFactor,
+      currentErrors: measurement.currentErrors,
+      currentSessions: measurement.currentSessions,
+    });
+  }
+
+  alert[state === "resolved" ? "resolvedAt" : "firedAt"] = new Date().toISOString();
+  return alert;
+}
+
+/**
+ * Moves a rule between "ok" and "firing" when its measurement calls for it.
+ * A no-op when another instance already made the transition, or when a
+ * breaching rule fired within its cooldown.
+ * @returns {Promise<string|null>} The new state, null when unchanged
+ */
+async function claimTransition(rule, breached, now) {
+  const { rows } = breached
+    ? await pool.query(
+        `UPDATE alert_rules
+         SET state = 'firing', state_changed_at = to_timestamp($2 / 1000.0), last_fired_at = to_timestamp($2 / 1000.0)
+         WHERE id = $1 AND state = 'ok'
+           AND (last_fired_at IS NULL OR last_fired_at <= to_timestamp($2 / 1000.0) - make_interval(mins => cooldown_minutes))
+         RETURNING id`,
+        [rule.id, now]
+      )
+    : await pool.query(
+        `UPDATE alert_rules
+         SET state = 'ok', state_changed_at = to_timestamp($2 / 1000.0)
+         WHERE id = $1 AND state = 'firing'
+         RETURNING id`,
+        [rule.id, now]
+      );
+  return rows.length > 0 ? (breached ? "firing" : "resolved") : null;
+}
+
+/**
+ * Evaluates one rule and records and delivers a state change.
+ * @param {Object} rule - Formatted rule
+ * @param {number} [now] - unix millis
+ * @returns {Promise<{ measurement: Object, breached: boolean, event: Object|null }>}
+ */
+async function evaluateRule(rule, now = Date.now()) {
+  const measurement = await measureRule(rule, now);
+  const { breached } = measurement;
+
+  await pool.query("UPDATE alert_rules SET last_evaluated_at = to_timestamp($2 / 1000.0) WHERE id = $1", [rule.id, now]);
+  const state = await claimTransition(rule, breached, now);
+  if (!state) {
+    return { measurement, breached, event: null };
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO alert_events
+       (rule_id, rule_name, rule_type, state, metric, current_value, baseline_value, threshold_value,
+        current_errors, sample_size, window_start, window_end)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, to_timestamp($11 / 1000.0), to_timestamp($12 / 1000.0))
+     RETURNING *`,
+    [
+      rule.id,
+      rule.name,
+      rule.type,
+      state,
+      rule.metric,
+      measurement.currentValue,
+      measurement.baselineValue,
+      rule.type === "threshold" ? measurement.thresholdValue : null,
+      rule.type === "threshold" ? null : measurement.currentErrors,
+      rule.type === "threshold" ? measurement.sampleSize : null,
+      measurement.windowStart,
+      measurement.windowEnd,
+    ]
+  );
+  const event = rows[0];
+  const deliveries = await notifyAlert(rule, buildAlert(rule, measurement, { id: Number(event.id), state }));
+  const updated = await pool.query(
+    "UPDATE alert_events SET deliveries = $2 WHERE id = $1 RETURNING *",
+    [event.id, JSON.stringify(deliveries)]
+  );
+  return { measurement, breached, event: formatAlertEvent(updated.rows[0]) };
+}
+
+/**
+ * Sends a test alert with the rule's current measurement to its webhooks and emails.
+ * Test alerts ignore the thresholds, state and cooldown and are not recorded.
+ * @param {Object} rule - Formatted rule
+ * @returns {Promise<{ alert: Object, breached: boolean, deliveries: Object[] }>}
+ */
+async function sendTestAlert(rule) {
+  const measurement = await measureRule(rule);
+  const alert = buildAlert(rule, measurement, { test: true });
+  const deliveries = await notifyAlert(rule, alert);
+  return { alert, breached: measurement.breached, deliveries };
+}
+
+async function runAlertChecks() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const { rows } = await pool.query("SELECT * FROM alert_rules WHERE enabled ORDER BY id");
+    for (const rule of rows.map(formatAlertRule)) {
+      try {
+        const { event } = await evaluateRule(rule);
+        if (event) {
+          const failed = event.deliveries.filter((delivery) => !delivery.ok).length;
+          console.log(`[alerts] Rule ${rule.id} (${rule.name}) ${event.state}, alert ${event.id}; ${failed} failed deliveries`);
+        }
+      } catch (err) {
+        console.error(`[alerts] Evaluating rule ${rule.id} failed:`, err);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+function startAlertWorker() {
+  if (task) {
+    return;
+  }
+  task = cron.schedule(ALERT_CRON, () => {
+    runAlertChecks().catch((err) => console.error("[alerts] Alert check failed:", err));
+  });
+  console.log(`[alerts] Worker scheduled (${ALERT_CRON})`);
+}
+
+function stopAlertWorker() {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_METRICS,
+  formatAlertEvent,
+  validateAlertRule,
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  measureErrorSpike,
+  measureRule,
+  isSpike,
+  evaluateRule,
+  sendTestAlert,
+  runAlertChecks,
+  startAlertWorker,
+  stopAlertWorker,
+};
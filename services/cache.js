@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const Redis = require("ioredis");
+const { parseDateRange, DEFAULT_TIMEZONE } = require("../utils/dateUtils");
+
+/**
+ * Response cache shared by the stats, graph and users endpoints.
+ *
+ * Redis (REDIS_URL) is the shared store so every replica sees the same
+ * entries. Without REDIS_URL, or while Redis is unreachable, entries go to a
+ * bounded in-process LRU instead. Keys are derived from normalised filters so
+ * equivalent requests (e.g. "2024-01-01" vs. its epoch millis, or the same
+ * region in a different order) share one entry.
+ */
+
+const KEY_PREFIX = process.env.CACHE_KEY_PREFIX || "telemetry:cache:";
+const DEFAULT_TTL_SECONDS = parseInt(process.env.CACHE_DEFAULT_TTL_SECONDS, 10) || 300;
+const MEMORY_MAX_ENTRIES = parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 1000;
+const CACHE_DISABLED = process.env.CACHE_DISABLED === "true";
+
+// TTL in seconds per cache namespace; anything else uses DEFAULT_TTL_SECONDS
+const ROUTE_TTLS = {
+  "dashboard:stats": 120,
+  "dashboard:stats-by-region": 300,
+  "dashboard:user-analytics": 60,
+  "dashboard:active-users": 300,
+  "questions:stats": 300,
+  "questions:graph": 300,
+  "sessions:stats": 300,
+  "sessions:graph": 300,
+  "sessions:funnel": 300,
+  "feedback:stats": 300,
+  "feedback:graph": 300,
+  "feedback:quality": 300,
+  "errors:stats": 300,
+  "errors:graph": 300,
+  "errors:groups": 120,
+  "users:stats": 300,
+  "users:graph": 300,
+  "users:cohorts": 300,
+  "users:list": 300,
+  "users:count": 300,
+  "metrics:timeseries": 300,
+};
+
+/**
+ * Minimal LRU with per-entry expiry; Map keeps insertion order, so the first
+ * key is always the least recently used.
+ */
+class MemoryLRU {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const memory = new MemoryLRU(MEMORY_MAX_ENTRIES);
+let redis = null;
+
+if (process.env.REDIS_URL && !CACHE_DISABLED) {
+  redis = new Redis(process.env.REDIS_URL, {
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+  let lastError = null;
+  redis.on("error", (err) => {
+    // Reconnects are automatic; only log when the failure changes
+    if (err.message !== lastError) {
+      lastError = err.message;
+      console.error("[cache] Redis error, using in-memory cache:", err.message);
+    }
+  });
+  redis.on("ready", () => {
+    lastError = null;
+    console.log("[cache] Redis connected");
+  });
+}
+
+function redisReady() {
+  return redis !== null && redis.status === "ready";
+}
+
+/**
+ * Normalises a filter value so equivalent requests produce the same key.
+ * Arrays are sorted, objects are key-sorted, empty values are dropped.
+ */
+function normaliseValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(normaliseValue).map(String).sort();
+  }
+  if (value !== null && typeof value === "object") {
+    const normalised = {};
+    for (const key of Object.keys(value).sort()) {
+      const item = value[key];
+      if (item === undefined || item === null || item === "") {
+        continue;
+      }
+      normalised[key] = normaliseValue(item);
+    }
+    return normalised;
+  }
+  return typeof value === "string" ? value.trim() : value;
+}
+
+/**
+ * Derives a cache key from a namespace and a filter object.
+ * startDate/endDate are resolved to epoch millis through parseDateRange in
+ * filters.timezone, which stays part of the key.
+ * @param {string} namespace - e.g. "questions:stats"
+ * @param {Object} filters
+ * @returns {string}
+ */
+function buildCacheKey(namespace, filters = {}) {
+  const { startDate, endDate, ...rest } = filters;
+  const timezone = filters.timezone || DEFAULT_TIMEZONE;
+  const { startTimestamp, endTimestamp } = parseDateRange(startDate || null, endDate || null, timezone);
+  const normalised = normaliseValue({ ...rest, timezone, startTimestamp, endTimestamp });
+  const digest = crypto.createHash("sha1").update(JSON.stringify(normalised)).digest("hex");
+  return `${KEY_PREFIX}${namespace}:${digest}`;
+}
+
+/**
+ * @param {string} namespace
+ * @returns {number} TTL in seconds
+ */
+function ttlFor(namespace) {
+  return ROUTE_TTLS[namespace] || DEFAULT_TTL_SECONDS;
+}
+
+async function getCached(key) {
+  if (redisReady()) {
+    try {
+      const raw = await redis.get(key);
+      return raw === null ? undefined : JSON.parse(raw);
+    } catch (err) {
+      console.error("[cache] Redis get failed:", err.message);
+    }
+  }
+  return memory.get(key);
+}
+
+async function setCached(key, value, ttlSeconds) {
+  if (redisReady()) {
+    try {
+      await redis.set(key, JSON.stringify(value), "EX", ttlSeconds);
+      return;
+    } catch (err) {
+      console.error("[cache] Redis set failed:", err.message);
+    }
+  }
+  memory.set(key, value, ttlSeconds);
+}
+
+/**
+ * Returns the cached value for namespace+filters, or runs the loader and caches its result.
+ * @param {string} namespace
+ * @param {Object} filters - Everything the result depends on
+ * @param {function(): Promise<*>} loader
+ * @returns {Promise<*>}
+ */
+async function cached(namespace, filters, loader) {
+  if (CACHE_DISABLED) {
+    return loader();
+  }
+  const key = buildCacheKey(namespace, filters);
+  const hit = await getCached(key);
+  if (hit !== undefined) {
+    return hit;
+  }
+  const value = await loader();
+  await setCached(key, value, ttlFor(namespace));
+  return value;
+}
+
+/**
+ * Route middleware caching successful JSON responses.
+ * The key covers the query string, the resolved timezone and region filter, so
+ * it must be mounted after resolveRegionFilter. Bodies are stored before PII masking,
+ * and masking is applied again on every hit.
+ * @param {string} namespace - Key of ROUTE_TTLS
+ */
+function cacheResponse(namespace) {
+  return async function cacheMiddleware(req, res, next) {
+    if (CACHE_DISABLED) {
+      return next();
+    }
+
+    const { tz, ...query } = req.query;
+    const key = buildCacheKey(namespace, {
+      ...query,
+      timezone: req.timezone,
+      villageCodes: req.regionFilter ? req.regionFilter.village_codes : null,
+    });
+
+    try {
+      const hit = await getCached(key);
+      if (hit !== undefined) {
+        res.setHeader("X-Cache", "HIT");
+        return res.status(200).json(hit);
+      }
+    } catch (err) {
+      console.error("[cache] Lookup failed:", err.message);
+    }
+
+    res.setHeader("X-Cache", "MISS");
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode === 200) {
+        setCached(key, body, ttlFor(namespace)).catch((err) =>
+          console.error("[cache] Store failed:", err.message)
+        );
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+async function closeCache() {
+  memory.clear();
+  if (redis) {
+    await redis.quit().catch(() => redis.disconnect());
+  }
+}
+
+module.exports = {
+  ROUTE_TTLS,
+  buildCacheKey,
+  cached,
+  cacheResponse,
+  closeCache,
+};
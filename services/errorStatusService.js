@@ -0,0 +1,251 @@
+const cron = require("node-cron");
+const pool = require("./db");
+const { createQueryBuilder } = require("../utils/queryBuilder");
+const { buildErrorFingerprintSql } = require("../lib/errorFingerprint");
+
+/**
+ * Resolution workflow of error groups.
+ *
+ * A group (fingerprint) is open until someone acknowledges, resolves or
+ * ignores it; the current state lives in error_group_status and every change
+ * is appended to error_group_events. A node-cron tick looks for occurrences
+ * newer than the resolution of each resolved group and reopens the groups
+ * that regressed. Ignored groups stay ignored. Each tick only fingerprints the
+ * errors created since the previous one (error_regression_checkpoint), so a
+ * group resolved long ago does not make every tick rescan its whole history.
+ */
+
+const ERROR_STATUSES = ["open", "acknowledged", "resolved", "ignored"];
+const REGRESSION_CRON = process.env.ERROR_REGRESSION_CRON || "0 */5 * * * *";
+const HISTORY_LIMIT = 50;
+
+let task = null;
+let running = false;
+
+/**
+ * Maps an error_group_status row (or its absence) to the API representation.
+ * @param {Object|null} row
+ * @returns {Object}
+ */
+function formatGroupStatus(row) {
+  return {
+    status: row ? row.status : "open",
+    assignee: row ? row.assignee : null,
+    notes: row ? row.notes : null,
+    resolvedAt: row && row.resolved_at ? new Date(row.resolved_at).toISOString() : null,
+    resolvedBy: row ? row.resolved_by : null,
+    reopenedAt: row && row.reopened_at ? new Date(row.reopened_at).toISOString() : null,
+    reopenCount: row ? Number(row.reopen_count) || 0 : 0,
+    updatedBy: row ? row.updated_by : null,
+    updatedAt: row && row.updated_at ? new Date(row.updated_at).toISOString() : null,
+  };
+}
+
+/**
+ * @param {string} fingerprint
+ * @returns {Promise<Object>} Status of the group, "open" when it was never changed
+ */
+async function getGroupStatus(fingerprint) {
+  const { rows } = await pool.query("SELECT * FROM error_group_status WHERE fingerprint = $1", [fingerprint]);
+  return formatGroupStatus(rows[0] || null);
+}
+
+/**
+ * @param {string} fingerprint
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>} Latest changes of the group, newest first
+ */
+async function getGroupHistory(fingerprint, limit = HISTORY_LIMIT) {
+  const { rows } = await pool.query(
+    `SELECT action, from_status, to_status, assignee, note, actor, created_at
+     FROM error_group_events
+     WHERE fingerprint = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [fingerprint, limit]
+  );
+  return rows.map((row) => ({
+    action: row.action,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    assignee: row.assignee,
+    note: row.note,
+    actor: row.actor,
+    createdAt: new Date(row.created_at).toISOString(),
+  }));
+}
+
+/**
+ * Changes the status, assignee and/or notes of a group and records the change.
+ * Fields left undefined keep their value; null clears assignee or notes.
+ * Resolving stamps resolved_at/resolved_by, any other status clears them.
+ * @param {string} fingerprint
+ * @param {{ status?: string, assignee?: string|null, notes?: string|null }} changes
+ * @param {string|null} actor - Username or subject of the caller
+ * @returns {Promise<Object>} New status of the group
+ */
+async function updateGroupStatus(fingerprint, changes, actor) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      "INSERT INTO error_group_status (fingerprint) VALUES ($1) ON CONFLICT (fingerprint) DO NOTHING",
+      [fingerprint]
+    );
+    const { rows } = await client.query(
+      "SELECT * FROM error_group_status WHERE fingerprint = $1 FOR UPDATE",
+      [fingerprint]
+    );
+    const current = rows[0];
+
+    const status = changes.status === undefined ? current.status : changes.status;
+    const assignee = changes.assignee === undefined ? current.assignee : changes.assignee;
+    const notes = changes.notes === undefined ? current.notes : changes.notes;
+    const statusChanged = status !== current.status;
+
+    const updated = await client.query(
+      `UPDATE error_group_status
+       SET status = $2,
+           assignee = $3,
+           notes = $4,
+           resolved_at = CASE WHEN $2 <> 'resolved' THEN NULL WHEN $5 THEN now() ELSE resolved_at END,
+           resolved_by = CASE WHEN $2 <> 'resolved' THEN NULL WHEN $5 THEN $6 ELSE resolved_by END,
+           updated_by = $6,
+           updated_at = now()
+       WHERE fingerprint = $1
+       RETURNING *`,
+      [fingerprint, status, assignee, notes, statusChanged, actor]
+    );
+    await client.query(
+      `INSERT INTO error_group_events (fingerprint, action, from_status, to_status, assignee, note, actor)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        fingerprint,
+        statusChanged ? "status_changed" : "updated",
+        current.status,
+        status,
+        assignee,
+        changes.notes === undefined ? null : changes.notes,
+        actor,
+      ]
+    );
+    await client.query("COMMIT");
+    return formatGroupStatus(updated.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Errors newer than this may still be in flight; they are checked on the next tick
+const REGRESSION_SETTLE_INTERVAL = "1 minute";
+
+/**
+ * Reopens resolved groups with occurrences after their resolution, looking at
+ * errors created since the previous check, and advances the checkpoint.
+ * @returns {Promise<Array<{ fingerprint: string, occurrences: number }>>} Groups reopened
+ */
+async function detectRegressions() {
+  const qb = createQueryBuilder();
+  const sql = buildErrorFingerprintSql(qb);
+  const { rows } = await pool.query(
+    `
+      WITH bounds AS (
+          SELECT COALESCE((SELECT checked_until FROM error_regression_checkpoint), '-infinity'::timestamptz) AS since,
+                 now() - interval '${REGRESSION_SETTLE_INTERVAL}' AS until
+      ),
+      resolved AS (
+          SELECT fingerprint, resolved_at
+          FROM error_group_status
+          WHERE status = 'resolved' AND resolved_at IS NOT NULL
+      ),
+      recent AS (
+          SELECT ${sql.fingerprint} AS fingerprint, created_at::timestamptz AS created_at
+          FROM errordetails, bounds b
+          WHERE errortext IS NOT NULL
+            AND EXISTS (SELECT 1 FROM resolved)
+            AND created_at::timestamptz > GREATEST(b.since, (SELECT MIN(resolved_at) FROM resolved))
+            AND created_at::timestamptz <= b.until
+      ),
+      regressed AS (
+          SELECT r.fingerprint, COUNT(*) AS occurrences
+          FROM resolved r
+          JOIN recent e ON e.fingerprint = r.fingerprint AND e.created_at > r.resolved_at
+          GROUP BY r.fingerprint
+      ),
+      reopened AS (
+          UPDATE error_group_status s
+          SET status = 'open',
+              resolved_at = NULL,
+              resolved_by = NULL,
+              reopened_at = now(),
+              reopen_count = s.reopen_count + 1,
+              updated_by = 'system',
+              updated_at = now()
+          FROM regressed g
+          WHERE s.fingerprint = g.fingerprint AND s.status = 'resolved'
+          RETURNING s.fingerprint, s.assignee, g.occurrences
+      ),
+      logged AS (
+          INSERT INTO error_group_events (fingerprint, action, from_status, to_status, assignee, note, actor)
+          SELECT fingerprint, 'reopened', 'resolved', 'open', assignee,
+                 occurrences || ' new occurrence(s) after resolution', 'system'
+          FROM reopened
+      ),
+      checked AS (
+          INSERT INTO error_regression_checkpoint (id, checked_until)
+          SELECT TRUE, until FROM bounds
+          ON CONFLICT (id) DO UPDATE
+          SET checked_until = GREATEST(error_regression_checkpoint.checked_until, EXCLUDED.checked_until)
+      )
+      SELECT fingerprint, occurrences FROM reopened
+    `,
+    qb.params
+  );
+  return rows.map((row) => ({ fingerprint: row.fingerprint, occurrences: Number(row.occurrences) }));
+}
+
+async function runRegressionCheck() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    const reopened = await detectRegressions();
+    if (reopened.length > 0) {
+      console.log(`[errors] Reopened ${reopened.length} regressed error group(s): ${reopened.map((group) => group.fingerprint).join(", ")}`);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+function startRegressionWorker() {
+  if (task) {
+    return;
+  }
+  task = cron.schedule(REGRESSION_CRON, () => {
+    runRegressionCheck().catch((err) => console.error("[errors] Regression check failed:", err));
+  });
+  console.log(`[errors] Regression worker scheduled (${REGRESSION_CRON})`);
+}
+
+function stopRegressionWorker() {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+}
+
+module.exports = {
+  ERROR_STATUSES,
+  formatGroupStatus,
+  getGroupStatus,
+  getGroupHistory,
+  updateGroupStatus,
+  detectRegressions,
+  startRegressionWorker,
+  stopRegressionWorker,
+};
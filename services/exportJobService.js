@@ -0,0 +1,353 @@
+const fs = require("fs");
+const path = require("path");
+const cron = require("node-cron");
+const { v4: uuidv4 } = require("uuid");
+const pool = require("./db");
+const { EXPORT_FORMATS, streamQuery, writeExport } = require("./exportService");
+const {
+  EXPORT_ENTITIES,
+  parseExportFilters,
+  buildExportQuery,
+  exportColumns,
+  buildExportFilename,
+} = require("../controllers/export.controller");
+const {
+  getVillagesByRegionUtil,
+  applyDataScopeUtil,
+} = require("../middleware/villageMiddleware");
+
+/**
+ * Background export jobs.
+ *
+ * Jobs are rows in export_jobs. A node-cron tick claims pending jobs with
+ * FOR UPDATE SKIP LOCKED (safe with several instances), streams the export to
+ * EXPORT_DIR and records progress, so jobs survive restarts: a job left
+ * 'running' by a crashed process is re-queued once its progress goes stale.
+ */
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, "../exports");
+const WORKER_SCHEDULE = process.env.EXPORT_WORKER_CRON || "*/15 * * * * *";
+const RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS || "24", 10);
+const STALE_MINUTES = parseInt(process.env.EXPORT_STALE_MINUTES || "10", 10);
+const PROGRESS_INTERVAL = 5000;
+const HEARTBEAT_MS = 60 * 1000;
+
+const FILTER_KEYS = [
+  "search",
+  "startDate",
+  "endDate",
+  "sortBy",
+  "sortOrder",
+  "tz",
+  "district_code",
+  "taluka_code",
+  "village_code",
+];
+
+let task = null;
+let running = false;
+
+/**
+ * Maps an export_jobs row to the API representation.
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatExportJob(row) {
+  const totalRows = row.total_rows === null ? null : Number(row.total_rows);
+  const rowsWritten = Number(row.rows_written) || 0;
+  let progress = null;
+  if (row.status === "completed") {
+    progress = 100;
+  } else if (totalRows) {
+    progress = Math.min(99, Math.floor((rowsWritten / totalRows) * 100));
+  } else if (totalRows === 0) {
+    progress = 0;
+  }
+
+  return {
+    id: row.id,
+    entity: row.entity,
+    format: row.format,
+    filters: row.filters,
+    status: row.status,
+    progress,
+    totalRows,
+    rowsWritten,
+    fileName: row.file_name,
+    fileSize: row.file_size === null ? null : Number(row.file_size),
+    error: row.error,
+    downloadUrl: row.status === "completed" ? `/v1/exports/${row.id}/download` : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+  };
+}
+
+/**
+ * Rebuilds the data scope recorded on a job when it was queued.
+ * @param {Object} filters - Stored job filters
+ * @returns {Object|null}
+ */
+function jobDataScope(filters) {
+  if (!filters.scope_district_code) {
+    return null;
+  }
+  const district = getVillagesByRegionUtil({ district_code: filters.scope_district_code });
+  return {
+    district_code: filters.scope_district_code,
+    village_codes: district.success && district.data ? district.data.village_codes : [],
+  };
+}
+
+/**
+ * Validates an export request body.
+ * A restricted requester's district and PII permission are recorded on the job
+ * so the worker applies the same scope and masking as the synchronous endpoints.
+ * @param {Object} body - { entity, format, filters }
+ * @param {Object|null} [scope] - req.dataScope of the requester
+ * @param {boolean} [piiAllowed] - Requester holds pii:read
+ * @returns {{ error: string, status?: number }|{ entity: string, format: string, filters: Object }}
+ */
+function validateExportRequest(body = {}, scope = null, piiAllowed = false) {
+  const entity = body.entity ? String(body.entity).trim() : "";
+  if (!EXPORT_ENTITIES[entity]) {
+    return {
+      error: `Invalid entity. Must be one of: ${Object.keys(EXPORT_ENTITIES).join(", ")}`,
+    };
+  }
+
+  const rawFilters = body.filters && typeof body.filters === "object" ? body.filters : {};
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    if (rawFilters[key] !== undefined && rawFilters[key] !== null && rawFilters[key] !== "") {
+      filters[key] = String(rawFilters[key]);
+    }
+  }
+
+  const parsed = parseExportFilters({ ...filters, format: body.format });
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  // Pin the timezone so a later DEFAULT_TIMEZONE change does not alter queued jobs
+  filters.tz = parsed.filters.timezone;
+
+  const region = getVillagesByRegionUtil(filters);
+  if (!region.success) {
+    return { error: region.message };
+  }
+
+  const scoped = applyDataScopeUtil(region.data, scope);
+  if (!scoped.success) {
+    return { error: scoped.message, status: scoped.status };
+  }
+  if (scope) {
+    filters.scope_district_code = scope.district_code;
+  }
+  if (piiAllowed) {
+    filters.pii_unmasked = true;
+  }
+
+  return { entity, format: parsed.format, filters };
+}
+
+async function createExportJob({ entity, format, filters, createdBy = null }) {
+  const result = await pool.query(
+    `INSERT INTO export_jobs (id, entity, format, filters, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [uuidv4(), entity, format, JSON.stringify(filters), createdBy]
+  );
+  return result.rows[0];
+}
+
+async function getExportJob(id) {
+  const result = await pool.query("SELECT * FROM export_jobs WHERE id = $1", [id]);
+  return result.rows[0] || null;
+}
+
+async function claimNextJob() {
+  const result = await pool.query(`
+    UPDATE export_jobs
+    SET status = 'running', started_at = now(), updated_at = now(), rows_written = 0, error = NULL
+    WHERE id = (
+      SELECT id FROM export_jobs
+      WHERE status = 'pending'
+      ORDER BY created_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `);
+  return result.rows[0] || null;
+}
+
+async function runJob(job) {
+  const parsed = parseExportFilters({ ...job.filters, format: job.format });
+  let region = getVillagesByRegionUtil(job.filters);
+  if (region.success) {
+    region = applyDataScopeUtil(region.data, jobDataScope(job.filters));
+  }
+  if (parsed.error || !region.success) {
+    throw new Error(parsed.error || region.message);
+  }
+
+  const filters = {
+    ...parsed.filters,
+    villageCodes: region.data ? region.data.village_codes : null,
+  };
+  const { text, values } = buildExportQuery(job.entity, filters);
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) AS total FROM (${text}) export_rows`,
+    values
+  );
+  await pool.query(
+    "UPDATE export_jobs SET total_rows = $2, updated_at = now() WHERE id = $1",
+    [job.id, parseInt(countResult.rows[0].total)]
+  );
+
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+  const fileName = buildExportFilename(job.entity, job.format);
+  const filePath = path.join(EXPORT_DIR, `${job.id}.${EXPORT_FORMATS[job.format].extension}`);
+  const output = fs.createWriteStream(filePath);
+  const closed = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+  });
+  // Write errors also surface through writeExport; avoid an unhandled rejection
+  closed.catch(() => {});
+
+  let lastReported = 0;
+  let rowCount;
+  try {
+    rowCount = await writeExport({
+      format: job.format,
+      rows: streamQuery(text, values),
+      columns: exportColumns(job.entity, Boolean(job.filters.pii_unmasked), filters.timezone),
+      output,
+      sheetName: job.entity,
+      onRow: (count) => {
+        if (count - lastReported >= PROGRESS_INTERVAL) {
+          lastReported = count;
+          pool
+            .query(
+              "UPDATE export_jobs SET rows_written = $2, updated_at = now() WHERE id = $1",
+              [job.id, count]
+            )
+            .catch((err) => console.error(`Export job ${job.id} progress update failed:`, err.message));
+        }
+      },
+    });
+    await closed;
+  } catch (err) {
+    output.destroy();
+    fs.rm(filePath, { force: true }, () => {});
+    throw err;
+  }
+
+  const { size } = fs.statSync(filePath);
+  await pool.query(
+    `UPDATE export_jobs
+     SET status = 'completed', rows_written = $2, file_path = $3, file_name = $4, file_size = $5,
+         completed_at = now(), updated_at = now()
+     WHERE id = $1`,
+    [job.id, rowCount, filePath, fileName, size]
+  );
+}
+
+/**
+ * Re-queues jobs whose worker stopped reporting progress (e.g. the process was restarted).
+ */
+async function requeueStaleJobs() {
+  await pool.query(
+    `UPDATE export_jobs
+     SET status = 'pending', updated_at = now()
+     WHERE status = 'running' AND updated_at < now() - ($1 || ' minutes')::interval`,
+    [String(STALE_MINUTES)]
+  );
+}
+
+/**
+ * Deletes finished files older than EXPORT_RETENTION_HOURS and marks their jobs expired.
+ */
+async function cleanupExpiredExports() {
+  const result = await pool.query(
+    `UPDATE export_jobs
+     SET status = 'expired', updated_at = now()
+     WHERE status = 'completed' AND completed_at < now() - ($1 || ' hours')::interval
+     RETURNING file_path`,
+    [String(RETENTION_HOURS)]
+  );
+  for (const row of result.rows) {
+    if (row.file_path) {
+      fs.rm(row.file_path, { force: true }, (err) => {
+        if (err) console.error(`Could not delete export file ${row.file_path}:`, err.message);
+      });
+    }
+  }
+}
+
+async function processExportJobs() {
+  if (running) {
+    return;
+  }
+  running = true;
+  try {
+    await requeueStaleJobs();
+    await cleanupExpiredExports();
+
+    let job;
+    while ((job = await claimNextJob())) {
+      // Keep updated_at fresh while the job runs so other instances do not re-queue it
+      const jobId = job.id;
+      const heartbeat = setInterval(() => {
+        pool
+          .query("UPDATE export_jobs SET updated_at = now() WHERE id = $1 AND status = 'running'", [jobId])
+          .catch(() => {});
+      }, HEARTBEAT_MS);
+
+      try {
+        await runJob(job);
+        console.log(`Export job ${jobId} completed`);
+      } catch (err) {
+        console.error(`Export job ${jobId} failed:`, err);
+        await pool.query(
+          "UPDATE export_jobs SET status = 'failed', error = $2, updated_at = now() WHERE id = $1",
+          [jobId, err.message]
+        );
+      } finally {
+        clearInterval(heartbeat);
+      }
+    }
+  } catch (err) {
+    console.error("Error processing export jobs:", err);
+  } finally {
+    running = false;
+  }
+}
+
+function startExportWorker() {
+  if (!task) {
+    task = cron.schedule(WORKER_SCHEDULE, processExportJobs);
+    console.log(`Export worker scheduled (${WORKER_SCHEDULE})`);
+  }
+  return task;
+}
+
+function stopExportWorker() {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+}
+
+module.exports = {
+  formatExportJob,
+  validateExportRequest,
+  createExportJob,
+  getExportJob,
+  processExportJobs,
+  startExportWorker,
+  stopExportWorker,
+};
@@ -0,0 +1,208 @@
+const { once } = require("events");
+const QueryStream = require("pg-query-stream");
+const ExcelJS = require("exceljs");
+const pool = require("./db");
+const { DEFAULT_TIMEZONE, formatDateInTimezone } = require("../utils/dateUtils");
+
+/**
+ * Streaming CSV / XLSX writers for the export endpoints.
+ *
+ * Rows are read from Postgres through a server-side cursor so an export never
+ * holds the full result set in memory, and are written to any writable stream
+ * (an HTTP response or a file on disk).
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+const CURSOR_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE || "1000", 10);
+
+/**
+ * Streams the rows of a query through a cursor on a dedicated client.
+ * The client is released when iteration finishes or is abandoned.
+ * @param {string} text - SQL text
+ * @param {Array} values - Query parameters
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamQuery(text, values = []) {
+  const client = await pool.connect();
+  try {
+    const stream = client.query(
+      new QueryStream(text, values, { batchSize: CURSOR_BATCH_SIZE })
+    );
+    for await (const row of stream) {
+      yield row;
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Starts a streamed query and waits for its first row, so connection and SQL
+ * errors surface before any response headers are written.
+ * @param {string} text - SQL text
+ * @param {Array} values - Query parameters
+ * @returns {Promise<AsyncGenerator<Object>>}
+ */
+async function openQuery(text, values = []) {
+  const iterator = streamQuery(text, values);
+  const first = await iterator.next();
+
+  return (async function* () {
+    try {
+      if (!first.done) {
+        yield first.value;
+        yield* iterator;
+      }
+    } finally {
+      await iterator.return();
+    }
+  })();
+}
+
+/**
+ * Formats a timestamp (epoch ms, Date or date string) through formatDateInTimezone.
+ * @param {number|string|Date|null} value
+ * @param {string} [timezone] - IANA timezone name
+ * @returns {string|null}
+ */
+function toZonedString(value, timezone = DEFAULT_TIMEZONE) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  if (value instanceof Date) {
+    return formatDateInTimezone(value.getTime(), timezone);
+  }
+  return formatDateInTimezone(/^\d+$/.test(String(value)) ? value : String(value), timezone);
+}
+
+// Spreadsheets evaluate text starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Value written to a cell: objects as JSON, and text a spreadsheet would run
+ * as a formula (farmer-typed questions and feedback included) prefixed with
+ * a quote so it stays text.
+ * @param {*} value
+ * @returns {*}
+ */
+function toCellValue(value) {
+  const cell = value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+  return typeof cell === "string" && FORMULA_PREFIX.test(cell) ? `'${cell}` : cell;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(toCellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Waits until a stream that asked for backpressure drains, or goes away (client disconnect)
+async function waitForDrain(output) {
+  if (!output.writableNeedDrain || output.destroyed) {
+    return;
+  }
+  const ac = new AbortController();
+  try {
+    await Promise.race([
+      once(output, "drain", { signal: ac.signal }),
+      once(output, "close", { signal: ac.signal }),
+    ]);
+  } finally {
+    ac.abort();
+  }
+}
+
+async function writeChunk(output, chunk) {
+  output.write(chunk);
+  await waitForDrain(output);
+}
+
+async function writeCsv(rows, columns, output, onRow) {
+  let count = 0;
+  // BOM so Excel opens UTF-8 (Marathi) text correctly
+  await writeChunk(
+    output,
+    "\uFEFF" + columns.map((c) => escapeCsvValue(c.header)).join(",") + "\r\n"
+  );
+  for await (const row of rows) {
+    if (output.destroyed) {
+      break;
+    }
+    const line = columns.map((c) => escapeCsvValue(c.value(row))).join(",");
+    await writeChunk(output, line + "\r\n");
+    count++;
+    if (onRow) onRow(count);
+  }
+  output.end();
+  return count;
+}
+
+async function writeXlsx(rows, columns, output, sheetName, onRow) {
+  let count = 0;
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({
+    header: c.header,
+    key: c.key,
+    width: c.width || 20,
+  }));
+
+  for await (const row of rows) {
+    if (output.destroyed) {
+      break;
+    }
+    const values = {};
+    for (const c of columns) {
+      values[c.key] = toCellValue(c.value(row));
+    }
+    sheet.addRow(values).commit();
+    // The workbook writes into output itself; pause the cursor while output is full
+    await waitForDrain(output);
+    count++;
+    if (onRow) onRow(count);
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  return count;
+}
+
+/**
+ * Writes rows to a writable stream in the requested format.
+ * @param {Object} options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {AsyncIterable<Object>} options.rows - Raw database rows
+ * @param {Array<{header: string, key: string, value: function(Object): *, width?: number}>} options.columns
+ * @param {import('stream').Writable} options.output
+ * @param {string} [options.sheetName] - Worksheet name for xlsx
+ * @param {function(number): void} [options.onRow] - Called with the running row count
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeExport({ format, rows, columns, output, sheetName = "Export", onRow = null }) {
+  if (format === "xlsx") {
+    return writeXlsx(rows, columns, output, sheetName, onRow);
+  }
+  return writeCsv(rows, columns, output, onRow);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamQuery,
+  openQuery,
+  toZonedString,
+  writeExport,
+};
@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+const pool = require("./db");
+
+/**
+ * Applies the SQL files in /migrations in filename order.
+ *
+ * Each file runs once inside a transaction and is recorded in
+ * schema_migrations. An advisory lock keeps several instances that start at
+ * the same time from applying the same file twice.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, "../migrations");
+const MIGRATION_LOCK_ID = 7324001;
+
+async function runMigrations() {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    const { rows } = await client.query("SELECT name FROM schema_migrations");
+    const applied = new Set(rows.map((row) => row.name));
+    const files = fs
+      .readdirSync(MIGRATIONS_DIR)
+      .filter((file) => file.endsWith(".sql"))
+      .sort();
+
+    for (const file of files) {
+      if (applied.has(file)) {
+        continue;
+      }
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+      try {
+        await client.query("BEGIN");
+        await client.query(sql);
+        await client.query("INSERT INTO schema_migrations (name) VALUES ($1)", [file]);
+        await client.query("COMMIT");
+        console.log(`Applied migration ${file}`);
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw new Error(`Migration ${file} failed: ${err.message}`);
+      }
+    }
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,460 @@
+const cron = require("node-cron");
+const pool = require("./db");
+const { DEFAULT_TIMEZONE, createZonedTimestamp, formatZonedDay } = require("../utils/dateUtils");
+
+/**
+ * Daily rollups of the raw telemetry tables.
+ *
+ * For every closed day (in DEFAULT_TIMEZONE, Asia/Kolkata unless configured) the worker writes per-village counts into
+ * daily_village_rollup, one row per active user into daily_user_activity and
+ * one row per session into daily_session_activity (so distinct users and
+ * sessions stay exact over any range of days), then marks the day in
+ * rollup_days. Stats and graph endpoints call planRollupRange to read
+ * closed days from the rollups and only the remainder (today, partial days)
+ * from the raw tables.
+ */
+
+const ROLLUP_CRON = process.env.ROLLUP_CRON || "0 30 0 * * *";
+// Rollup days are calendar days in the deployment's default timezone
+const ROLLUP_TIMEZONE = DEFAULT_TIMEZONE;
+const ROLLUP_CATCHUP_DAYS = parseInt(process.env.ROLLUP_CATCHUP_DAYS, 10) || 7;
+const ROLLUP_MAX_BACKFILL_DAYS = parseInt(process.env.ROLLUP_MAX_BACKFILL_DAYS, 10) || 400;
+const ROLLUP_LOCK_ID = 7324002;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+let task = null;
+
+/**
+ * @param {string} day - YYYY-MM-DD in ROLLUP_TIMEZONE
+ * @returns {number} Epoch millis of local midnight starting that day
+ */
+function dayStart(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  return createZonedTimestamp(year, month - 1, date, 0, 0, 0, 0, ROLLUP_TIMEZONE);
+}
+
+/**
+ * @param {number} timestamp - Epoch millis
+ * @returns {string} Calendar day (YYYY-MM-DD) in ROLLUP_TIMEZONE containing the timestamp
+ */
+function dayOf(timestamp) {
+  return formatZonedDay(timestamp, ROLLUP_TIMEZONE);
+}
+
+function addDays(day, count) {
+  return new Date(Date.parse(`${day}T00:00:00.000Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDay, toDayExclusive) {
+  return Math.round((Date.parse(toDayExclusive) - Date.parse(fromDay)) / DAY_MS);
+}
+
+// $1/$2: day start/end epoch millis, $3/$4: the same as timestamptz, $5: day
+const VILLAGE_ROLLUP_SQL = `
+  WITH day_questions AS (
+    SELECT uid, sid, is_new, answertext,
+           COALESCE(registered_location->>'lgd_code', '') AS village_code
+    FROM questions
+    WHERE ets >= $1 AND ets < $2 AND uid IS NOT NULL
+  ),
+  day_feedback AS (
+    SELECT uid, sid, feedbacktype, feedbacktext, questiontext
+    FROM feedback
+    WHERE ets >= $1 AND ets < $2
+  ),
+  day_errors AS (
+    SELECT uid FROM errordetails
+    WHERE created_at >= $3 AND created_at < $4
+  ),
+  user_village AS (
+    SELECT DISTINCT ON (q.uid) q.uid, COALESCE(q.registered_location->>'lgd_code', '') AS village_code
+    FROM questions q
+    WHERE q.uid IN (
+      SELECT uid FROM day_feedback
+      UNION SELECT uid FROM day_errors
+    )
+      AND q.ets < $2
+    ORDER BY q.uid, q.ets DESC
+  ),
+  metrics AS (
+    SELECT village_code,
+           COUNT(*) FILTER (WHERE answertext IS NOT NULL) AS questions,
+           COUNT(DISTINCT uid) AS active_users,
+           COUNT(DISTINCT uid) FILTER (WHERE COALESCE(is_new, 0) = 1) AS new_users,
+           0 AS feedback, 0 AS likes, 0 AS dislikes, 0 AS errors
+    FROM day_questions
+    GROUP BY village_code
+    UNION ALL
+    SELECT COALESCE(uv.village_code, ''), 0, 0, 0,
+           COUNT(*),
+           COUNT(*) FILTER (WHERE f.feedbacktype = 'like'),
+           COUNT(*) FILTER (WHERE f.feedbacktype = 'dislike'),
+           0
+    FROM day_feedback f
+    LEFT JOIN user_village uv ON uv.uid = f.uid
+    WHERE f.feedbacktext IS NOT NULL AND f.questiontext IS NOT NULL
+    GROUP BY 1
+    UNION ALL
+    SELECT COALESCE(uv.village_code, ''), 0, 0, 0, 0, 0, 0, COUNT(*)
+    FROM day_errors e
+    LEFT JOIN user_village uv ON uv.uid = e.uid
+    GROUP BY 1
+  )
+  INSERT INTO daily_village_rollup
+    (day, village_code, questions, active_users, new_users, feedback, likes, dislikes, errors)
+  SELECT $5::date, village_code, SUM(questions), SUM(active_users), SUM(new_users),
+         SUM(feedback), SUM(likes), SUM(dislikes), SUM(errors)
+  FROM metrics
+  GROUP BY village_code
+`;
+
+// $1/$2: day start/end epoch millis, $3: day
+const USER_ACTIVITY_SQL = `
+  INSERT INTO daily_user_activity (day, uid, village_code, is_new, questions)
+  SELECT $3::date, uid, COALESCE(registered_location->>'lgd_code', ''),
+         BOOL_OR(COALESCE(is_new, 0) = 1),
+         COUNT(*) FILTER (WHERE answertext IS NOT NULL)
+  FROM questions
+  WHERE ets >= $1 AND ets < $2 AND uid IS NOT NULL
+  GROUP BY uid, COALESCE(registered_location->>'lgd_code', '')
+`;
+
+// $1/$2: day start/end epoch millis, $3: day.
+// Sessions are the sid+uid pairs of the day's answered questions, feedback and
+// errors, as in /sessions/stats; village_code as in daily_village_rollup.
+const SESSION_ACTIVITY_SQL = `
+  WITH day_sessions AS (
+    SELECT sid, uid, COALESCE(registered_location->>'lgd_code', '') AS village_code
+    FROM questions
+    WHERE ets >= $1 AND ets < $2 AND sid IS NOT NULL AND answertext IS NOT NULL
+    UNION
+    SELECT sid, uid, NULL FROM feedback
+    WHERE ets >= $1 AND ets < $2 AND sid IS NOT NULL
+    UNION
+    SELECT sid, uid, NULL FROM errordetails
+    WHERE ets >= $1 AND ets < $2 AND sid IS NOT NULL
+  ),
+  user_village AS (
+    SELECT DISTINCT ON (q.uid) q.uid, COALESCE(q.registered_location->>'lgd_code', '') AS village_code
+    FROM questions q
+    WHERE q.uid IN (SELECT uid FROM day_sessions WHERE village_code IS NULL)
+      AND q.ets < $2
+    ORDER BY q.uid, q.ets DESC
+  )
+  INSERT INTO daily_session_activity (day, sid, uid, village_code)
+  SELECT DISTINCT $3::date, s.sid, COALESCE(s.uid, ''), COALESCE(s.village_code, uv.village_code, '')
+  FROM day_sessions s
+  LEFT JOIN user_village uv ON s.village_code IS NULL AND uv.uid = s.uid
+`;
+
+/**
+ * Recomputes the rollups of one day in a single transaction.
+ * Safe to repeat: the day's rows are replaced.
+ * @param {Object} client - Connected pg client
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<{ day: string, villageRows: number, userRows: number, sessionRows: number, villageRowsDeleted: number, userRowsDeleted: number, sessionRowsDeleted: number }>}
+ */
+async function computeRollupDay(client, day) {
+  const start = dayStart(day);
+  const end = dayStart(addDays(day, 1));
+
+  await client.query("BEGIN");
+  try {
+    const villagesDeleted = await client.query("DELETE FROM daily_village_rollup WHERE day = $1", [day]);
+    const usersDeleted = await client.query("DELETE FROM daily_user_activity WHERE day = $1", [day]);
+    const sessionsDeleted = await client.query("DELETE FROM daily_session_activity WHERE day = $1", [day]);
+    const villages = await client.query(VILLAGE_ROLLUP_SQL, [
+      start,
+      end,
+      new Date(start),
+      new Date(end),
+      day,
+    ]);
+    const users = await client.query(USER_ACTIVITY_SQL, [start, end, day]);
+    const sessions = await client.query(SESSION_ACTIVITY_SQL, [start, end, day]);
+    await client.query(
+      `INSERT INTO rollup_days (day, village_rows, user_rows, session_rows, computed_at)
+       VALUES ($1, $2, $3, $4, now())
+       ON CONFLICT (day) DO UPDATE
+       SET village_rows = EXCLUDED.village_rows, user_rows = EXCLUDED.user_rows,
+           session_rows = EXCLUDED.session_rows, computed_at = now()`,
+      [day, villages.rowCount, users.rowCount, sessions.rowCount]
+    );
+    await client.query("COMMIT");
+    return {
+      day,
+      villageRows: villages.rowCount,
+      userRows: users.rowCount,
+      sessionRows: sessions.rowCount,
+      villageRowsDeleted: villagesDeleted.rowCount,
+      userRowsDeleted: usersDeleted.rowCount,
+      sessionRowsDeleted: sessionsDeleted.rowCount,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Runs fn with a dedicated client while holding the rollup advisory lock.
+ * @param {function(Object): Promise<*>} fn
+ * @returns {Promise<{ locked: boolean, result?: * }>} locked is false when another run holds the lock
+ */
+async function withRollupLock(fn) {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query("SELECT pg_try_advisory_lock($1) AS locked", [ROLLUP_LOCK_ID]);
+    if (!rows[0].locked) {
+      return { locked: false };
+    }
+    try {
+      return { locked: true, result: await fn(client) };
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [ROLLUP_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Scheduled run: recomputes yesterday (late telemetry) and any closed day of
+ * the last ROLLUP_CATCHUP_DAYS that has no rollup yet.
+ */
+async function runScheduledRollups() {
+  const today = dayOf(Date.now());
+  const yesterday = addDays(today, -1);
+  const from = addDays(today, -ROLLUP_CATCHUP_DAYS);
+
+  const outcome = await withRollupLock(async (client) => {
+    const { rows } = await client.query(
+      "SELECT to_char(day, 'YYYY-MM-DD') AS day FROM rollup_days WHERE day >= $1 AND day < $2",
+      [from, today]
+    );
+    const computed = new Set(rows.map((row) => row.day));
+    const days = [];
+    for (let day = from; day < today; day = addDays(day, 1)) {
+      if (day === yesterday || !computed.has(day)) {
+        days.push(day);
+      }
+    }
+
+    for (const day of days) {
+      const { villageRows, userRows, sessionRows } = await computeRollupDay(client, day);
+      console.log(`[rollup] ${day}: ${villageRows} village rows, ${userRows} user rows, ${sessionRows} session rows`);
+    }
+    return days.length;
+  });
+
+  if (!outcome.locked) {
+    console.log("[rollup] Another rollup run holds the lock; skipping");
+  }
+}
+
+/**
+ * Validates a backfill range of days.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD, inclusive
+ * @returns {{ error: string }|{ from: string, to: string, days: number }}
+ */
+function validateRollupRange(from, to) {
+  const isDay = (value) =>
+    typeof value === "string" &&
+    DAY_REGEX.test(value) &&
+    !Number.isNaN(Date.parse(value)) &&
+    addDays(value, 0) === value;
+  if (!isDay(from) || !isDay(to)) {
+    return { error: "from and to must be dates in YYYY-MM-DD format" };
+  }
+  if (from > to) {
+    return { error: "from cannot be after to" };
+  }
+  const today = dayOf(Date.now());
+  if (to >= today) {
+    return { error: `to must be a closed day (before ${today})` };
+  }
+  const days = daysBetween(from, addDays(to, 1));
+  if (days > ROLLUP_MAX_BACKFILL_DAYS) {
+    return { error: `Range cannot exceed ${ROLLUP_MAX_BACKFILL_DAYS} days` };
+  }
+  return { from, to, days };
+}
+
+/**
+ * Recomputes the rollups of every day in [from, to], e.g. after late
+ * telemetry arrived or bad ets values were fixed. Repeatable: each day is
+ * replaced, never added to. Holds the same lock as the scheduled job.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD, inclusive
+ * @param {function(Object): void} [onDay] - Called with each day's result
+ * @returns {Promise<{ locked: false }|{ locked: true, days: Object[], totals: Object }>}
+ */
+async function recomputeRollups(from, to, onDay = () => {}) {
+  const outcome = await withRollupLock(async (client) => {
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      const result = await computeRollupDay(client, day);
+      onDay(result);
+      days.push(result);
+    }
+    return days;
+  });
+
+  if (!outcome.locked) {
+    return { locked: false };
+  }
+
+  const totals = {
+    villageRows: 0,
+    userRows: 0,
+    sessionRows: 0,
+    villageRowsDeleted: 0,
+    userRowsDeleted: 0,
+    sessionRowsDeleted: 0,
+  };
+  for (const result of outcome.result) {
+    for (const key of Object.keys(totals)) {
+      totals[key] += result[key];
+    }
+  }
+  return { locked: true, days: outcome.result, totals };
+}
+
+function startRollupWorker() {
+  if (task) {
+    return;
+  }
+  task = cron.schedule(
+    ROLLUP_CRON,
+    () => {
+      runScheduledRollups().catch((err) => console.error("[rollup] Scheduled run failed:", err));
+    },
+    { timezone: ROLLUP_TIMEZONE }
+  );
+  // Catch up on days missed while the service was down
+  runScheduledRollups().catch((err) => console.error("[rollup] Startup run failed:", err));
+  console.log(`[rollup] Worker scheduled (${ROLLUP_CRON} ${ROLLUP_TIMEZONE})`);
+}
+
+function stopRollupWorker() {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+}
+
+/**
+ * Splits a requested range into closed days served from rollups and the
+ * remaining raw ranges. Returns null when no complete closed day is covered,
+ * when any covered day has not been rolled up yet, or when the request uses a
+ * timezone other than the rollups' (its days would not line up); callers then
+ * read raw tables for the whole range.
+ * @param {number|null} startTimestamp - Inclusive start (epoch millis), null for unbounded
+ * @param {number|null} endTimestamp - Inclusive end (epoch millis), null for "until now"
+ * @param {string} [timezone] - Timezone the caller buckets and reports in (req.timezone)
+ * @returns {Promise<{ from: string, to: string, rawRanges: Array<{start: number|null, end: number|null}> }|null>}
+ */
+async function planRollupRange(startTimestamp, endTimestamp, timezone = ROLLUP_TIMEZONE) {
+  if (timezone !== ROLLUP_TIMEZONE) {
+    return null;
+  }
+
+  const today = dayOf(Date.now());
+  const hasStart = startTimestamp !== null && startTimestamp !== undefined;
+  const hasEnd = endTimestamp !== null && endTimestamp !== undefined;
+
+  let firstDay;
+  if (hasStart) {
+    firstDay = dayOf(startTimestamp);
+    if (dayStart(firstDay) < startTimestamp) {
+      firstDay = addDays(firstDay, 1);
+    }
+  } else {
+    const { rows } = await pool.query("SELECT to_char(MIN(day), 'YYYY-MM-DD') AS day FROM rollup_days");
+    if (!rows[0].day) {
+      return null;
+    }
+    firstDay = rows[0].day;
+  }
+
+  let endDayExclusive = today;
+  if (hasEnd) {
+    const endDay = dayOf(endTimestamp);
+    const lastFullDay = endTimestamp >= dayStart(addDays(endDay, 1)) - 1 ? addDays(endDay, 1) : endDay;
+    endDayExclusive = lastFullDay < today ? lastFullDay : today;
+  }
+
+  if (firstDay >= endDayExclusive) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    "SELECT COUNT(*) AS computed FROM rollup_days WHERE day >= $1 AND day < $2",
+    [firstDay, endDayExclusive]
+  );
+  if (parseInt(rows[0].computed) < daysBetween(firstDay, endDayExclusive)) {
+    return null;
+  }
+
+  const rawRanges = [];
+  const rollupStart = dayStart(firstDay);
+  const rollupEnd = dayStart(endDayExclusive);
+  if (!hasStart || startTimestamp < rollupStart) {
+    rawRanges.push({ start: hasStart ? startTimestamp : null, end: rollupStart - 1 });
+  }
+  if (!hasEnd || endTimestamp >= rollupEnd) {
+    rawRanges.push({ start: rollupEnd, end: hasEnd ? endTimestamp : null });
+  }
+
+  return { from: firstDay, to: addDays(endDayExclusive, -1), rawRanges };
+}
+
+/**
+ * Conditions selecting the rollup rows of a plan (day range and region).
+ * A null plan matches nothing, so the same query can run raw-only.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object|null} plan - Result of planRollupRange
+ * @param {string[]|null} villageCodes - lgd codes from req.regionFilter
+ * @returns {string[]}
+ */
+function buildRollupConditions(qb, plan, villageCodes = null) {
+  if (!plan) {
+    return ["FALSE"];
+  }
+  const conditions = [`day BETWEEN ${qb.param(plan.from)}::date AND ${qb.param(plan.to)}::date`];
+  if (villageCodes) {
+    conditions.push(`village_code = ANY(${qb.param(villageCodes.map(String))}::text[])`);
+  }
+  return conditions;
+}
+
+/**
+ * Raw date ranges to read for a request: the remainder of a plan, or the whole requested range.
+ * @param {Object|null} plan
+ * @param {number|null} startTimestamp
+ * @param {number|null} endTimestamp
+ * @returns {Array<{start: number|null, end: number|null}>}
+ */
+function rawRangesFor(plan, startTimestamp, endTimestamp) {
+  return plan ? plan.rawRanges : [{ start: startTimestamp, end: endTimestamp }];
+}
+
+module.exports = {
+  ROLLUP_LOCK_ID,
+  ROLLUP_TIMEZONE,
+  dayStart,
+  dayOf,
+  addDays,
+  computeRollupDay,
+  withRollupLock,
+  runScheduledRollups,
+  validateRollupRange,
+  recomputeRollups,
+  startRollupWorker,
+  stopRollupWorker,
+  planRollupRange,
+  buildRollupConditions,
+  rawRangesFor,
+};
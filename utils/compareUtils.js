@@ -0,0 +1,116 @@
+/**
+ * Period-over-period comparison for the stats endpoints.
+ *
+ * A stats handler computes its metrics for the requested window and, when
+ * `compare` is given, again for the comparison window resolved here; the two
+ * result objects are then combined into absolute and percentage deltas.
+ */
+
+const {
+    DEFAULT_TIMEZONE,
+    getZonedParts,
+    createZonedTimestamp,
+    getCurrentTimestamp
+} = require('./dateUtils');
+
+const COMPARE_MODES = ['previous_period', 'previous_year'];
+
+/**
+ * Moves a timestamp to the same wall-clock time one calendar year earlier.
+ * Feb 29 maps to Feb 28.
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {number}
+ */
+function shiftYearBack(timestamp, timezone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(timestamp, timezone);
+    const daysInMonth = new Date(Date.UTC(p.year - 1, p.month, 0)).getUTCDate();
+    return createZonedTimestamp(
+        p.year - 1,
+        p.month - 1,
+        Math.min(p.day, daysInMonth),
+        p.hour,
+        p.minute,
+        p.second,
+        timestamp % 1000,
+        timezone
+    );
+}
+
+/**
+ * Resolves the comparison window of a stats request.
+ * previous_period is the window of the same length ending right before the current one;
+ * previous_year is the same wall-clock window one year earlier. An open end means now.
+ * @param {string|undefined} compare - req.query.compare
+ * @param {number|null} startTimestamp - Current window start
+ * @param {number|null} endTimestamp - Current window end
+ * @param {string} timezone - IANA timezone name
+ * @returns {null|{ error: string }|{ mode: string, startTimestamp: number, endTimestamp: number, startDate: string, endDate: string }}
+ *   null when no comparison was requested; startDate/endDate are the window as epoch-millis strings
+ */
+function resolveComparisonRange(compare, startTimestamp, endTimestamp, timezone = DEFAULT_TIMEZONE) {
+    if (compare === undefined || compare === null || compare === '') {
+        return null;
+    }
+
+    const mode = String(compare).trim();
+    if (!COMPARE_MODES.includes(mode)) {
+        return { error: `Invalid compare. Must be one of: ${COMPARE_MODES.join(', ')}` };
+    }
+    if (startTimestamp === null) {
+        return { error: "compare requires a startDate" };
+    }
+
+    const end = endTimestamp === null ? getCurrentTimestamp() : endTimestamp;
+    let range;
+    if (mode === 'previous_period') {
+        const length = end - startTimestamp;
+        range = { startTimestamp: startTimestamp - length - 1, endTimestamp: startTimestamp - 1 };
+    } else {
+        range = { startTimestamp: shiftYearBack(startTimestamp, timezone), endTimestamp: shiftYearBack(end, timezone) };
+    }
+
+    return {
+        mode,
+        ...range,
+        startDate: String(range.startTimestamp),
+        endDate: String(range.endTimestamp)
+    };
+}
+
+/**
+ * Builds the comparison block of a stats response.
+ * Every numeric field of the current values gets an absolute delta and a
+ * percentage change (null when the previous value is 0).
+ * @param {Object} range - Output of resolveComparisonRange
+ * @param {Object} current - Metrics of the requested window
+ * @param {Object} previous - Same metrics for the comparison window
+ * @returns {Object}
+ */
+function buildComparison(range, current, previous) {
+    const delta = {};
+    for (const [key, value] of Object.entries(current)) {
+        if (typeof value !== 'number' || typeof previous[key] !== 'number') {
+            continue;
+        }
+        const absolute = value - previous[key];
+        delta[key] = {
+            absolute,
+            percent: previous[key] === 0 ? null : Math.round((absolute / previous[key]) * 10000) / 100
+        };
+    }
+
+    return {
+        mode: range.mode,
+        appliedStartTimestamp: range.startTimestamp,
+        appliedEndTimestamp: range.endTimestamp,
+        previous,
+        delta
+    };
+}
+
+module.exports = {
+    COMPARE_MODES,
+    resolveComparisonRange,
+    buildComparison
+};
@@ -2,88 +2,167 @@
  * Utility functions for date and time conversions
  */
 
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const partsFormatters = new Map();
+
 /**
- * Converts a UTC date to IST (UTC+5:30)
- * @param {Date|string} utcDate - UTC date object or ISO string
- * @returns {Date} Date object representing IST time
+ * Checks that a string is an IANA timezone name the runtime knows (e.g. Asia/Kolkata)
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getPartsFormatter(timezone) {
+    let formatter = partsFormatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        partsFormatters.set(timezone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Wall-clock components of a timestamp in a timezone
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }} month is 1-12
  */
-function convertUTCToIST(utcDate) {
-    let date;
-    if (typeof utcDate === 'string') {
-        date = new Date(utcDate);
-    } else {
-        date = new Date(utcDate.getTime());
+function getZonedParts(timestamp, timezone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    for (const part of getPartsFormatter(timezone).formatToParts(new Date(timestamp))) {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value);
+        }
     }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant (e.g. +19800000 for IST)
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Offset in milliseconds
+ */
+function getTimezoneOffset(timestamp, timezone = DEFAULT_TIMEZONE) {
+    const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+    const p = getZonedParts(wholeSeconds, timezone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
 
-    // IST is UTC+5:30 (5.5 hours * 60 minutes * 60 seconds * 1000 milliseconds)
-    const istOffset = 5.5 * 60 * 60 * 1000;
-    return new Date(date.getTime() + istOffset);
+/**
+ * UTC offset label of a timezone, e.g. "GMT+5:30" or "GMT-4". Abbreviations
+ * such as "IST" exist for only some zones and locales, so every zone gets the offset.
+ * @param {string} timezone - IANA timezone name
+ * @param {number} [timestamp] - Instant the name applies to (matters for DST)
+ * @returns {string}
+ */
+function getTimezoneLabel(timezone = DEFAULT_TIMEZONE, timestamp = Date.now()) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'shortOffset' })
+        .formatToParts(new Date(timestamp))
+        .find((p) => p.type === 'timeZoneName');
+    return part ? part.value : timezone;
 }
 
 /**
- * Formats a UTC date to IST date string
+ * Shifts a UTC date by the timezone offset, so its UTC getters return wall-clock time in that zone
  * @param {Date|string} utcDate - UTC date object or ISO string
- * @param {Object} options - Formatting options for toLocaleDateString
- * @returns {string} Formatted IST date string
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Shifted date object
  */
-function formatUTCToISTDate(utcDate, options = {}) {
-    const istDate = convertUTCToIST(utcDate);
+function convertUTCToZone(utcDate, timezone = DEFAULT_TIMEZONE) {
+    const date = typeof utcDate === 'string' ? new Date(utcDate) : new Date(utcDate.getTime());
+    return new Date(date.getTime() + getTimezoneOffset(date.getTime(), timezone));
+}
 
+/**
+ * Formats a UTC date as a date string in a timezone
+ * @param {Date|string} utcDate - UTC date object or ISO string
+ * @param {Object} options - Formatting options for toLocaleDateString
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Formatted date string
+ */
+function formatZonedDate(utcDate, options = {}, timezone = DEFAULT_TIMEZONE) {
     const defaultOptions = {
         month: 'short',
         day: 'numeric',
-        year: 'numeric',
-        timeZone: 'UTC' // Use UTC since we've already converted to IST
+        year: 'numeric'
     };
 
-    return istDate.toLocaleDateString('en-US', { ...defaultOptions, ...options });
+    return new Date(utcDate).toLocaleDateString('en-US', { ...defaultOptions, ...options, timeZone: timezone });
 }
 
 /**
- * Formats a UTC date to IST time string
+ * Formats a UTC date as a time string in a timezone
  * @param {Date|string} utcDate - UTC date object or ISO string
  * @param {Object} options - Formatting options for toLocaleTimeString
- * @returns {string} Formatted IST time string
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Formatted time string
  */
-function formatUTCToISTTime(utcDate, options = {}) {
-    const istDate = convertUTCToIST(utcDate);
-
+function formatZonedTime(utcDate, options = {}, timezone = DEFAULT_TIMEZONE) {
     const defaultOptions = {
         hour: '2-digit',
         minute: '2-digit',
         second: '2-digit',
-        hour12: true,
-        timeZone: 'UTC' // Use UTC since we've already converted to IST
+        hour12: true
     };
 
-    return istDate.toLocaleTimeString('en-US', { ...defaultOptions, ...options });
+    return new Date(utcDate).toLocaleTimeString('en-US', { ...defaultOptions, ...options, timeZone: timezone });
 }
 
 /**
- * Formats a UTC date to both IST date and time
+ * Formats a UTC date to both date and time in a timezone
  * @param {Date|string} utcDate - UTC date object or ISO string
- * @returns {Object} Object containing formatted date and time in IST
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} Object containing formatted date and time
  */
-function formatUTCToISTDateTime(utcDate) {
+function formatZonedDateTime(utcDate, timezone = DEFAULT_TIMEZONE) {
     return {
-        date: formatUTCToISTDate(utcDate),
-        time: formatUTCToISTTime(utcDate),
+        date: formatZonedDate(utcDate, {}, timezone),
+        time: formatZonedTime(utcDate, {}, timezone),
         fullDate: typeof utcDate === 'string' ? utcDate : utcDate.toISOString() // Keep original UTC ISO string
     };
 }
 
 /**
- * Parses a date string and interprets it as IST time, returning UTC timestamp.
+ * Parses a date string and interprets it as wall-clock time in a timezone, returning UTC timestamp.
  * Handles multiple formats:
  * - Unix timestamp (numeric string): used as-is
- * - ISO string with Z suffix (e.g., 2025-12-13T00:00:00.000Z): extracts datetime and treats as IST
- * - ISO string without Z (e.g., 2025-12-13T00:00:00): treats as IST
- * - Date only (e.g., 2025-12-13): treats as IST midnight
+ * - ISO string with Z suffix (e.g., 2025-12-13T00:00:00.000Z): extracts datetime and treats as local to the timezone
+ * - ISO string without Z (e.g., 2025-12-13T00:00:00): treats as local to the timezone
+ * - Date only (e.g., 2025-12-13): treats as midnight in the timezone
  * 
  * @param {string} dateStr - Date string to parse
+ * @param {string} timezone - IANA timezone name
  * @returns {number|null} - UTC timestamp in milliseconds, or null if invalid
  */
-function parseAsIST(dateStr) {
+function parseInTimezone(dateStr, timezone = DEFAULT_TIMEZONE) {
     if (!dateStr || typeof dateStr !== 'string') {
         return null;
     }
@@ -93,8 +172,8 @@ function parseAsIST(dateStr) {
         return parseInt(dateStr);
     }
 
-    // Remove the Z suffix if present - we want to interpret the datetime as IST, not UTC
-    // e.g., "2025-12-13T00:00:00.000Z" → we want midnight IST, not midnight UTC
+    // Remove the Z suffix if present - we want to interpret the datetime in the timezone, not UTC
+    // e.g., "2025-12-13T00:00:00.000Z" with Asia/Kolkata → we want midnight IST, not midnight UTC
     let normalizedDateStr = dateStr.trim();
     
     // Extract datetime components regardless of the timezone suffix
@@ -105,15 +184,16 @@ function parseAsIST(dateStr) {
         // Try parsing with Date constructor as fallback
         const date = new Date(dateStr);
         if (!isNaN(date.getTime())) {
-            // If parsed successfully, extract components and treat as IST
-            return createISTTimestamp(
+            // If parsed successfully, extract components and treat them as local to the timezone
+            return createZonedTimestamp(
                 date.getUTCFullYear(),
                 date.getUTCMonth(),
                 date.getUTCDate(),
                 date.getUTCHours(),
                 date.getUTCMinutes(),
                 date.getUTCSeconds(),
-                date.getUTCMilliseconds()
+                date.getUTCMilliseconds(),
+                timezone
             );
         }
         return null;
@@ -128,12 +208,12 @@ function parseAsIST(dateStr) {
     const seconds = isoMatch[6] ? parseInt(isoMatch[6]) : 0;
     const milliseconds = isoMatch[7] ? parseInt(isoMatch[7].padEnd(3, '0')) : 0;
 
-    return createISTTimestamp(year, month, day, hours, minutes, seconds, milliseconds);
+    return createZonedTimestamp(year, month, day, hours, minutes, seconds, milliseconds, timezone);
 }
 
 /**
- * Creates a UTC timestamp from date components that represent IST time.
- * IST is UTC+5:30, so we subtract 5:30 from the "local" IST time to get UTC.
+ * Creates a UTC timestamp from date components that represent wall-clock time in a timezone.
+ * e.g. 00:00 in Asia/Kolkata (UTC+5:30) is 18:30 UTC on the previous day.
  * 
  * @param {number} year 
  * @param {number} month - 0-indexed (0 = January)
@@ -142,64 +222,71 @@ function parseAsIST(dateStr) {
  * @param {number} minutes 
  * @param {number} seconds 
  * @param {number} milliseconds 
+ * @param {string} timezone - IANA timezone name
  * @returns {number} - UTC timestamp in milliseconds
  */
-function createISTTimestamp(year, month, day, hours, minutes, seconds, milliseconds) {
+function createZonedTimestamp(year, month, day, hours, minutes, seconds, milliseconds, timezone = DEFAULT_TIMEZONE) {
     // Create a date as if these components were UTC
     const utcDate = Date.UTC(year, month, day, hours, minutes, seconds, milliseconds);
-    
-    // IST is UTC+5:30, so to convert IST to UTC, we subtract 5:30
-    // If it's 00:00 IST, the equivalent UTC is 18:30 previous day
-    const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000; // 5 hours 30 minutes in milliseconds
-    
-    return utcDate - IST_OFFSET_MS;
+
+    // Subtract the offset in effect at that moment; the second lookup settles
+    // times close to a DST change, where the first guess lands on the other side
+    const guess = utcDate - getTimezoneOffset(utcDate, timezone);
+    return utcDate - getTimezoneOffset(guess, timezone);
 }
 
 /**
  * Parse and validate date range parameters.
- * Interprets date strings as IST time (Indian Standard Time, UTC+5:30).
+ * Interprets date strings as wall-clock time in the timezone (default DEFAULT_TIMEZONE, Asia/Kolkata).
  * 
- * When user sends "2025-12-13T00:00:00.000Z", we interpret it as:
+ * When user sends "2025-12-13T00:00:00.000Z" with Asia/Kolkata, we interpret it as:
  * "User wants midnight IST on Dec 13, 2025" → converts to UTC timestamp
  * 
  * @param {string|null} startDate - Start date as ISO string or Unix timestamp
  * @param {string|null} endDate - End date as ISO string or Unix timestamp
+ * @param {string} timezone - IANA timezone name
  * @returns {{ startTimestamp: number|null, endTimestamp: number|null }}
  */
-function parseDateRange(startDate, endDate) {
+function parseDateRange(startDate, endDate, timezone = DEFAULT_TIMEZONE) {
     let startTimestamp = null;
     let endTimestamp = null;
 
     if (startDate) {
-        startTimestamp = parseAsIST(startDate);
+        startTimestamp = parseInTimezone(startDate, timezone);
     }
 
     if (endDate) {
-        endTimestamp = parseAsIST(endDate);
+        endTimestamp = parseInTimezone(endDate, timezone);
     }
 
     return { startTimestamp, endTimestamp };
 }
 
 /**
- * Format timestamp to IST timezone string (YYYY-MM-DD HH:mm:ss IST)
+ * Calendar day of a timestamp in a timezone
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} YYYY-MM-DD
+ */
+function formatZonedDay(timestamp, timezone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(timestamp, timezone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Format timestamp in a timezone (YYYY-MM-DD HH:mm:ss <offset>, e.g. "2025-12-13 09:15:00 GMT+5:30")
  * @param {number|string} timestamp - Unix timestamp in milliseconds or date string
- * @returns {string|null} - Formatted date string in IST or null if invalid
+ * @param {string} timezone - IANA timezone name
+ * @returns {string|null} - Formatted date string or null if invalid
  */
-function formatDateToIST(timestamp) {
+function formatDateInTimezone(timestamp, timezone = DEFAULT_TIMEZONE) {
     const date = new Date(typeof timestamp === 'string' ? timestamp : parseInt(timestamp));
     if (isNaN(date.getTime())) {
         return null;
     }
-    const istDate = convertUTCToIST(date);
-    // Format as YYYY-MM-DD HH:mm:ss IST
-    const year = istDate.getUTCFullYear();
-    const month = String(istDate.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(istDate.getUTCDate()).padStart(2, '0');
-    const hours = String(istDate.getUTCHours()).padStart(2, '0');
-    const minutes = String(istDate.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(istDate.getUTCSeconds()).padStart(2, '0');
-    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds} IST`;
+    const p = getZonedParts(date.getTime(), timezone);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${formatZonedDay(date.getTime(), timezone)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)} ${getTimezoneLabel(timezone, date.getTime())}`;
 }
 
 /**
@@ -211,13 +298,19 @@ function getCurrentTimestamp() {
 }
 
 module.exports = {
-    convertUTCToIST,
-    formatUTCToISTDate,
-    formatUTCToISTTime,
-    formatUTCToISTDateTime,
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    getTimezoneLabel,
+    convertUTCToZone,
+    formatZonedDate,
+    formatZonedTime,
+    formatZonedDateTime,
     parseDateRange,
-    parseAsIST,
-    createISTTimestamp,
-    formatDateToIST,
+    parseInTimezone,
+    createZonedTimestamp,
+    formatZonedDay,
+    formatDateInTimezone,
     getCurrentTimestamp
 }; 
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { FILTER_SPECS, buildConditions } = require('./queryBuilder');
+
+/**
+ * Metrics served by /metrics/timeseries and watched by threshold alert rules,
+ * grouped by the table they are read from.
+ * Each source names the timestamptz expression its rows are bucketed on, the
+ * base condition shared with the matching stats endpoint and one aggregate per metric.
+ * A source with `branches` reads the union of several tables, each branch
+ * filtered on its own like the session endpoints do.
+ */
+const METRIC_SOURCES = {
+    questions: {
+        spec: FILTER_SPECS.questions,
+        alias: 'q',
+        time: 'TO_TIMESTAMP(q.ets / 1000)',
+        where: 'q.uid IS NOT NULL AND q.answertext IS NOT NULL',
+        metrics: {
+            questions: 'COUNT(*)',
+            activeUsers: 'COUNT(DISTINCT q.uid)',
+            newUsers: 'COUNT(DISTINCT CASE WHEN COALESCE(q.is_new, 0) = 1 THEN q.uid END)'
+        }
+    },
+    sessions: {
+        // sid+uid pairs seen in questions, feedback or errors, as in /sessions/stats and /sessions/graph
+        spec: FILTER_SPECS.sessions,
+        alias: 's',
+        columns: 'sid, uid, channel, ets',
+        branches: [
+            { table: 'questions', where: 'answertext IS NOT NULL' },
+            { table: 'feedback' },
+            { table: 'errordetails' }
+        ],
+        time: 'TO_TIMESTAMP(s.ets / 1000)',
+        where: 's.sid IS NOT NULL AND s.uid IS NOT NULL',
+        metrics: {
+            sessions: "COUNT(DISTINCT CONCAT(s.sid, '_', s.uid))"
+        }
+    },
+    feedback: {
+        spec: FILTER_SPECS.feedback,
+        alias: 'f',
+        time: 'TO_TIMESTAMP(f.ets / 1000)',
+        where: 'f.feedbacktext IS NOT NULL AND f.questiontext IS NOT NULL',
+        metrics: {
+            likes: "COUNT(*) FILTER (WHERE f.feedbacktype = 'like')",
+            dislikes: "COUNT(*) FILTER (WHERE f.feedbacktype = 'dislike')"
+        }
+    },
+    errors: {
+        spec: FILTER_SPECS.errors,
+        alias: 'e',
+        time: 'e.created_at::timestamptz',
+        where: 'e.errortext IS NOT NULL',
+        metrics: {
+            errors: 'COUNT(*)'
+        }
+    }
+};
+
+const METRIC_NAMES = Object.values(METRIC_SOURCES).flatMap((source) => Object.keys(source.metrics));
+
+/**
+ * Builds the FROM item of a source and the conditions applying the filters to it.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} source - Entry of METRIC_SOURCES
+ * @param {Object} filters - Object from normalizeFilters, with startTimestamp/endTimestamp
+ * @returns {{ from: string, conditions: string[] }}
+ */
+function buildSourceFrom(qb, source, filters) {
+    if (!source.branches) {
+        return {
+            from: `${source.spec.table} ${source.alias}`,
+            conditions: buildConditions(qb, filters, source.spec, { alias: source.alias, search: false })
+        };
+    }
+    const union = source.branches.map((branch) => {
+        const conditions = [
+            ...(branch.where ? [branch.where] : []),
+            ...buildConditions(qb, filters, { ...source.spec, table: branch.table }, { search: false })
+        ];
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        return `SELECT ${source.columns} FROM ${branch.table}${where}`;
+    });
+    return { from: `(${union.join(' UNION ALL ')}) ${source.alias}`, conditions: [] };
+}
+
+module.exports = {
+    METRIC_SOURCES,
+    METRIC_NAMES,
+    buildSourceFrom
+};
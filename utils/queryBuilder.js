@@ -0,0 +1,321 @@
+/**
+ * Shared helpers for assembling parameterised SQL filters.
+ *
+ * Every list, count, stats and graph handler filters the telemetry tables the
+ * same way (date range, future ets guard, ILIKE search, sort and pagination).
+ * The helpers below keep placeholder numbering in one place so handlers never
+ * have to track `paramIndex` by hand or interpolate values into SQL.
+ */
+
+const { DEFAULT_TIMEZONE, parseDateRange, getCurrentTimestamp } = require('./dateUtils');
+
+/**
+ * Filter definitions per data source.
+ *
+ * - table:         table the conditions are applied to
+ * - dateColumn:    column used for date range filtering
+ * - dateType:      'epoch' for millisecond bigint columns, 'timestamp' for timestamptz columns
+ * - excludeFuture: drop rows whose ets lies in the future (bad telemetry)
+ * - searchColumns: columns matched with ILIKE when a search term is given
+ *
+ * Region filters match questions.registered_location directly; other tables are
+ * matched through the uids that asked questions from the requested villages.
+ */
+const FILTER_SPECS = {
+    questions: {
+        table: 'questions',
+        dateColumn: 'ets',
+        dateType: 'epoch',
+        excludeFuture: true,
+        searchColumns: ['questiontext', 'answertext', 'uid', 'channel', 'farmer_id', 'unique_id']
+    },
+    feedback: {
+        table: 'feedback',
+        dateColumn: 'ets',
+        dateType: 'epoch',
+        excludeFuture: true,
+        searchColumns: ['feedbacktext', 'questiontext', 'answertext', 'uid']
+    },
+    errors: {
+        table: 'errordetails',
+        dateColumn: 'created_at',
+        dateType: 'timestamp',
+        excludeFuture: false,
+        searchColumns: ['errortext', 'channel', 'uid', 'sid', 'qid']
+    },
+    sessions: {
+        table: 'questions',
+        dateColumn: 'ets',
+        dateType: 'epoch',
+        excludeFuture: true,
+        searchColumns: ['sid', 'uid']
+    },
+    users: {
+        table: 'questions',
+        dateColumn: 'ets',
+        dateType: 'epoch',
+        excludeFuture: true,
+        searchColumns: ['uid']
+    },
+    audit: {
+        table: 'audit_log',
+        dateColumn: 'created_at',
+        dateType: 'timestamp',
+        excludeFuture: false,
+        searchColumns: ['path', 'target_uid', 'target_sid']
+    }
+};
+
+/**
+ * Creates a builder that owns the positional parameter list of one query.
+ * @param {Array} [initialParams] - Values already bound to $1..$n (e.g. a session id)
+ * @returns {{ params: Array, param: function(*): string }}
+ */
+function createQueryBuilder(initialParams = []) {
+    const params = [...initialParams];
+
+    return {
+        params,
+        /**
+         * Binds a value and returns its placeholder.
+         * @param {*} value
+         * @returns {string} Placeholder such as `$3`
+         */
+        param(value) {
+            params.push(value);
+            return `$${params.length}`;
+        }
+    };
+}
+
+/**
+ * Normalises raw request values into the filter object consumed by buildConditions.
+ * @param {Object} [options]
+ * @param {string} [options.search]
+ * @param {string|null} [options.startDate]
+ * @param {string|null} [options.endDate]
+ * @param {string[]|null} [options.villageCodes] - lgd codes from req.regionFilter
+ * @param {string} [options.timezone] - IANA timezone the dates are given in (req.timezone)
+ * @returns {{ search: string, startTimestamp: number|null, endTimestamp: number|null, villageCodes: string[]|null, now: number }}
+ */
+function normalizeFilters({ search = '', startDate = null, endDate = null, villageCodes = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const { startTimestamp, endTimestamp } = parseDateRange(startDate, endDate, timezone);
+    return {
+        search: search ? String(search).trim() : '',
+        startTimestamp,
+        endTimestamp,
+        villageCodes: Array.isArray(villageCodes) ? villageCodes.map(String) : null,
+        now: getCurrentTimestamp()
+    };
+}
+
+/**
+ * Builds the filter conditions for a data source.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} filters - Object from normalizeFilters
+ * @param {Object} spec - Entry from FILTER_SPECS (fields may be overridden by the caller)
+ * @param {Object} [options]
+ * @param {string} [options.alias] - Table alias to prefix columns with
+ * @param {boolean} [options.search=true] - Apply the search term
+ * @returns {string[]} Conditions to be AND-ed together
+ */
+function buildConditions(qb, filters, spec, options = {}) {
+    const { alias = null, search = true } = options;
+    const col = (name) => (alias ? `${alias}.${name}` : name);
+    const toValue = (ts) => (spec.dateType === 'timestamp' ? new Date(ts) : ts);
+    const conditions = [];
+
+    if (filters.startTimestamp !== null && filters.startTimestamp !== undefined) {
+        conditions.push(`${col(spec.dateColumn)} >= ${qb.param(toValue(filters.startTimestamp))}`);
+    }
+
+    if (filters.endTimestamp !== null && filters.endTimestamp !== undefined) {
+        conditions.push(`${col(spec.dateColumn)} <= ${qb.param(toValue(filters.endTimestamp))}`);
+    }
+
+    // Filter out future ETS records (bad telemetry data)
+    if (spec.excludeFuture) {
+        conditions.push(`${col('ets')} <= ${qb.param(filters.now || getCurrentTimestamp())}`);
+    }
+
+    if (filters.villageCodes) {
+        conditions.push(buildRegionCondition(qb, filters.villageCodes, spec, alias));
+    }
+
+    if (search && filters.search) {
+        const placeholder = qb.param(`%${filters.search}%`);
+        const matches = spec.searchColumns.map((c) => `${col(c)} ILIKE ${placeholder}`);
+        conditions.push(`(${matches.join(' OR ')})`);
+    }
+
+    return conditions;
+}
+
+/**
+ * Like buildConditions, but matches any of several date ranges instead of one.
+ * Used when part of a request is served from rollups and only the remaining
+ * ranges are read from the raw tables. An empty range list matches nothing.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {Object} filters - Object from normalizeFilters (its own date range is ignored)
+ * @param {Object} spec - Entry from FILTER_SPECS
+ * @param {Array<{start: number|null, end: number|null}>} ranges - Inclusive epoch-millis ranges
+ * @param {Object} [options] - Same as buildConditions
+ * @returns {string[]} Conditions to be AND-ed together
+ */
+function buildRangeConditions(qb, filters, spec, ranges, options = {}) {
+    const conditions = buildConditions(
+        qb,
+        { ...filters, startTimestamp: null, endTimestamp: null },
+        spec,
+        options
+    );
+
+    const rangeSpec = { ...spec, excludeFuture: false };
+    const alternatives = ranges.map((range) => {
+        const rangeConditions = buildConditions(
+            qb,
+            { startTimestamp: range.start, endTimestamp: range.end, villageCodes: null, search: '' },
+            rangeSpec,
+            { ...options, search: false }
+        );
+        return rangeConditions.length > 0 ? `(${rangeConditions.join(' AND ')})` : 'TRUE';
+    });
+    conditions.push(alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : 'FALSE');
+
+    return conditions;
+}
+
+/**
+ * Builds the condition restricting a data source to a set of villages.
+ * Used on its own by lookups that take no other filters (e.g. fetch by id).
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {string[]} villageCodes - lgd codes
+ * @param {Object} spec - Entry from FILTER_SPECS
+ * @param {string|null} [alias] - Table alias to prefix columns with
+ * @returns {string}
+ */
+function buildRegionCondition(qb, villageCodes, spec, alias = null) {
+    const col = (name) => (alias ? `${alias}.${name}` : name);
+    const placeholder = qb.param(villageCodes.map(String));
+    if (spec.table === 'questions') {
+        return `${col('registered_location')}->>'lgd_code' = ANY(${placeholder}::text[])`;
+    }
+    return `${col('uid')} IN (SELECT uid FROM questions WHERE registered_location->>'lgd_code' = ANY(${placeholder}::text[]))`;
+}
+
+/**
+ * Builds the condition restricting a data source to a set of channels.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {string[]} channels - Channel names, e.g. from a comma-separated ?channel=
+ * @param {string|null} [alias] - Table alias to prefix columns with
+ * @returns {string}
+ */
+function buildChannelCondition(qb, channels, alias = null) {
+    const column = alias ? `${alias}.channel` : 'channel';
+    return `${column} = ANY(${qb.param(channels.map(String))}::text[])`;
+}
+
+/**
+ * Joins conditions into a fragment that can be appended to an existing WHERE.
+ * @param {string[]} conditions
+ * @returns {string} e.g. ` AND ets >= $1 AND ets <= $2`, or an empty string
+ */
+function andClause(conditions) {
+    return conditions.length > 0 ? ` AND ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Builds an ORDER BY clause from a whitelist of sortable fields.
+ * @param {string} sortBy - Requested sort field
+ * @param {string} sortOrder - 'ASC' or 'DESC' (anything else falls back to DESC)
+ * @param {Object<string, string>} sortColumns - Map of accepted sort field to SQL expression
+ * @param {string} defaultOrder - ORDER BY body used when sortBy is not accepted
+ * @returns {string}
+ */
+function buildOrderBy(sortBy, sortOrder, sortColumns, defaultOrder) {
+    const direction = String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    if (sortBy && Object.prototype.hasOwnProperty.call(sortColumns, sortBy)) {
+        return ` ORDER BY ${sortColumns[sortBy]} ${direction}`;
+    }
+    return ` ORDER BY ${defaultOrder}`;
+}
+
+// DATE_TRUNC unit and TO_CHAR label format per graph granularity
+const TIME_BUCKETS = {
+    hourly: { unit: 'hour', format: 'YYYY-MM-DD HH24:00' },
+    daily: { unit: 'day', format: 'YYYY-MM-DD' },
+    weekly: { unit: 'week', format: 'YYYY-MM-DD' },
+    monthly: { unit: 'month', format: 'YYYY-MM' }
+};
+
+/**
+ * Builds the bucket expressions of a graph query in local time of a timezone.
+ * The timezone is bound once, so the same expression can appear in SELECT and GROUP BY.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {string} granularity - Key of TIME_BUCKETS
+ * @param {string} timezone - IANA timezone name
+ * @param {string} [source] - timestamptz expression to bucket
+ * @returns {{ grouping: string, label: string, timestamp: string, timezone: string }}
+ *   grouping: local bucket start (timestamp without time zone); label: bucket as text;
+ *   timestamp: bucket start in epoch millis; timezone: the bound placeholder
+ */
+function buildTimeBucket(qb, granularity, timezone, source = 'TO_TIMESTAMP(ets/1000)') {
+    const { unit, format } = TIME_BUCKETS[granularity];
+    const tz = qb.param(timezone);
+    const grouping = `DATE_TRUNC('${unit}', ${source} AT TIME ZONE ${tz})`;
+    return {
+        grouping,
+        label: `TO_CHAR(${grouping}, '${format}')`,
+        timestamp: `EXTRACT(EPOCH FROM ${grouping} AT TIME ZONE ${tz}) * 1000`,
+        timezone: tz
+    };
+}
+
+/**
+ * Builds a query listing every bucket start between two instants, so series can be zero-filled.
+ * Buckets are calendar periods in the timezone, labelled and timestamped like buildTimeBucket.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {string} granularity - Key of TIME_BUCKETS
+ * @param {string} timezone - IANA timezone name
+ * @param {number} startTimestamp - Epoch millis of the first instant covered
+ * @param {number} endTimestamp - Epoch millis of the last instant covered
+ * @returns {string} Query returning `date` and `timestamp` per bucket, in order
+ */
+function buildBucketSeries(qb, granularity, timezone, startTimestamp, endTimestamp) {
+    const { unit, format } = TIME_BUCKETS[granularity];
+    const tz = qb.param(timezone);
+    const bound = (ts) => `DATE_TRUNC('${unit}', ${qb.param(new Date(ts))}::timestamptz AT TIME ZONE ${tz})`;
+    return `
+        SELECT TO_CHAR(bucket, '${format}') AS date,
+               EXTRACT(EPOCH FROM bucket AT TIME ZONE ${tz}) * 1000 AS timestamp
+        FROM generate_series(${bound(startTimestamp)}, ${bound(endTimestamp)}, INTERVAL '1 ${unit}') AS bucket
+        ORDER BY bucket
+    `;
+}
+
+/**
+ * Builds a LIMIT/OFFSET clause.
+ * @param {Object} qb - Builder from createQueryBuilder
+ * @param {number} limit
+ * @param {number} offset
+ * @returns {string}
+ */
+function buildPagination(qb, limit, offset) {
+    return ` LIMIT ${qb.param(limit)} OFFSET ${qb.param(offset)}`;
+}
+
+module.exports = {
+    FILTER_SPECS,
+    createQueryBuilder,
+    normalizeFilters,
+    buildConditions,
+    buildRangeConditions,
+    buildRegionCondition,
+    buildChannelCondition,
+    andClause,
+    buildOrderBy,
+    buildPagination,
+    TIME_BUCKETS,
+    buildTimeBucket,
+    buildBucketSeries
+};